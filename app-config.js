@@ -0,0 +1,23 @@
+/**
+ * App Configuration
+ *
+ * Deployment settings that self-hosters may change without touching the code.
+ * Each one can also be overridden per page load with a URL parameter.
+ */
+
+export const appConfig = {
+    // Where user data lives (?storage=...):
+    // 'firestore' - Firebase cloud sync with an offline copy (needs firebase-config-values.js)
+    // 'local'     - this browser's localStorage only, no account or Community library
+    // 'memory'    - nothing persisted; for tests and demos
+    storageBackend: 'firestore',
+
+    // Local Firebase emulators (?emulator=1 turns them on for one page load).
+    // Start them with `firebase emulators:start`; ports match firebase.json.
+    emulator: {
+        enabled: false,
+        host: '127.0.0.1',
+        authPort: 9099,
+        firestorePort: 8080
+    }
+};
@@ -5,34 +5,129 @@
  */
 
 import { builtInRoutines, routineCombos } from './routines.js';
-import { initializeFirebase, loadCustomRoutines, saveCustomRoutine, deleteCustomRoutine, saveTrainingHistory, loadTrainingHistory, deleteHistoryEntry } from './firebase-config.js';
-import { playSound } from './audio.js';
+import { openStorage } from './storage.js';
+import {
+    playSound,
+    attachSessionAudio,
+    previewSoundPack,
+    setSoundPack,
+    SOUND_PACKS,
+    attachSessionAmbient,
+    setAmbientSettings,
+    DEFAULT_AMBIENT_SETTINGS,
+    setMixerSettings,
+    DEFAULT_MIXER_SETTINGS
+} from './audio.js';
+import {
+    attachSessionVoice,
+    speakCountdown,
+    cancelSpeech,
+    previewVoice,
+    setVoiceSettings,
+    getVoiceSettings,
+    getVoices,
+    getVoiceLanguages,
+    voiceMatchesLanguage,
+    onVoicesChanged,
+    isVoiceSupported,
+    setVoiceVolume
+} from './voice.js';
+import { SessionEngine } from './session-engine.js';
+import { DEFAULT_SOUND_PACK } from './constants.js';
+import { validateRoutine } from './validation.js';
+import {
+    computeHistoryStats,
+    buildHeatmapWeeks,
+    getDailyGoalProgress,
+    computeStreaks,
+    getStreakHistoryStart,
+    getLocalDayKey,
+    DEFAULT_DAILY_GOAL
+} from './stats.js';
+import { buildSessionRecord } from './session-record.js';
+import { historyToCsv, historyToJson, parseHistoryImport } from './history-transfer.js';
+import {
+    createRoutineFile,
+    createComboFile,
+    getRoutineFileName,
+    createShareLink,
+    readShareHash,
+    parseRoutineFile,
+    resolveComboFileSteps
+} from './routine-share.js';
+import {
+    readHistoryFilters,
+    writeHistoryFilters,
+    emptyHistoryFilters,
+    hasHistoryFilters,
+    filterHistory,
+    getHistoryRoutineNames
+} from './history-filters.js';
 import {
     renderRoutineSelector,
+    renderCommunityRoutines,
+    renderComboRoutineOptions,
+    renderComboSteps,
+    renderRoutinePreview,
+    stopRoutinePreview,
     showCustomMessage,
+    renderAccountStatus,
+    renderPendingSync,
+    renderRejectedSync,
+    renderFieldErrors,
     resetCircleVisuals,
-    transitionCircle,
+    attachSessionView,
     createHistoryItem,
+    renderHistoryStats,
+    renderHistoryFilters,
+    renderHistoryPaging,
+    downloadTextFile,
+    renderRoutineImportPreview,
+    renderDailyGoal,
+    showGoalCelebration,
+    renderVoiceSettings,
+    renderSoundPackChoices,
+    renderSoundPackOptions,
+    renderAmbientSettings,
+    renderMixerSettings,
+    el,
     getUIElements
 } from './ui.js';
 
 // Application state
-let isTrainingRunning = false;
-let isPaused = false;
-let pausedTime = 0; // Time spent paused (to adjust start times)
-let pauseStartTime = 0; // When pause started
+let storage = null; // Storage backend (see storage.js), opened in init()
+let isTrainingRunning = false; // True from the countdown until the session ends
 let currentRoutine = null;
 let currentCombo = null;
-let comboRoutineIndex = 0;
-let comboStartTime = 0; // Start time for entire combo
-let routineStartTime = 0; // Start time for current routine in combo
-let totalDurationSeconds = 0;
-let startTime = 0;
-let animationFrameId;
+let sessionEngine = null;
+let detachSession = null; // Unsubscribes UI, audio and app listeners from sessionEngine
+let countdownInterval = null;
 let currentScreen = 'routines';
-let currentPhase;
-let phaseStartTime;
 let allAvailableRoutines = []; // Store all routines (built-in + custom) for combo lookups
+let customRoutines = [];
+let communityRoutines = []; // Published routines from every user (may include the user's own)
+let customCombos = [];
+let editingRoutine = null; // Custom routine loaded into the routine form for editing
+let comboDraftSteps = []; // Steps ({ routineId, ...overrides }) of the combo being built in the combo form
+let trainingHistory = []; // Every recorded session, newest first
+let dailyGoal = DEFAULT_DAILY_GOAL; // { type: 'minutes'|'sessions', target }
+let checkInsEnabled = true; // Ask for a mood and stress check-in before and after sessions
+let soundPackId = DEFAULT_SOUND_PACK; // App-wide sound pack (see SOUND_PACKS in audio.js)
+let ambientSettings = DEFAULT_AMBIENT_SETTINGS; // { enabled, volume } of the breath-following ambience
+let mixerSettings = DEFAULT_MIXER_SETTINGS; // Master volume, mute and channel levels (0-100)
+let checkInBefore = null; // Check-in taken before the current session ({ stress, mood?, note? })
+let resolveCheckIn = null; // Settles the promise returned by askCheckIn while its modal is open
+let historyFilters = readHistoryFilters(); // History tab filters, mirrored in the page URL
+let historyShownCount = 0; // Matching sessions listed on the History tab ("Load more" adds a page)
+let historyMoreStored = false; // Whether older sessions may still be fetched (see storage.history.loadMore)
+let rejectedWrites = []; // Changes the backend refused to save (see storage.sync.watchRejected)
+let goalHistoryLoading = null; // Fetch of the older sessions the current streak depends on, while it runs
+let sharingFile = null; // Routine or combo file shown in the share modal
+let pendingRoutineImport = null; // Shared routine or combo file awaiting "Add to My Routines"
+
+const PREFERENCES_ID = 'preferences'; // Settings document holding the user's preferences
+const HISTORY_ROWS_PER_PAGE = 20; // Sessions listed per "Load more"
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
 
 const uiElements = getUIElements();
 
@@ -51,40 +146,104 @@ function switchTab(tabName) {
     if (tabName === 'routines') {
         uiElements.routinesTabBtn.classList.add('tab-active');
         uiElements.mainScreen.classList.remove('hidden');
+        // Today may have rolled over since the last render
+        renderGoalProgress();
+        updateRoutinePreview();
     } else if (tabName === 'history') {
+        // The routine form's preview only animates while it is on screen
+        stopRoutinePreview();
         uiElements.historyTabBtn.classList.add('tab-active');
         uiElements.historyScreen.classList.remove('hidden');
-        loadTrainingHistory((sessions) => {
-            renderHistory(sessions);
-        }).catch(error => {
-            console.error("Error loading history:", error);
-            renderHistory([]);
-        });
+        renderHistory(trainingHistory);
+    }
+}
+
+/**
+ * Render today's progress towards the daily goal and the streaks
+ *
+ * The longest streak is marked as a lower bound while older sessions are
+ * still stored; the sessions the current streak depends on are fetched first.
+ */
+function renderGoalProgress() {
+    renderDailyGoal(
+        dailyGoal,
+        getDailyGoalProgress(trainingHistory, dailyGoal),
+        computeStreaks(trainingHistory, dailyGoal),
+        historyMoreStored
+    );
+    loadGoalHistory();
+}
+
+/**
+ * Fetch older pages until the loaded history reaches back past the day that
+ * ends the current streak, then render the goal again
+ */
+function loadGoalHistory() {
+    const covered = () => isHistoryLoadedBefore(getStreakHistoryStart(trainingHistory, dailyGoal));
+    if (goalHistoryLoading || !historyMoreStored || covered()) return;
+
+    goalHistoryLoading = loadHistoryUntil(covered).then((loaded) => {
+        goalHistoryLoading = null;
+        // After a failure (e.g. offline) the next history snapshot tries again
+        if (loaded) renderGoalProgress();
+    });
+}
+
+/**
+ * Save the daily goal from the goal form
+ */
+async function handleSaveGoal(event) {
+    event.preventDefault();
+
+    const goal = {
+        type: document.getElementById('goal-type').value,
+        target: parseInt(document.getElementById('goal-target').value, 10)
+    };
+    const result = await storage.settings.update(PREFERENCES_ID, { dailyGoal: goal });
+    if (result.success) {
+        document.activeElement?.blur();
+        showCustomMessage(`Daily goal set to ${goal.target} ${goal.type}.`, "green");
+    } else {
+        showCustomMessage(result.error?.message || "Could not save your daily goal.", "red");
     }
 }
 
 /**
- * Render training history
+ * Render training history: statistics over every loaded session (marked as
+ * partial while older sessions are still stored), then one page of the
+ * sessions matching the filters
  */
 function renderHistory(sessions) {
     const historyList = uiElements.historyList;
     if (!historyList) return;
 
-    historyList.innerHTML = '';
+    historyList.replaceChildren();
+
+    const stats = computeHistoryStats(sessions);
+    renderHistoryStats(stats, buildHeatmapWeeks(stats.dailyMinutes), historyMoreStored ? handleLoadAllHistoryStats : null);
 
-    if (sessions.length === 0) {
-        historyList.innerHTML = '<p class="text-center text-gray-500 mt-8">No training sessions recorded yet.</p>';
+    const isFiltered = hasHistoryFilters(historyFilters);
+    const matches = filterHistory(sessions, historyFilters);
+    historyShownCount = Math.max(historyShownCount, HISTORY_ROWS_PER_PAGE);
+    const shown = matches.slice(0, historyShownCount);
+    renderHistoryFilters(historyFilters, getHistoryRoutineNames(sessions));
+    renderHistoryPaging(shown.length, matches.length, sessions.length, isFiltered, historyMoreStored);
+
+    if (matches.length === 0) {
+        const message = isFiltered ? 'No sessions match these filters.' : 'No training sessions recorded yet.';
+        historyList.append(el('p', { className: 'text-center text-gray-500 mt-8', text: message }));
         return;
     }
 
-    sessions.forEach((session) => {
+    shown.forEach((session) => {
         const item = createHistoryItem(
             session.routineName,
             session.actualDurationSeconds,
             session.totalTargetSeconds,
             session.completed,
             session.timestamp,
-            session.id
+            session.id,
+            describeCheckIns(session)
         );
         historyList.appendChild(item);
 
@@ -99,6 +258,489 @@ function renderHistory(sessions) {
     });
 }
 
+/** Emoji shown for each check-in mood (see CHECK_IN_MOODS in validation.js) */
+const MOOD_EMOJI = { great: '😄', good: '🙂', okay: '😐', low: '😔', bad: '😣' };
+
+/**
+ * Summarise a session's check-ins for its history entry, e.g. "Stress 7 → 4 · 😔 → 🙂"
+ */
+function describeCheckIns(session) {
+    const { checkInBefore: before, checkInAfter: after } = session;
+    if (!before && !after) return null;
+
+    const parts = [`Stress ${before?.stress ?? '?'} → ${after?.stress ?? '?'}`];
+    if (before?.mood || after?.mood) {
+        parts.push(`${MOOD_EMOJI[before?.mood] || '?'} → ${MOOD_EMOJI[after?.mood] || '?'}`);
+    }
+    const notes = [before?.note, after?.note].filter(Boolean);
+    if (notes.length > 0) parts.push(notes.join(' / '));
+    return parts.join(' · ');
+}
+
+/**
+ * Apply the History tab's filter form, starting again from the first page
+ */
+function handleHistoryFilterChange() {
+    historyFilters = {
+        routine: document.getElementById('history-filter-routine').value,
+        status: document.getElementById('history-filter-status').value,
+        from: document.getElementById('history-filter-from').value,
+        to: document.getElementById('history-filter-to').value,
+        search: document.getElementById('history-search').value.trim()
+    };
+    writeHistoryFilters(historyFilters);
+    historyShownCount = 0;
+    renderHistory(trainingHistory);
+}
+
+/**
+ * Reset every History tab filter
+ */
+function handleClearHistoryFilters() {
+    historyFilters = emptyHistoryFilters();
+    writeHistoryFilters(historyFilters);
+    historyShownCount = 0;
+    renderHistory(trainingHistory);
+}
+
+/**
+ * List the next page of matching sessions, fetching the next older page
+ * from the backend when it has one
+ */
+async function handleLoadMoreHistory() {
+    historyShownCount += HISTORY_ROWS_PER_PAGE;
+    renderHistory(trainingHistory);
+    if (!historyMoreStored) return;
+
+    const loadMoreBtn = document.getElementById('history-load-more');
+    loadMoreBtn.disabled = true;
+    const result = await storage.history.loadMore();
+    loadMoreBtn.disabled = false;
+    if (result.success) {
+        historyMoreStored = !result.done;
+    } else {
+        showCustomMessage("Could not load older sessions. Check your connection and try again.", "red");
+    }
+    renderHistory(trainingHistory);
+}
+
+/**
+ * Fetch older pages of history until isLoaded() holds or the backend has
+ * delivered everything
+ * @param {function(): boolean} isLoaded - Checked against trainingHistory before each page
+ * @returns {Promise<boolean>} false when a page could not be loaded (e.g. offline)
+ */
+async function loadHistoryUntil(isLoaded) {
+    while (historyMoreStored && !isLoaded()) {
+        const result = await storage.history.loadMore();
+        if (!result.success) return false;
+        historyMoreStored = !result.done;
+    }
+    return true;
+}
+
+/**
+ * Fetch every older page of history the backend has not delivered yet
+ * @returns {Promise<boolean>} false when a page could not be loaded (e.g. offline)
+ */
+function loadAllHistory() {
+    return loadHistoryUntil(() => false);
+}
+
+/**
+ * Whether the loaded history includes a session from before time, so that
+ * every session since time is loaded (history arrives newest first)
+ */
+function isHistoryLoadedBefore(time) {
+    return trainingHistory.some(session => session.timestamp < time);
+}
+
+/**
+ * Load every stored session so the History tab statistics cover all of them
+ */
+async function handleLoadAllHistoryStats() {
+    if (!await loadAllHistory()) {
+        showCustomMessage("Could not load older sessions. Check your connection and try again.", "red");
+    }
+    renderHistory(trainingHistory);
+    renderGoalProgress();
+}
+
+/**
+ * Download every session as a CSV or JSON file
+ */
+async function handleExportHistory(format) {
+    if (!await loadAllHistory()) {
+        showCustomMessage("Older sessions could not be loaded, so only the sessions on this device are exported.", "red");
+    }
+    if (trainingHistory.length === 0) {
+        showCustomMessage("There are no sessions to export yet.", "red");
+        return;
+    }
+
+    const fileName = `zen-breath-history-${getLocalDayKey(Date.now())}.${format}`;
+    if (format === 'csv') {
+        downloadTextFile(fileName, historyToCsv(trainingHistory), 'text/csv');
+    } else {
+        downloadTextFile(fileName, historyToJson(trainingHistory), 'application/json');
+    }
+}
+
+/**
+ * Show the changes the backend refused to save, announcing newly refused ones
+ */
+function handleRejectedWrites(writes) {
+    const added = writes.length - rejectedWrites.length;
+    if (added > 0) {
+        showCustomMessage(`${added} ${added === 1 ? 'change' : 'changes'} could not be saved to the cloud. Retry or export ${added === 1 ? 'it' : 'them'} from the notice at the top.`, "red");
+    }
+    rejectedWrites = writes;
+    renderRejectedSync(writes.length, {
+        onRetry: handleRetryRejectedWrites,
+        onExport: handleExportRejectedWrites,
+        onDiscard: handleDiscardRejectedWrites
+    });
+}
+
+/**
+ * Send the refused changes again
+ */
+async function handleRetryRejectedWrites() {
+    const result = await storage.sync.retryRejected();
+    if (!result.success) {
+        showCustomMessage("Could not retry now. Check your connection and try again.", "red");
+    }
+}
+
+/**
+ * Download the refused changes as JSON so nothing is lost if they are discarded
+ */
+function handleExportRejectedWrites() {
+    const changes = rejectedWrites.map(({ storeName, type, docId, data, errorCode, queuedAt }) => ({
+        collection: storeName,
+        type,
+        id: docId,
+        data,
+        error: errorCode,
+        changedAt: new Date(queuedAt).toISOString()
+    }));
+    const fileName = `zen-breath-rejected-changes-${getLocalDayKey(Date.now())}.json`;
+    downloadTextFile(fileName, JSON.stringify({ exportedAt: new Date().toISOString(), changes }, null, 2), 'application/json');
+}
+
+/**
+ * Forget the refused changes after confirmation
+ */
+async function handleDiscardRejectedWrites() {
+    const count = rejectedWrites.length;
+    if (!confirm(`Discard ${count} ${count === 1 ? 'change' : 'changes'} the server did not accept? Export first to keep a copy.`)) return;
+
+    const result = await storage.sync.discardRejected();
+    if (!result.success) {
+        showCustomMessage("Failed to discard the changes.", "red");
+    }
+}
+
+/**
+ * Import sessions from a CSV or JSON file, skipping invalid rows and sessions already in the history
+ */
+async function handleImportHistory(event) {
+    const input = event.target;
+    const file = input.files[0];
+    input.value = ''; // Choosing the same file again should import again
+    if (!file) return;
+
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+        showCustomMessage("That file is too large to import (5 MB at most).", "red");
+        return;
+    }
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        console.error("Error reading import file:", error);
+        showCustomMessage("Could not read that file.", "red");
+        return;
+    }
+
+    // Duplicates are found against the whole history, not just the loaded pages
+    if (!await loadAllHistory()) {
+        showCustomMessage("Could not check your older sessions for duplicates. Connect and try the import again.", "red");
+        return;
+    }
+
+    const { sessions, duplicates, invalid, error } = parseHistoryImport(text, trainingHistory);
+    if (error) {
+        showCustomMessage(`Import failed: ${error}`, "red");
+        return;
+    }
+    invalid.forEach(({ index, errors }) => {
+        console.warn(`Skipped import entry ${index}:`, Object.values(errors).join(' '));
+    });
+
+    // One bulk write, so the history re-renders once rather than per session
+    let imported = 0;
+    if (sessions.length > 0) {
+        const result = await storage.history.createMany(sessions);
+        if (result.success) {
+            imported = sessions.length;
+        } else {
+            console.error("Error importing sessions:", result.error);
+        }
+    }
+
+    const skipped = [];
+    if (duplicates > 0) skipped.push(`${duplicates} already in your history`);
+    if (invalid.length > 0) skipped.push(`${invalid.length} invalid`);
+    if (imported < sessions.length) skipped.push(`${sessions.length - imported} failed to save`);
+    const summary = `Imported ${imported} ${imported === 1 ? 'session' : 'sessions'}` +
+        (skipped.length > 0 ? ` (skipped ${skipped.join(', ')}).` : '.');
+    showCustomMessage(summary, imported > 0 || invalid.length === 0 ? "green" : "red");
+}
+
+/**
+ * Ask for a mood and stress check-in
+ * @param {'before'|'after'} stage - Before the countdown or after the session
+ * @returns {Promise<Object|null>} { stress, mood?, note? }, or null when skipped
+ */
+function askCheckIn(stage) {
+    const form = document.getElementById('checkin-form');
+    form.reset();
+    document.getElementById('checkin-stress-value').textContent = document.getElementById('checkin-stress').value;
+    document.getElementById('checkin-title').textContent = stage === 'before' ? "How are you feeling?" : "How do you feel now?";
+    document.getElementById('checkin-subtitle').textContent = stage === 'before'
+        ? "A quick check-in before you start. Skip it if you like."
+        : "Compare with how you felt before the session.";
+    document.getElementById('checkin-submit-btn').textContent = stage === 'before' ? 'Start' : 'Save';
+    document.getElementById('checkin-modal').classList.remove('hidden');
+
+    return new Promise((resolve) => {
+        resolveCheckIn = resolve;
+    });
+}
+
+/**
+ * Close the check-in modal with the given answer
+ */
+function finishCheckIn(checkIn) {
+    document.getElementById('checkin-modal').classList.add('hidden');
+    const resolve = resolveCheckIn;
+    resolveCheckIn = null;
+    if (resolve) resolve(checkIn);
+}
+
+/**
+ * Read the check-in form
+ */
+function handleCheckInSubmit(event) {
+    event.preventDefault();
+
+    const mood = document.querySelector('input[name="checkin-mood"]:checked')?.value;
+    const note = document.getElementById('checkin-note').value.trim();
+    finishCheckIn({
+        stress: parseInt(document.getElementById('checkin-stress').value, 10),
+        ...(mood ? { mood } : {}),
+        ...(note ? { note } : {})
+    });
+}
+
+/**
+ * Start a routine or combo, with a check-in first when they are enabled
+ */
+async function startSession(routine, combo = null) {
+    if (isTrainingRunning || resolveCheckIn) return;
+
+    stopRoutinePreview();
+    checkInBefore = checkInsEnabled ? await askCheckIn('before') : null;
+    startCountdown(routine, combo);
+}
+
+/**
+ * Ask for the after-session check-in and attach it to the saved session
+ */
+async function recordCheckInAfter(historyId) {
+    const checkIn = await askCheckIn('after');
+    if (!checkIn) return;
+
+    const result = await storage.history.update(historyId, { checkInAfter: checkIn });
+    if (!result.success) {
+        console.error("Error saving check-in:", result.error);
+        showCustomMessage("Failed to save your check-in.", "red");
+    }
+}
+
+/**
+ * Turn check-ins on or off
+ */
+async function handleCheckInsSettingChange(event) {
+    const enabled = event.target.checked;
+    const result = await storage.settings.update(PREFERENCES_ID, { checkIns: enabled });
+    if (!result.success) {
+        event.target.checked = !enabled;
+        showCustomMessage("Could not save your settings.", "red");
+    }
+}
+
+/**
+ * Show the voice settings, listing the voices for the chosen language
+ */
+function renderVoiceControls() {
+    const settings = getVoiceSettings();
+    const voices = getVoices();
+    renderVoiceSettings(
+        settings,
+        getVoiceLanguages(voices),
+        voices.filter(voice => voiceMatchesLanguage(voice, settings.lang)),
+        isVoiceSupported()
+    );
+}
+
+/**
+ * Apply and save the voice settings from the settings form
+ */
+async function handleVoiceSettingChange() {
+    const previous = getVoiceSettings();
+    const lang = document.getElementById('setting-voice-lang').value;
+    let voiceURI = document.getElementById('setting-voice').value;
+    // A voice from another language no longer applies once the language changes
+    const voice = getVoices().find(item => item.voiceURI === voiceURI);
+    if (voice && !voiceMatchesLanguage(voice, lang)) voiceURI = '';
+
+    const settings = {
+        enabled: document.getElementById('setting-voice-enabled').checked,
+        lang,
+        voiceURI,
+        rate: parseFloat(document.getElementById('setting-voice-rate').value)
+    };
+    setVoiceSettings(settings);
+    renderVoiceControls();
+
+    const result = await storage.settings.update(PREFERENCES_ID, { voice: settings });
+    if (!result.success) {
+        setVoiceSettings(previous);
+        renderVoiceControls();
+        showCustomMessage(result.error?.message || "Could not save your settings.", "red");
+    }
+}
+
+/**
+ * Show the sound pack choices with the app-wide pack selected
+ */
+function renderSoundPacks() {
+    renderSoundPackChoices(SOUND_PACKS, soundPackId, {
+        onSelect: handleSoundPackChange,
+        onPreview: previewSoundPack
+    });
+}
+
+/**
+ * Choose and save the app-wide sound pack
+ */
+async function handleSoundPackChange(packId) {
+    const previous = soundPackId;
+    soundPackId = packId;
+    setSoundPack(packId);
+
+    const result = await storage.settings.update(PREFERENCES_ID, { soundPack: packId });
+    if (!result.success) {
+        soundPackId = previous;
+        setSoundPack(previous);
+        renderSoundPacks();
+        showCustomMessage(result.error?.message || "Could not save your settings.", "red");
+    }
+}
+
+/**
+ * Apply volume settings to the Tone.js mixer and to speech, and show them
+ */
+function applyMixerSettings(settings) {
+    mixerSettings = settings;
+    setMixerSettings(settings);
+    setVoiceVolume(settings.muted ? 0 : (settings.master / 100) * (settings.voice / 100));
+    renderMixerSettings(settings);
+}
+
+/**
+ * Save the volume settings
+ */
+async function saveMixerSettings() {
+    const result = await storage.settings.update(PREFERENCES_ID, { mixer: mixerSettings });
+    if (!result.success) {
+        showCustomMessage(result.error?.message || "Could not save your volume settings.", "red");
+    }
+}
+
+/**
+ * Hear a volume slider while it moves (saved when released); raising the
+ * master volume while muted unmutes
+ * @param {string} channel - 'master', 'cues', 'bell' or 'voice'
+ */
+function handleVolumeInput(channel, value) {
+    const level = parseInt(value, 10);
+    applyMixerSettings({
+        ...mixerSettings,
+        [channel]: level,
+        muted: channel === 'master' && level > 0 ? false : mixerSettings.muted
+    });
+}
+
+/**
+ * Mute or unmute every sound, including speech
+ */
+function toggleMute() {
+    applyMixerSettings({ ...mixerSettings, muted: !mixerSettings.muted });
+    saveMixerSettings();
+}
+
+/**
+ * M toggles mute anywhere except while typing
+ */
+function handleMuteShortcut(event) {
+    if (event.key !== 'm' && event.key !== 'M') return;
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+    if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    event.preventDefault();
+    toggleMute();
+}
+
+/**
+ * Read the ambient controls in the settings form
+ */
+function readAmbientSettings() {
+    return {
+        enabled: document.getElementById('setting-ambient-enabled').checked,
+        volume: parseInt(document.getElementById('setting-ambient-volume').value, 10)
+    };
+}
+
+/**
+ * Hear the ambient volume while its slider moves (saved when released)
+ */
+function handleAmbientVolumeInput() {
+    const settings = readAmbientSettings();
+    document.getElementById('setting-ambient-volume-value').textContent = `${settings.volume}%`;
+    setAmbientSettings(settings);
+}
+
+/**
+ * Apply and save the ambient settings from the settings form
+ */
+async function handleAmbientSettingChange() {
+    const previous = ambientSettings;
+    ambientSettings = readAmbientSettings();
+    setAmbientSettings(ambientSettings);
+
+    const result = await storage.settings.update(PREFERENCES_ID, { ambient: ambientSettings });
+    if (!result.success) {
+        ambientSettings = previous;
+        setAmbientSettings(previous);
+        renderAmbientSettings(previous);
+        showCustomMessage(result.error?.message || "Could not save your settings.", "red");
+    }
+}
+
 /**
  * Start countdown before training begins
  */
@@ -106,8 +748,6 @@ function startCountdown(routine, combo = null) {
     if (isTrainingRunning) return;
     currentRoutine = routine;
     currentCombo = combo;
-    comboRoutineIndex = combo ? 0 : -1;
-    // Don't set comboStartTime here - set it when runTraining() actually starts
     isTrainingRunning = true;
 
     uiElements.mainScreen.classList.add('hidden');
@@ -140,125 +780,34 @@ function startCountdown(routine, combo = null) {
 
     let countdown = 3;
     uiElements.instructionText.textContent = `STARTING IN ${countdown}...`;
-    playSound('start').catch(err => console.error('Sound error:', err));
+    playSound('start', undefined, routine.soundPack).catch(err => console.error('Sound error:', err));
+    speakCountdown(countdown);
 
-    const interval = setInterval(() => {
+    countdownInterval = setInterval(() => {
         countdown--;
         if (countdown > 0) {
             uiElements.instructionText.textContent = `STARTING IN ${countdown}...`;
-            playSound('start').catch(err => console.error('Sound error:', err));
+            playSound('start', undefined, routine.soundPack).catch(err => console.error('Sound error:', err));
+            speakCountdown(countdown);
         } else {
-            clearInterval(interval);
+            clearInterval(countdownInterval);
+            countdownInterval = null;
             runTraining();
         }
     }, 1000);
 }
 
+// Define colors for each routine segment; rest segments are gray
+const COMBO_SEGMENT_COLORS = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b']; // indigo, purple, pink, amber
+const COMBO_REST_COLOR = '#4b5563'; // gray-600
+
 /**
- * Start next routine in a combo sequence
+ * Get the progress bar color of a combo timeline segment
  */
-function startNextComboRoutine() {
-    if (!currentCombo || comboRoutineIndex >= currentCombo.routines.length - 1) {
-        stopTraining(true);
-        return;
-    }
-
-    comboRoutineIndex++;
-    const nextRoutineId = currentCombo.routines[comboRoutineIndex];
-
-    // Find the routine from all available routines (built-in + custom)
-    const nextRoutine = allAvailableRoutines.find(r => r.id === nextRoutineId);
-
-    if (!nextRoutine) {
-        console.error("Routine not found:", nextRoutineId);
-        stopTraining(false);
-        return;
-    }
-
-    // Play transition sound
-    if (currentCombo.transitionSound) {
-        playSound(currentCombo.transitionSound).catch(err => console.error('Sound error:', err));
-    }
-
-    // Update display
-    uiElements.instructionText.textContent = `Transitioning to: ${nextRoutine.name}`;
-
-    // Small pause before starting next routine
-    setTimeout(() => {
-        currentRoutine = nextRoutine;
-        routineStartTime = Date.now(); // Reset routine start time
-        // Progress bar gradient already set, just continue
-
-        // Reset phase tracking
-        const phaseLabels = currentRoutine.phaseLabels || {};
-        const phases = [
-            { name: "BREATH IN", key: 'in', duration: currentRoutine.inhale },
-            { name: phaseLabels.holdIn || "HOLD", key: 'holdIn', duration: currentRoutine.holdIn },
-            { name: "BREATH OUT", key: 'out', duration: currentRoutine.exhale },
-            { name: "HOLD OUT", key: 'holdOut', duration: currentRoutine.holdOut }
-        ].filter(p => p.duration > 0);
-
-        transitionToFirstPhase(phases);
-
-        // Continue the update loop
-        const updateLoop = (timestamp) => {
-            if (!isTrainingRunning || isPaused) {
-                if (isPaused) {
-                    // Keep requesting animation frames while paused so we can resume
-                    animationFrameId = requestAnimationFrame(updateLoop);
-                }
-                return;
-            }
-
-            const timeSinceLastPhase = (Date.now() - phaseStartTime) / 1000;
-
-            if (timeSinceLastPhase >= phases[currentPhase].duration) {
-                phaseStartTime = Date.now();
-
-                currentPhase = (currentPhase + 1) % phases.length;
-
-                const nextPhase = phases[currentPhase];
-                uiElements.instructionText.textContent = nextPhase.name;
-                playSound(nextPhase.key, nextPhase.duration).catch(err => console.error('Sound error:', err));
-
-                const duration = nextPhase.duration;
-                if (nextPhase.key === 'in') {
-                    transitionCircle(1.0, duration);
-                } else if (nextPhase.key === 'holdIn') {
-                    transitionCircle(1.0, 0.1);
-                } else if (nextPhase.key === 'out') {
-                    transitionCircle(0.5, duration);
-                } else if (nextPhase.key === 'holdOut') {
-                    transitionCircle(0.5, 0.1);
-                }
-            }
-
-            const elapsedTotalTime = comboStartTime ? (Date.now() - comboStartTime) / 1000 : 0;
-            const elapsedRoutineTime = (Date.now() - routineStartTime) / 1000;
-            const routineDuration = currentRoutine.durationMinutes * 60;
-
-            updateProgressBar(elapsedTotalTime, elapsedRoutineTime);
-
-            // Check if current routine is complete
-            if (elapsedRoutineTime >= routineDuration) {
-                const remainingTimeInCurrentPhase = phases[currentPhase].duration - timeSinceLastPhase;
-                if (remainingTimeInCurrentPhase <= 0) {
-                    // Check if more routines in combo
-                    if (comboRoutineIndex < currentCombo.routines.length - 1) {
-                        startNextComboRoutine();
-                        return;
-                    } else {
-                        stopTraining(true);
-                        return;
-                    }
-                }
-            }
-
-            animationFrameId = requestAnimationFrame(updateLoop);
-        };
-
-        animationFrameId = requestAnimationFrame(updateLoop);
-    }, 2000); // 2 second pause between routines
+function getSegmentColor(segment) {
+    return segment.type === 'rest'
+        ? COMBO_REST_COLOR
+        : COMBO_SEGMENT_COLORS[segment.stepIndex % COMBO_SEGMENT_COLORS.length];
 }
 
 /**
@@ -267,7 +816,7 @@ function startNextComboRoutine() {
 function initializeComboProgressBar() {
     const container = uiElements.progressBar.parentElement;
 
-    if (!currentCombo || currentCombo.routines.length <= 1) {
+    if (!currentCombo || sessionEngine.timeline.length <= 1) {
         // Reset to single color for non-combo
         if (container) {
             container.style.background = '#374151'; // gray-700
@@ -276,23 +825,16 @@ function initializeComboProgressBar() {
         return;
     }
 
-    const routineDurations = currentCombo.routines.map(routineId => {
-        const routine = allAvailableRoutines.find(r => r.id === routineId);
-        return routine ? routine.durationMinutes * 60 : 0;
-    });
-
-    const totalDuration = routineDurations.reduce((sum, d) => sum + d, 0);
+    const totalDuration = sessionEngine.totalSeconds;
     let cumulativePercent = 0;
     const colorStops = [];
 
-    // Define colors for each routine segment
-    const colors = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b']; // indigo, purple, pink, amber
-
-    routineDurations.forEach((duration, index) => {
-        const percent = (duration / totalDuration) * 100;
+    sessionEngine.timeline.forEach(segment => {
+        const percent = (segment.seconds / totalDuration) * 100;
+        const color = getSegmentColor(segment);
         cumulativePercent += percent;
-        colorStops.push(`${colors[index % colors.length]} ${cumulativePercent - percent}%`);
-        colorStops.push(`${colors[index % colors.length]} ${cumulativePercent}%`);
+        colorStops.push(`${color} ${cumulativePercent - percent}%`);
+        colorStops.push(`${color} ${cumulativePercent}%`);
     });
 
     // Set gradient background on the CONTAINER so full gradient is always visible
@@ -302,9 +844,9 @@ function initializeComboProgressBar() {
         container.style.position = 'relative'; // For progress indicator
     }
 
-    // Progress bar filled portion will be set dynamically based on current routine
-    // Don't set gradient here - it will be set in updateProgressBar based on current routine
-    uiElements.progressBar.style.background = colors[0]; // Default to first color
+    // Progress bar filled portion will be set dynamically based on current segment
+    // Don't set gradient here - it will be set in updateProgressBar based on current segment
+    uiElements.progressBar.style.background = getSegmentColor(sessionEngine.timeline[0]); // Default to first color
 
     // Add progress indicator (vertical line showing current position)
     let indicator = container.querySelector('.progress-indicator');
@@ -318,49 +860,33 @@ function initializeComboProgressBar() {
 
 /**
  * Update progress bar with multi-color support for combos
+ * @param {number} elapsedTotalTime - Active seconds since the session started
+ * @param {number} segmentIndex - Current position in the session timeline (routine or rest)
  */
-function updateProgressBar(elapsedTotalTime, elapsedRoutineTime) {
-    const progressPercent = Math.min((elapsedTotalTime / totalDurationSeconds) * 100, 100);
-
-    // For combos, create a gradient that shows completed routines' colors
-    if (currentCombo && currentCombo.routines.length > 1) {
-        const colors = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b']; // indigo, purple, pink, amber
+function updateProgressBar(elapsedTotalTime, segmentIndex) {
+    const progressPercent = Math.min((elapsedTotalTime / sessionEngine.totalSeconds) * 100, 100);
 
-        // Calculate routine durations and boundaries
-        const routineDurations = currentCombo.routines.map(routineId => {
-            const routine = allAvailableRoutines.find(r => r.id === routineId);
-            return routine ? routine.durationMinutes * 60 : 0;
-        });
-
-        const totalDuration = routineDurations.reduce((sum, d) => sum + d, 0);
+    // For combos, create a gradient that shows completed segments' colors
+    if (currentCombo && sessionEngine.timeline.length > 1) {
+        const timeline = sessionEngine.timeline;
+        const totalDuration = sessionEngine.totalSeconds;
         const filledColorStops = [];
         let cumulativePercent = 0;
 
         // Build gradient for filled portion up to current progress
-        for (let i = 0; i <= comboRoutineIndex; i++) {
-            const routinePercent = (routineDurations[i] / totalDuration) * 100;
-            const routineStartPercent = cumulativePercent;
-            const routineEndPercent = Math.min(cumulativePercent + routinePercent, progressPercent);
-
-            if (routineEndPercent > routineStartPercent) {
-                const routineColor = colors[i % colors.length];
-                // If this is the current routine and we're partway through it
-                if (i === comboRoutineIndex && routineEndPercent < cumulativePercent + routinePercent) {
-                    // Current routine - use its color up to current progress
-                    filledColorStops.push(`${routineColor} ${routineStartPercent}%`);
-                    filledColorStops.push(`${routineColor} ${routineEndPercent}%`);
-                } else if (i < comboRoutineIndex) {
-                    // Completed routine - use its full color
-                    filledColorStops.push(`${routineColor} ${routineStartPercent}%`);
-                    filledColorStops.push(`${routineColor} ${routineEndPercent}%`);
-                } else {
-                    // Current routine, fully completed
-                    filledColorStops.push(`${routineColor} ${routineStartPercent}%`);
-                    filledColorStops.push(`${routineColor} ${routineEndPercent}%`);
-                }
+        for (let i = 0; i <= segmentIndex; i++) {
+            const segmentPercent = (timeline[i].seconds / totalDuration) * 100;
+            const segmentStartPercent = cumulativePercent;
+            const segmentEndPercent = Math.min(cumulativePercent + segmentPercent, progressPercent);
+
+            // Completed segments use their full color, the current one up to current progress
+            if (segmentEndPercent > segmentStartPercent) {
+                const segmentColor = getSegmentColor(timeline[i]);
+                filledColorStops.push(`${segmentColor} ${segmentStartPercent}%`);
+                filledColorStops.push(`${segmentColor} ${segmentEndPercent}%`);
             }
 
-            cumulativePercent += routinePercent;
+            cumulativePercent += segmentPercent;
             if (cumulativePercent >= progressPercent) break;
         }
 
@@ -368,8 +894,8 @@ function updateProgressBar(elapsedTotalTime, elapsedRoutineTime) {
         if (filledColorStops.length > 0) {
             uiElements.progressBar.style.background = `linear-gradient(to right, ${filledColorStops.join(', ')})`;
         } else {
-            // Fallback to current routine color
-            uiElements.progressBar.style.background = colors[comboRoutineIndex % colors.length];
+            // Fallback to current segment color
+            uiElements.progressBar.style.background = getSegmentColor(timeline[segmentIndex]);
         }
     }
 
@@ -387,50 +913,28 @@ function updateProgressBar(elapsedTotalTime, elapsedRoutineTime) {
 }
 
 /**
- * Transition to the first breathing phase
+ * Run the breathing training
  */
-function transitionToFirstPhase(phases) {
-    const firstPhase = phases[0];
-    uiElements.instructionText.textContent = firstPhase.name;
-    playSound(firstPhase.key, firstPhase.duration).catch(err => console.error('Sound error:', err));
-
-    const duration = firstPhase.duration;
-
-    if (firstPhase.key === 'in') {
-        transitionCircle(1.0, duration);
-    }
-    else if (firstPhase.key === 'holdIn') {
-        transitionCircle(1.0, 0.1);
+function runTraining() {
+    let engine;
+    try {
+        engine = new SessionEngine({
+            routine: currentRoutine,
+            combo: currentCombo,
+            routines: allAvailableRoutines
+        });
+    } catch (error) {
+        console.error("Error starting training:", error);
+        stopTraining(false);
+        showCustomMessage(`Could not start training: ${error.message}`, "red");
+        return;
     }
-    else if (firstPhase.key === 'out') {
-        transitionCircle(0.5, duration);
-    }
-    else if (firstPhase.key === 'holdOut') {
-        transitionCircle(0.5, 0.1);
-    }
-
-    currentPhase = 0;
-    phaseStartTime = Date.now();
-}
+    sessionEngine = engine;
 
-/**
- * Run the breathing training
- */
-function runTraining() {
-    startTime = Date.now();
-    routineStartTime = Date.now(); // Track when current routine started
-    comboStartTime = currentCombo ? Date.now() : null; // Set combo start time when training actually starts
-
-    // Calculate total duration: if combo, sum all routines; otherwise just current routine
     if (currentCombo) {
-        totalDurationSeconds = currentCombo.routines.reduce((total, routineId) => {
-            const routine = allAvailableRoutines.find(r => r.id === routineId);
-            return total + (routine ? routine.durationMinutes * 60 : 0);
-        }, 0);
         // Initialize progress bar gradient for combo
         initializeComboProgressBar();
     } else {
-        totalDurationSeconds = currentRoutine.durationMinutes * 60;
         // Reset to single color for non-combo
         const container = uiElements.progressBar.parentElement;
         if (container) {
@@ -439,130 +943,81 @@ function runTraining() {
         uiElements.progressBar.style.background = '#6366f1';
     }
 
-    let elapsedTotalTime = 0;
-
-    // Get phase labels from routine (for custom labels like "TOP-UP INHALE")
-    const phaseLabels = currentRoutine.phaseLabels || {};
-
-    const phases = [
-        { name: "BREATH IN", key: 'in', duration: currentRoutine.inhale },
-        { name: phaseLabels.holdIn || "HOLD", key: 'holdIn', duration: currentRoutine.holdIn },
-        { name: "BREATH OUT", key: 'out', duration: currentRoutine.exhale },
-        { name: "HOLD OUT", key: 'holdOut', duration: currentRoutine.holdOut }
-    ].filter(p => p.duration > 0);
-
-    transitionToFirstPhase(phases);
-
-    const updateLoop = (timestamp) => {
-        if (!isTrainingRunning || isPaused) {
-            if (isPaused) {
-                // Keep requesting animation frames while paused so we can resume
-                animationFrameId = requestAnimationFrame(updateLoop);
-            }
-            return;
-        }
-
-        const timeSinceLastPhase = (Date.now() - phaseStartTime) / 1000;
-
-        if (timeSinceLastPhase >= phases[currentPhase].duration) {
-            phaseStartTime = Date.now();
-
-            currentPhase = (currentPhase + 1) % phases.length;
-
-            const nextPhase = phases[currentPhase];
-            uiElements.instructionText.textContent = nextPhase.name;
-            playSound(nextPhase.key, nextPhase.duration).catch(err => console.error('Sound error:', err));
-
-            const duration = nextPhase.duration;
-            if (nextPhase.key === 'in') {
-                transitionCircle(1.0, duration);
-            } else if (nextPhase.key === 'holdIn') {
-                transitionCircle(1.0, 0.1);
-            } else if (nextPhase.key === 'out') {
-                transitionCircle(0.5, duration);
-            } else if (nextPhase.key === 'holdOut') {
-                transitionCircle(0.5, 0.1);
-            }
-        }
-
-        // Calculate elapsed time: for combos, use combo start time; otherwise use routine start time
-        // Subtract paused time to account for pauses
-        const currentPausedTime = isPaused ? pausedTime + ((Date.now() - pauseStartTime) / 1000) : pausedTime;
-        const elapsedTotalTime = currentCombo && comboStartTime
-            ? ((Date.now() - comboStartTime) / 1000) - currentPausedTime
-            : ((Date.now() - startTime) / 1000) - currentPausedTime;
-        const elapsedRoutineTime = ((Date.now() - routineStartTime) / 1000) - currentPausedTime;
-        const routineDuration = currentRoutine.durationMinutes * 60;
-
-        // Update progress bar with multi-color support for combos
-        updateProgressBar(elapsedTotalTime, elapsedRoutineTime);
-
-        // Check if current routine in combo is complete
-        if (currentCombo && elapsedRoutineTime >= routineDuration) {
-            const remainingTimeInCurrentPhase = phases[currentPhase].duration - timeSinceLastPhase;
-            if (remainingTimeInCurrentPhase <= 0) {
-                // Move to next routine in combo
-                if (comboRoutineIndex < currentCombo.routines.length - 1) {
-                    startNextComboRoutine();
-                    return;
-                } else {
-                    stopTraining(true);
-                    return;
-                }
-            }
-        } else if (!currentCombo && elapsedTotalTime >= totalDurationSeconds) {
-            const remainingTimeInCurrentPhase = phases[currentPhase].duration - timeSinceLastPhase;
-            if (remainingTimeInCurrentPhase <= 0) {
-                stopTraining(true);
-                return;
-            }
-        }
-
-        animationFrameId = requestAnimationFrame(updateLoop);
-    };
-
-    animationFrameId = requestAnimationFrame(updateLoop);
+    const unsubscribers = [
+        attachSessionView(engine),
+        attachSessionAudio(engine),
+        attachSessionVoice(engine),
+        attachSessionAmbient(engine),
+        engine.on('routineStart', ({ routine }) => {
+            currentRoutine = routine;
+        }),
+        engine.on('progress', ({ elapsed, segmentIndex }) => {
+            // Update progress bar with multi-color support for combos
+            updateProgressBar(elapsed, segmentIndex);
+        }),
+        engine.on('completed', (summary) => stopTraining(true, summary))
+    ];
+    detachSession = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+
+    engine.start();
 }
 
 /**
  * Stop the training session
  */
-function stopTraining(completed = false) {
+function stopTraining(completed = false, summary = null) {
     isTrainingRunning = false;
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
+    if (countdownInterval) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
     }
+    // A finished session keeps its closing words
+    if (!completed) cancelSpeech();
 
-    // Save history regardless of completion status
-    if (currentRoutine) {
-        // Calculate actual duration accounting for paused time
-        const finalPausedTime = isPaused ? pausedTime + ((Date.now() - pauseStartTime) / 1000) : pausedTime;
-        const actualDurationSeconds = ((Date.now() - startTime) / 1000) - finalPausedTime;
-        const totalTargetSeconds = currentRoutine.durationMinutes * 60;
+    if (sessionEngine) {
+        // Stopping early: the engine reports elapsed time net of pauses
+        if (!summary) {
+            summary = sessionEngine.stop();
+        }
+        if (detachSession) {
+            detachSession();
+            detachSession = null;
+        }
+        sessionEngine = null;
+    }
+
+    // Save history regardless of completion status (nothing to save if stopped during countdown)
+    if (summary) {
+        const actualDurationSeconds = summary.elapsedSeconds;
 
         console.log("Attempting to save history:", {
             routineName: currentRoutine.name,
             actualDuration: actualDurationSeconds,
-            targetDuration: totalTargetSeconds,
+            targetDuration: summary.totalSeconds,
             completed: completed
         });
 
         if (actualDurationSeconds > 5) {
-            // Use combo name if it's a combo, otherwise use routine name
-            const historyName = currentCombo ? currentCombo.name : currentRoutine.name;
-            const historyTargetSeconds = currentCombo
-                ? totalDurationSeconds
-                : totalTargetSeconds;
-
-            saveTrainingHistory(
-                historyName,
-                actualDurationSeconds,
-                historyTargetSeconds,
-                completed
-            ).then(result => {
+            // Named after the combo when one ran; see session-record.js for the other fields
+            const session = buildSessionRecord(summary, { completed, checkInBefore });
+
+            // Work out now whether this session completes today's goal; the
+            // history listener may already include it by the time the save resolves
+            const sessionsAfter = [session, ...trainingHistory];
+            const reachesGoal = completed
+                && !getDailyGoalProgress(trainingHistory, dailyGoal).met
+                && getDailyGoalProgress(sessionsAfter, dailyGoal).met;
+
+            storage.history.create(session).then(result => {
                 console.log("Save history result:", result);
                 if (result.success) {
                     console.log("✅ History saved successfully!");
+                    if (reachesGoal) {
+                        showGoalCelebration(computeStreaks(sessionsAfter, dailyGoal).current);
+                    }
+                    if (checkInsEnabled) {
+                        recordCheckInAfter(result.id);
+                    }
                 } else {
                     console.error("❌ Failed to save history:", result.error);
                 }
@@ -578,16 +1033,6 @@ function stopTraining(completed = false) {
     uiElements.breathingCircle.style.transform = 'scale(0.5)';
     uiElements.breathingCircle.style.transitionDuration = '0s';
 
-    if (completed) {
-        uiElements.instructionText.textContent = "TRAINING COMPLETE!";
-        playSound('finish');
-    }
-
-    // Reset pause state
-    isPaused = false;
-    pausedTime = 0;
-    pauseStartTime = 0;
-
     // Immediately return to routines screen
     uiElements.trainingScreen.classList.add('hidden');
     if (currentScreen === 'history') {
@@ -604,36 +1049,220 @@ function stopTraining(completed = false) {
 }
 
 /**
- * Handle creating a new custom routine
+ * Show or hide the progressive ramp inputs, prefilling end values from the start values
  */
-function handleCreateRoutine(event) {
-    event.preventDefault();
+function toggleRampFields() {
+    const enabled = document.getElementById('input-ramp-enabled').checked;
+    document.getElementById('ramp-fields').classList.toggle('hidden', !enabled);
+
+    if (enabled) {
+        [['input-in', 'input-in-end'], ['input-hold-in', 'input-hold-in-end'],
+         ['input-out', 'input-out-end'], ['input-hold-out', 'input-hold-out-end']].forEach(([startId, endId]) => {
+            const endInput = document.getElementById(endId);
+            if (endInput.value === '') {
+                endInput.value = document.getElementById(startId).value;
+            }
+        });
+    }
+}
 
+// Form inputs for the four-key shorthand: [routine key, start input, end input]
+const ROUTINE_FORM_PHASE_INPUTS = [
+    ['inhale', 'input-in', 'input-in-end'],
+    ['holdIn', 'input-hold-in', 'input-hold-in-end'],
+    ['exhale', 'input-out', 'input-out-end'],
+    ['holdOut', 'input-hold-out', 'input-hold-out-end']
+];
+
+// Form input that shows each field error reported by validateRoutine
+const ROUTINE_FORM_FIELD_INPUTS = {
+    name: 'input-name',
+    durationMinutes: 'input-minutes',
+    ...Object.fromEntries(ROUTINE_FORM_PHASE_INPUTS.flatMap(([key, startId, endId]) => [
+        [key, startId],
+        [`${key}.from`, startId],
+        [`${key}.to`, endId],
+        [`${key}.steps`, 'input-ramp-steps']
+    ]))
+};
+
+/**
+ * Whether the form's phase inputs can represent a routine: a phases array or
+ * keyframe ramps can only have their name and duration edited
+ */
+function isRoutinePatternEditable(routine) {
+    if (Array.isArray(routine.phases)) return false;
+    return ROUTINE_FORM_PHASE_INPUTS.every(([key]) => {
+        const value = routine[key];
+        return typeof value === 'number' || (value && typeof value.from === 'number');
+    });
+}
+
+/**
+ * Read and validate the custom routine form
+ * @returns {{routine: Object, errors: Object<string, string>}} errors is empty when the routine is valid
+ */
+function readRoutineForm() {
     const name = document.getElementById('input-name').value.trim();
+    const minutes = parseInt(document.getElementById('input-minutes').value);
+    // Updates merge, so an edited routine going back to the app default stores null
+    const soundPack = document.getElementById('input-sound-pack').value || (editingRoutine ? null : undefined);
+
+    // Patterns the form cannot express are kept as they are; only name, duration and sound pack change
+    if (editingRoutine && !isRoutinePatternEditable(editingRoutine)) {
+        const { id, isCustom, createdAt, updatedAt, ...pattern } = editingRoutine;
+        const routine = { ...pattern, name: name, durationMinutes: minutes, soundPack: soundPack };
+        return { routine, errors: validateRoutine(routine).errors };
+    }
+
     const inhale = parseInt(document.getElementById('input-in').value);
     const holdIn = parseInt(document.getElementById('input-hold-in').value);
     const exhale = parseInt(document.getElementById('input-out').value);
     const holdOut = parseInt(document.getElementById('input-hold-out').value);
-    const minutes = parseInt(document.getElementById('input-minutes').value);
 
-    if (!name || isNaN(inhale) || isNaN(holdIn) || isNaN(exhale) || isNaN(holdOut) || isNaN(minutes) || minutes < 1 || (inhale + holdIn + exhale + holdOut) === 0) {
-        showCustomMessage("Please check all inputs. Name is required, duration must be at least 1 minute, and the total phase time must be greater than zero.", "red");
-        return;
-    }
+    // Progressive routines: each phase ramps from its start value to its end value
+    const rampEnabled = document.getElementById('input-ramp-enabled').checked;
+    const interpolation = document.getElementById('input-ramp-interpolation').value;
+    const steps = parseInt(document.getElementById('input-ramp-steps').value);
+    const endValue = (id, start) => {
+        const end = parseInt(document.getElementById(id).value);
+        return rampEnabled && !isNaN(end) ? end : start;
+    };
+    const inhaleEnd = endValue('input-in-end', inhale);
+    const holdInEnd = endValue('input-hold-in-end', holdIn);
+    const exhaleEnd = endValue('input-out-end', exhale);
+    const holdOutEnd = endValue('input-hold-out-end', holdOut);
+
+    const ramp = (start, end) => {
+        if (start === end) return start;
+        return interpolation === 'step'
+            ? { from: start, to: end, interpolation: 'step', steps: steps }
+            : { from: start, to: end };
+    };
 
-    const newRoutine = {
+    const routine = {
         name: name,
         durationMinutes: minutes,
-        inhale: inhale,
-        holdIn: holdIn,
-        exhale: exhale,
-        holdOut: holdOut,
+        inhale: ramp(inhale, inhaleEnd),
+        holdIn: ramp(holdIn, holdInEnd),
+        exhale: ramp(exhale, exhaleEnd),
+        holdOut: ramp(holdOut, holdOutEnd),
     };
+    if (soundPack !== undefined) routine.soundPack = soundPack;
+    return { routine, errors: validateRoutine(routine).errors };
+}
+
+/**
+ * Refresh the live preview from the form's current values
+ */
+function updateRoutinePreview() {
+    const { routine, errors } = readRoutineForm();
+    // The preview doesn't need a name to animate
+    const patternValid = Object.keys(errors).every(field => field === 'name');
+    renderRoutinePreview(patternValid ? routine : null);
+
+    // Once errors are on screen, clear each one as soon as it is fixed
+    if (uiElements.customRoutineForm.querySelector('.field-error')) {
+        renderFieldErrors(uiElements.customRoutineForm, errors, ROUTINE_FORM_FIELD_INPUTS);
+    }
+}
+
+/**
+ * Fill the custom routine form from a routine (for editing or duplicating)
+ */
+function fillRoutineForm(routine, name) {
+    uiElements.customRoutineForm.reset();
+    document.getElementById('input-name').value = name;
+    document.getElementById('input-minutes').value = routine.durationMinutes;
+    document.getElementById('input-sound-pack').value = routine.soundPack || '';
+
+    const editable = isRoutinePatternEditable(routine);
+    let hasRamp = false;
+
+    ROUTINE_FORM_PHASE_INPUTS.forEach(([key, startId, endId]) => {
+        const startInput = document.getElementById(startId);
+        const value = routine[key];
+        startInput.disabled = !editable;
+
+        if (!editable) return;
+        if (typeof value === 'number') {
+            startInput.value = value;
+        } else {
+            hasRamp = true;
+            startInput.value = value.from;
+            document.getElementById(endId).value = value.to;
+            if (value.interpolation === 'step') {
+                document.getElementById('input-ramp-interpolation').value = 'step';
+                document.getElementById('input-ramp-steps').value = value.steps || 4;
+            }
+        }
+    });
+
+    const rampCheckbox = document.getElementById('input-ramp-enabled');
+    rampCheckbox.checked = hasRamp;
+    rampCheckbox.disabled = !editable;
+    toggleRampFields();
+
+    const note = document.getElementById('routine-form-note');
+    note.textContent = editable ? '' : 'This routine uses a pattern the form cannot show; only its name and duration can be changed here.';
+    note.classList.toggle('hidden', editable);
+
+    updateRoutinePreview();
+}
+
+/**
+ * Switch the custom routine form between creating and editing
+ * @param {Object|null} routine - Custom routine being edited, or null to create
+ */
+function setRoutineFormMode(routine) {
+    editingRoutine = routine;
+
+    document.getElementById('routine-form-title').textContent = routine
+        ? `Edit Routine: ${routine.name}`
+        : 'Create & Save Custom Routine';
+    document.getElementById('routine-form-submit').textContent = routine
+        ? 'Update Routine (Sync)'
+        : 'Save Routine to Cloud (Sync)';
+    document.getElementById('routine-form-cancel').classList.toggle('hidden', !routine);
+}
+
+/**
+ * Clear the custom routine form back to creating a new routine
+ */
+function resetRoutineForm() {
+    setRoutineFormMode(null);
+    uiElements.customRoutineForm.reset();
+    ROUTINE_FORM_PHASE_INPUTS.forEach(([, startId]) => {
+        document.getElementById(startId).disabled = false;
+    });
+    document.getElementById('input-ramp-enabled').disabled = false;
+    document.getElementById('routine-form-note').classList.add('hidden');
+    renderFieldErrors(uiElements.customRoutineForm, {}, ROUTINE_FORM_FIELD_INPUTS);
+    toggleRampFields();
+    updateRoutinePreview();
+}
+
+/**
+ * Handle saving the custom routine form (create or update)
+ */
+function handleSaveRoutine(event) {
+    event.preventDefault();
+
+    const { routine, errors } = readRoutineForm();
+    if (!showRoutineFormErrors(errors)) return;
 
-    saveCustomRoutine(newRoutine).then(result => {
+    const save = editingRoutine
+        ? storage.routines.update(editingRoutine.id, routine)
+        : storage.routines.create(routine);
+
+    save.then(result => {
         if (result.success) {
-            showCustomMessage("Routine saved successfully to cloud (syncing enabled)!", "green");
-            uiElements.customRoutineForm.reset();
+            showCustomMessage(editingRoutine
+                ? "Routine updated successfully!"
+                : "Routine saved successfully!", "green");
+            resetRoutineForm();
+        } else if (result.errors) {
+            showRoutineFormErrors(result.errors);
         } else {
             showCustomMessage("Failed to save routine. Check console for details.", "red");
         }
@@ -641,19 +1270,386 @@ function handleCreateRoutine(event) {
 }
 
 /**
- * Handle deleting a custom routine
+ * Show validation errors next to their form fields (returns true when there are none)
  */
-function handleDelete(id, name) {
-    const deleteModal = document.getElementById('delete-modal');
-    document.getElementById('delete-routine-name').textContent = name;
-    document.getElementById('confirm-delete-btn').onclick = () => {
-        deleteCustomRoutine(id).then(result => {
+function showRoutineFormErrors(errors) {
+    const unplaced = renderFieldErrors(uiElements.customRoutineForm, errors, ROUTINE_FORM_FIELD_INPUTS);
+    if (Object.keys(errors).length === 0) return true;
+
+    showCustomMessage(unplaced.length > 0 ? unplaced.join(' ') : "Please fix the highlighted fields.", "red");
+    return false;
+}
+
+/**
+ * Handle editing a custom routine: load it into the form
+ */
+function handleEditRoutine(routine) {
+    setRoutineFormMode(routine);
+    fillRoutineForm(routine, routine.name);
+    uiElements.customRoutineForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Handle duplicating a built-in routine as a new custom routine
+ */
+function handleDuplicateRoutine(routine) {
+    const copyName = `${routine.name} (Copy)`;
+
+    if (!isRoutinePatternEditable(routine)) {
+        // The form can't show this pattern, so save an exact copy straight away
+        const { id, isCustom, ...pattern } = routine;
+        storage.routines.create({ ...pattern, name: copyName }).then(result => {
             if (result.success) {
-                showCustomMessage("Routine deleted successfully!", "green");
+                showCustomMessage(`Saved "${copyName}" to your routines. Use Edit to rename it or change its duration.`, "green");
             } else {
-                showCustomMessage("Failed to delete routine.", "red");
+                showCustomMessage("Failed to duplicate routine.", "red");
             }
         });
+        return;
+    }
+
+    setRoutineFormMode(null);
+    fillRoutineForm(routine, copyName);
+    uiElements.customRoutineForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render every view that lists routines or combos from the current state
+ */
+function renderRoutines() {
+    // Community routines can be combo steps too; the user's own copy wins when they published it
+    const ownIds = new Set(customRoutines.map(r => r.id));
+    allAvailableRoutines = [
+        ...builtInRoutines,
+        ...customRoutines,
+        ...communityRoutines.filter(r => !ownIds.has(r.id))
+    ];
+    renderRoutineSelector(
+        allAvailableRoutines,
+        [...routineCombos, ...customCombos],
+        {
+            onSelect: startSession,
+            onDelete: handleDelete,
+            onComboDelete: handleDeleteCombo,
+            onEdit: handleEditRoutine,
+            onDuplicate: handleDuplicateRoutine,
+            onPublish: storage?.community ? handlePublishRoutine : null,
+            onShare: (routine) => openShareModal(createRoutineFile(routine)),
+            onComboShare: handleShareCombo
+        }
+    );
+    renderCommunity();
+    renderComboRoutineOptions(allAvailableRoutines);
+    renderComboDraft();
+}
+
+/**
+ * Render the Community library with the current search text
+ */
+function renderCommunity() {
+    renderCommunityRoutines(
+        communityRoutines,
+        storage?.account?.getUserId(),
+        { onSelect: handleStartCommunityRoutine, onFork: handleForkRoutine },
+        document.getElementById('community-search').value
+    );
+}
+
+/**
+ * Handle publishing a custom routine to the Community library, or taking it back
+ */
+function handlePublishRoutine(routine) {
+    const publish = !routine.published;
+    storage.community.setPublished(routine.id, publish).then(result => {
+        if (result.success) {
+            showCustomMessage(publish
+                ? `"${routine.name}" is now shared in the Community library.`
+                : `"${routine.name}" is no longer shared.`, "green");
+        } else {
+            showCustomMessage("Failed to update publishing. Check console for details.", "red");
+        }
+    });
+}
+
+/**
+ * Handle forking a community routine into My Routines
+ */
+function handleForkRoutine(routine) {
+    storage.community.fork(routine).then(result => {
+        if (result.success) {
+            showCustomMessage(`Forked "${routine.name}" into My Routines.`, "green");
+        } else {
+            showCustomMessage("Failed to fork routine. Check console for details.", "red");
+        }
+    });
+}
+
+/**
+ * Handle starting a community routine; each run counts as a use
+ */
+function handleStartCommunityRoutine(routine) {
+    if (isTrainingRunning) return;
+    if (routine.ownerId !== storage.account?.getUserId()) {
+        storage.community.recordUse(routine.id);
+    }
+    startSession(routine);
+}
+
+/**
+ * Share a combo, with copies of the non-built-in routines it uses
+ */
+function handleShareCombo(combo) {
+    try {
+        openShareModal(createComboFile(combo, allAvailableRoutines));
+    } catch (error) {
+        console.error("Error sharing combo:", error);
+        showCustomMessage("This combo uses a routine that is no longer available, so it cannot be shared.", "red");
+    }
+}
+
+/**
+ * Show the share link for a routine or combo file
+ */
+function openShareModal(file) {
+    sharingFile = file;
+    const name = file.type === 'combo' ? file.combo.name : file.routine.name;
+    document.getElementById('share-modal-title').textContent = `Share "${name}"`;
+    document.getElementById('share-link').value = createShareLink(file);
+    document.getElementById('share-modal').classList.remove('hidden');
+}
+
+/**
+ * Close the share modal
+ */
+function closeShareModal() {
+    sharingFile = null;
+    document.getElementById('share-modal').classList.add('hidden');
+}
+
+/**
+ * Copy the share link to the clipboard
+ */
+async function handleCopyShareLink() {
+    const linkInput = document.getElementById('share-link');
+    try {
+        await navigator.clipboard.writeText(linkInput.value);
+        showCustomMessage("Link copied.", "green");
+        closeShareModal();
+    } catch (error) {
+        // Clipboard access can be refused; leave the link selected to copy by hand
+        console.error("Error copying link:", error);
+        linkInput.select();
+    }
+}
+
+/**
+ * Download the shared routine or combo as a .zenroutine.json file
+ */
+function handleDownloadShareFile() {
+    downloadTextFile(getRoutineFileName(sharingFile), JSON.stringify(sharingFile, null, 2), 'application/json');
+}
+
+/**
+ * Preview a shared routine or combo file before adding it
+ */
+function openRoutineImport(text) {
+    const { file, errors } = parseRoutineFile(text);
+    if (!file) {
+        console.warn("Rejected routine file:", errors);
+        showCustomMessage(`Could not open the shared routine: ${Object.values(errors)[0]}`, "red");
+        return;
+    }
+
+    pendingRoutineImport = file;
+    renderRoutineImportPreview(file);
+    document.getElementById('routine-import-modal').classList.remove('hidden');
+}
+
+/**
+ * Close the shared routine preview
+ */
+function closeRoutineImport() {
+    pendingRoutineImport = null;
+    document.getElementById('routine-import-modal').classList.add('hidden');
+}
+
+/**
+ * Open a share link in the page URL, then remove it so a reload does not offer it again
+ */
+function checkShareLink() {
+    const text = readShareHash();
+    if (text === null) return;
+
+    window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+    openRoutineImport(text);
+}
+
+/**
+ * Open a .zenroutine.json file chosen by the user
+ */
+async function handleRoutineFileChosen(event) {
+    const input = event.target;
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        openRoutineImport(await file.text());
+    } catch (error) {
+        console.error("Error reading routine file:", error);
+        showCustomMessage("Could not read that file.", "red");
+    }
+}
+
+/**
+ * Save the previewed routine, or the combo and the routines it brings with it
+ */
+async function handleAddSharedRoutine() {
+    const file = pendingRoutineImport;
+    if (!file) return;
+    closeRoutineImport();
+
+    if (file.type === 'routine') {
+        const result = await storage.routines.create(file.routine);
+        if (result.success) {
+            showCustomMessage(`Added "${file.routine.name}" to My Routines.`, "green");
+        } else {
+            showCustomMessage("Failed to add the routine. Check console for details.", "red");
+            console.error("Error adding shared routine:", result.error);
+        }
+        return;
+    }
+
+    const routineIds = [];
+    for (const routine of file.routines) {
+        const result = await storage.routines.create(routine);
+        if (!result.success) {
+            console.error("Error adding shared routine:", result.error);
+            showCustomMessage(`Failed to add "${routine.name}", so the combo was not added.`, "red");
+            return;
+        }
+        routineIds.push(result.id);
+    }
+
+    const result = await storage.combos.create({
+        name: file.combo.name,
+        routines: resolveComboFileSteps(file, routineIds),
+        ...(file.combo.transitionSound ? { transitionSound: file.combo.transitionSound } : {})
+    });
+    if (result.success) {
+        showCustomMessage(`Added the "${file.combo.name}" combo to your routines.`, "green");
+    } else {
+        console.error("Error adding shared combo:", result.error);
+        showCustomMessage("Failed to add the combo. Check console for details.", "red");
+    }
+}
+
+/**
+ * Render the steps of the combo being built
+ */
+function renderComboDraft() {
+    renderComboSteps(
+        comboDraftSteps,
+        allAvailableRoutines,
+        (index, direction) => {
+            const target = index + direction;
+            if (target < 0 || target >= comboDraftSteps.length) return;
+            [comboDraftSteps[index], comboDraftSteps[target]] = [comboDraftSteps[target], comboDraftSteps[index]];
+            renderComboDraft();
+        },
+        (index) => {
+            comboDraftSteps.splice(index, 1);
+            renderComboDraft();
+        },
+        (index, field, value) => {
+            const step = comboDraftSteps[index];
+            const trimmed = value.trim();
+
+            // Blank inputs fall back to the routine's duration and the default transition
+            if (trimmed === '') {
+                delete step[field];
+            } else if (field === 'restLabel') {
+                step[field] = trimmed;
+            } else {
+                const number = parseInt(trimmed);
+                if (isNaN(number)) {
+                    delete step[field];
+                } else {
+                    step[field] = number;
+                }
+            }
+        }
+    );
+}
+
+/**
+ * Handle adding the selected routine as the next combo step
+ */
+function handleAddComboStep() {
+    const routineId = document.getElementById('combo-input-routine').value;
+    if (!routineId) return;
+
+    comboDraftSteps.push({ routineId });
+    renderComboDraft();
+}
+
+/**
+ * Handle creating a new combo
+ */
+function handleCreateCombo(event) {
+    event.preventDefault();
+
+    const name = document.getElementById('combo-input-name').value.trim();
+    const transitionSound = document.getElementById('combo-input-sound').value;
+
+    if (!name || comboDraftSteps.length === 0) {
+        showCustomMessage("Please name the combo and add at least one routine.", "red");
+        return;
+    }
+
+    if (comboDraftSteps.some(step => step.durationMinutes < 1 || step.restSeconds < 0)) {
+        showCustomMessage("Step durations must be at least 1 minute and rests cannot be negative.", "red");
+        return;
+    }
+
+    const lastIndex = comboDraftSteps.length - 1;
+    const newCombo = {
+        name: name,
+        // Steps without overrides are stored as plain routine IDs; a rest after the last step is meaningless
+        routines: comboDraftSteps.map((step, index) => {
+            const { restSeconds, restLabel, ...rest } = step;
+            const saved = index === lastIndex ? rest : step;
+            return Object.keys(saved).length === 1 ? saved.routineId : { ...saved };
+        }),
+        transitionSound: transitionSound,
+    };
+
+    storage.combos.create(newCombo).then(result => {
+        if (result.success) {
+            showCustomMessage("Combo saved successfully to cloud (syncing enabled)!", "green");
+            uiElements.comboForm.reset();
+            comboDraftSteps = [];
+            renderComboDraft();
+        } else if (result.errors) {
+            showCustomMessage(result.error.message, "red");
+        } else {
+            showCustomMessage("Failed to save combo. Check console for details.", "red");
+        }
+    });
+}
+
+/**
+ * Ask for confirmation in the delete modal before running a deletion
+ * @param {string} itemType - What is being deleted, e.g. "custom routine"
+ * @param {string} name - Display name of the item
+ * @param {Function} onConfirm - Called when the user confirms
+ */
+function confirmDelete(itemType, name, onConfirm) {
+    const deleteModal = document.getElementById('delete-modal');
+    document.getElementById('delete-item-type').textContent = itemType;
+    document.getElementById('delete-routine-name').textContent = name;
+    document.getElementById('confirm-delete-btn').onclick = () => {
+        onConfirm();
         deleteModal.classList.add('hidden');
     };
     document.getElementById('cancel-delete-btn').onclick = () => {
@@ -662,20 +1658,46 @@ function handleDelete(id, name) {
     deleteModal.classList.remove('hidden');
 }
 
+/**
+ * Handle deleting a custom routine
+ */
+function handleDelete(id, name) {
+    confirmDelete('custom routine', name, () => {
+        storage.routines.delete(id).then(result => {
+            if (result.success) {
+                showCustomMessage("Routine deleted successfully!", "green");
+            } else {
+                showCustomMessage("Failed to delete routine.", "red");
+            }
+        });
+    });
+}
+
+/**
+ * Handle deleting a custom combo
+ */
+function handleDeleteCombo(id, name) {
+    confirmDelete('combo', name, () => {
+        storage.combos.delete(id).then(result => {
+            if (result.success) {
+                showCustomMessage("Combo deleted successfully!", "green");
+            } else {
+                showCustomMessage("Failed to delete combo.", "red");
+            }
+        });
+    });
+}
+
 /**
  * Handle pausing training
  */
 function pauseTraining() {
-    console.log('pauseTraining called', { isTrainingRunning, isPaused });
-    if (!isTrainingRunning || isPaused) {
-        console.log('Cannot pause:', { isTrainingRunning, isPaused });
+    if (!sessionEngine || !sessionEngine.isRunning || sessionEngine.isPaused) {
+        console.log('Cannot pause:', { isTrainingRunning, hasSession: !!sessionEngine });
         return;
     }
 
-    isPaused = true;
-    pauseStartTime = Date.now();
-    console.log('Training paused at:', pauseStartTime);
-    uiElements.instructionText.textContent = "PAUSED";
+    sessionEngine.pause();
 
     // Hide pause button, show resume button
     const pauseBtn = document.getElementById('pause-btn');
@@ -689,34 +1711,18 @@ function pauseTraining() {
  * Handle resuming training
  */
 function resumeTraining() {
-    console.log('resumeTraining called', { isTrainingRunning, isPaused });
-    if (!isTrainingRunning || !isPaused) {
-        console.log('Cannot resume:', { isTrainingRunning, isPaused });
+    if (!sessionEngine || !sessionEngine.isPaused) {
+        console.log('Cannot resume:', { isTrainingRunning, hasSession: !!sessionEngine });
         return;
     }
 
-    // Add the paused time to our total paused time
-    const pauseDuration = (Date.now() - pauseStartTime) / 1000;
-    pausedTime += pauseDuration;
-    isPaused = false;
-    console.log('Training resumed. Pause duration:', pauseDuration, 'Total paused time:', pausedTime);
+    sessionEngine.resume();
 
     // Hide resume button, show pause button
     const resumeBtn = document.getElementById('resume-btn');
     const pauseBtn = document.getElementById('pause-btn');
     if (resumeBtn) resumeBtn.classList.add('hidden');
     if (pauseBtn) pauseBtn.classList.remove('hidden');
-
-    // Restore instruction text
-    const phaseLabels = currentRoutine.phaseLabels || {};
-    const phases = [
-        { name: "BREATH IN", key: 'in', duration: currentRoutine.inhale },
-        { name: phaseLabels.holdIn || "HOLD", key: 'holdIn', duration: currentRoutine.holdIn },
-        { name: "BREATH OUT", key: 'out', duration: currentRoutine.exhale },
-        { name: "HOLD OUT", key: 'holdOut', duration: currentRoutine.holdOut }
-    ].filter(p => p.duration > 0);
-
-    uiElements.instructionText.textContent = phases[currentPhase].name;
 }
 
 /**
@@ -724,7 +1730,7 @@ function resumeTraining() {
  */
 function handleDeleteHistory(id, name) {
     if (confirm(`Delete training session: ${name}?`)) {
-        deleteHistoryEntry(id).then(result => {
+        storage.history.delete(id).then(result => {
             if (result.success) {
                 showCustomMessage("History entry deleted successfully!", "green");
             } else {
@@ -756,6 +1762,102 @@ function handleBackToMain() {
     document.getElementById('back-btn').classList.add('hidden');
 }
 
+/**
+ * Turn a Firebase Auth error into a short message for the account form
+ */
+function describeAuthError(error) {
+    switch (error?.code) {
+        case 'auth/email-already-in-use':
+        case 'auth/credential-already-in-use':
+            return 'That email already has an account. Use Sign In instead.';
+        case 'auth/invalid-email':
+            return 'Please enter a valid email address.';
+        case 'auth/weak-password':
+            return 'Password must be at least 6 characters.';
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return 'Email or password is incorrect.';
+        case 'auth/network-request-failed':
+            return 'Network error. Please try again.';
+        default:
+            return error?.message || 'Something went wrong. Please try again.';
+    }
+}
+
+/**
+ * Open the sign-in / create account dialog
+ */
+function openAccountModal() {
+    if (isTrainingRunning) {
+        showCustomMessage("Finish or stop the session before changing accounts.", "red");
+        return;
+    }
+    document.getElementById('account-form').reset();
+    document.getElementById('account-error').classList.add('hidden');
+    document.getElementById('account-modal').classList.remove('hidden');
+}
+
+/**
+ * Close the account dialog
+ */
+function closeAccountModal() {
+    document.getElementById('account-modal').classList.add('hidden');
+}
+
+/**
+ * Handle the account form: "Create Account" links the guest account, "Sign In" moves the
+ * guest's data into an existing account and switches to it
+ */
+async function handleAccountSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const email = document.getElementById('account-email').value.trim();
+    const password = document.getElementById('account-password').value;
+    const isSignUp = e.submitter?.value === 'sign-up';
+    const errorEl = document.getElementById('account-error');
+    const buttons = form.querySelectorAll('button');
+
+    buttons.forEach(button => { button.disabled = true; });
+    const result = isSignUp
+        ? await storage.account.signUp(email, password)
+        : await storage.account.signIn(email, password);
+    buttons.forEach(button => { button.disabled = false; });
+
+    if (!result.success) {
+        errorEl.textContent = describeAuthError(result.error);
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    closeAccountModal();
+    if (isSignUp) {
+        // Same uid as before, so the existing listeners keep working
+        renderAccountStatus(result.account);
+        showCustomMessage("Account created! Your routines and history now follow you.", "green");
+    } else {
+        // A different uid: reload so every listener re-subscribes for the new account
+        window.location.reload();
+    }
+}
+
+/**
+ * Handle signing out of an email account
+ */
+async function handleSignOut() {
+    if (isTrainingRunning) {
+        showCustomMessage("Finish or stop the session before signing out.", "red");
+        return;
+    }
+
+    const result = await storage.account.signOut();
+    if (result.success) {
+        window.location.reload();
+    } else {
+        showCustomMessage("Failed to sign out.", "red");
+    }
+}
+
 /**
  * Initialize the application
  */
@@ -786,54 +1888,171 @@ async function init() {
     }
 
     document.getElementById('back-btn').addEventListener('click', handleBackToMain);
-    uiElements.customRoutineForm.addEventListener('submit', handleCreateRoutine);
-
-    // Initialize Firebase
-    const firebaseResult = await initializeFirebase();
-
-    if (firebaseResult.success) {
-        // Load custom routines with real-time updates (wait for auth)
-        loadCustomRoutines((customRoutines) => {
-            allAvailableRoutines = [...builtInRoutines, ...customRoutines];
-            renderRoutineSelector(
-                allAvailableRoutines,
-                routineCombos,
-                startCountdown,
-                handleDelete
-            );
-
-            uiElements.loadingState.classList.add('hidden');
-            uiElements.appContent.classList.remove('hidden');
-            uiElements.userIdDisplay.textContent = `Sync Status: Cloud Connected (Public Data)`;
-        }).catch(error => {
-            console.error("Error loading routines:", error);
-            // Fallback to built-in routines if load fails
-            allAvailableRoutines = [...builtInRoutines];
-            renderRoutineSelector(
-                allAvailableRoutines,
-                routineCombos,
-                startCountdown,
-                handleDelete
-            );
-            uiElements.loadingState.classList.add('hidden');
-            uiElements.appContent.classList.remove('hidden');
-            uiElements.userIdDisplay.textContent = 'Sync Status: Using built-in routines only';
-        });
+    uiElements.customRoutineForm.addEventListener('submit', handleSaveRoutine);
+    uiElements.customRoutineForm.addEventListener('input', updateRoutinePreview);
+    uiElements.customRoutineForm.addEventListener('change', updateRoutinePreview);
+    document.getElementById('input-ramp-enabled').addEventListener('change', toggleRampFields);
+    document.getElementById('routine-form-cancel').addEventListener('click', resetRoutineForm);
+    document.getElementById('community-search').addEventListener('input', renderCommunity);
+    updateRoutinePreview();
+    uiElements.comboForm.addEventListener('submit', handleCreateCombo);
+    document.getElementById('combo-add-step-btn').addEventListener('click', handleAddComboStep);
+    document.getElementById('account-btn').addEventListener('click', openAccountModal);
+    document.getElementById('account-cancel-btn').addEventListener('click', closeAccountModal);
+    document.getElementById('account-form').addEventListener('submit', handleAccountSubmit);
+    document.getElementById('sign-out-btn').addEventListener('click', handleSignOut);
+    document.getElementById('goal-form').addEventListener('submit', handleSaveGoal);
+    const historyFilterForm = document.getElementById('history-filters');
+    historyFilterForm.addEventListener('input', handleHistoryFilterChange);
+    historyFilterForm.addEventListener('change', handleHistoryFilterChange);
+    historyFilterForm.addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('history-clear-filters').addEventListener('click', handleClearHistoryFilters);
+    document.getElementById('history-load-more').addEventListener('click', handleLoadMoreHistory);
+    document.getElementById('history-export-csv').addEventListener('click', () => handleExportHistory('csv'));
+    document.getElementById('history-export-json').addEventListener('click', () => handleExportHistory('json'));
+    document.getElementById('history-import-file').addEventListener('change', handleImportHistory);
+    document.getElementById('share-close-btn').addEventListener('click', closeShareModal);
+    document.getElementById('share-copy-btn').addEventListener('click', handleCopyShareLink);
+    document.getElementById('share-download-btn').addEventListener('click', handleDownloadShareFile);
+    document.getElementById('routine-import-file').addEventListener('change', handleRoutineFileChosen);
+    document.getElementById('routine-import-cancel-btn').addEventListener('click', closeRoutineImport);
+    document.getElementById('routine-import-add-btn').addEventListener('click', handleAddSharedRoutine);
+    document.getElementById('checkin-form').addEventListener('submit', handleCheckInSubmit);
+    document.getElementById('checkin-skip-btn').addEventListener('click', () => finishCheckIn(null));
+    document.getElementById('checkin-stress').addEventListener('input', (e) => {
+        document.getElementById('checkin-stress-value').textContent = e.target.value;
+    });
+    document.getElementById('settings-btn').addEventListener('click', () => {
+        document.getElementById('settings-modal').classList.remove('hidden');
+    });
+    document.getElementById('settings-close-btn').addEventListener('click', () => {
+        document.getElementById('settings-modal').classList.add('hidden');
+    });
+    document.getElementById('setting-check-ins').addEventListener('change', handleCheckInsSettingChange);
+    ['setting-voice-enabled', 'setting-voice-lang', 'setting-voice', 'setting-voice-rate'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', handleVoiceSettingChange);
+    });
+    document.getElementById('setting-voice-rate').addEventListener('input', (e) => {
+        document.getElementById('setting-voice-rate-value').textContent = `${Number(e.target.value).toFixed(1)}×`;
+    });
+    document.getElementById('setting-voice-preview').addEventListener('click', previewVoice);
+    renderSoundPacks();
+    renderSoundPackOptions(SOUND_PACKS);
+    document.getElementById('setting-ambient-enabled').addEventListener('change', handleAmbientSettingChange);
+    document.getElementById('setting-ambient-volume').addEventListener('change', handleAmbientSettingChange);
+    document.getElementById('setting-ambient-volume').addEventListener('input', handleAmbientVolumeInput);
+    ['master', 'cues', 'bell', 'voice'].forEach((channel) => {
+        const slider = document.getElementById(`setting-volume-${channel}`);
+        slider.addEventListener('input', () => handleVolumeInput(channel, slider.value));
+        slider.addEventListener('change', saveMixerSettings);
+    });
+    const masterSlider = document.getElementById('master-volume');
+    masterSlider.addEventListener('input', () => handleVolumeInput('master', masterSlider.value));
+    masterSlider.addEventListener('change', saveMixerSettings);
+    document.getElementById('mute-btn').addEventListener('click', toggleMute);
+    document.getElementById('setting-muted').addEventListener('change', toggleMute);
+    document.addEventListener('keydown', handleMuteShortcut);
+    renderMixerSettings(mixerSettings);
+    // Browsers load their voices asynchronously
+    renderVoiceControls();
+    onVoicesChanged(renderVoiceControls);
+
+    // Open the configured storage backend (Firebase by default, see app-config.js)
+    let connected = false;
+    try {
+        const opened = await openStorage();
+        storage = opened.storage;
+        connected = opened.connected;
+    } catch (error) {
+        console.error("Error opening storage:", error);
+        storage = (await openStorage('memory')).storage;
+    }
+
+    historyMoreStored = Boolean(storage.history.loadMore);
+
+    if (!storage.account) {
+        renderAccountStatus(null, storage.name === 'local'
+            ? 'Saved in this browser only'
+            : 'Nothing is saved: changes last until you reload');
+    } else if (connected) {
+        renderAccountStatus(storage.account.getCurrent());
     } else {
-        // Fallback to built-in routines only
-        allAvailableRoutines = [...builtInRoutines];
-        renderRoutineSelector(
-            allAvailableRoutines,
-            routineCombos,
-            startCountdown,
-            handleDelete
-        );
+        renderAccountStatus(null, 'Offline: changes are saved on this device and sync when you reconnect.');
+    }
+    document.getElementById('community-selector').classList.toggle('hidden', !storage.community);
+
+    // Show changes made offline that are still waiting to be replayed, and any the server refused
+    storage.sync?.watchPending(renderPendingSync);
+    storage.sync?.watchRejected(handleRejectedWrites);
+
+    // Load custom routines with real-time updates (a local copy arrives first, even offline)
+    storage.routines.subscribe((routines) => {
+        customRoutines = routines;
+        renderRoutines();
+
         uiElements.loadingState.classList.add('hidden');
         uiElements.appContent.classList.remove('hidden');
-        uiElements.userIdDisplay.textContent = 'Sync Status: Connection Failed. Please check console for details.';
-    }
+    }).catch(error => {
+        console.error("Error loading routines:", error);
+        // Fallback to built-in routines if load fails
+        customRoutines = [];
+        renderRoutines();
+        uiElements.loadingState.classList.add('hidden');
+        uiElements.appContent.classList.remove('hidden');
+        renderAccountStatus(storage.account?.getCurrent() || null, 'Storage unavailable: using built-in routines only');
+    });
+
+    // Load the Community library with real-time updates
+    storage.community?.subscribe((routines) => {
+        communityRoutines = routines;
+        renderRoutines();
+    }).catch(error => {
+        console.error("Error loading community routines:", error);
+    });
+
+    // Load custom combos with real-time updates
+    storage.combos.subscribe((combos) => {
+        customCombos = combos;
+        renderRoutines();
+    }).catch(error => {
+        console.error("Error loading combos:", error);
+    });
+
+    // Load history with real-time updates; the daily goal and History tab both use it
+    storage.history.subscribe((sessions) => {
+        trainingHistory = sessions;
+        renderGoalProgress();
+        if (currentScreen === 'history') renderHistory(trainingHistory);
+    }).catch(error => {
+        console.error("Error loading history:", error);
+    });
+
+    // Load preferences (daily goal, check-ins, voice) with real-time updates
+    storage.settings.subscribe((settings) => {
+        const preferences = settings.find(item => item.id === PREFERENCES_ID);
+        dailyGoal = preferences?.dailyGoal || DEFAULT_DAILY_GOAL;
+        checkInsEnabled = preferences?.checkIns ?? true;
+        document.getElementById('setting-check-ins').checked = checkInsEnabled;
+        setVoiceSettings(preferences?.voice);
+        renderVoiceControls();
+        soundPackId = preferences?.soundPack || DEFAULT_SOUND_PACK;
+        setSoundPack(soundPackId);
+        renderSoundPacks();
+        ambientSettings = { ...DEFAULT_AMBIENT_SETTINGS, ...preferences?.ambient };
+        setAmbientSettings(ambientSettings);
+        renderAmbientSettings(ambientSettings);
+        applyMixerSettings({ ...DEFAULT_MIXER_SETTINGS, ...preferences?.mixer });
+        renderGoalProgress();
+    }).catch(error => {
+        console.error("Error loading settings:", error);
+    });
+
+    // Filters in the URL mean the page was reloaded (or bookmarked) on the History tab
+    switchTab(hasHistoryFilters(historyFilters) ? 'history' : 'routines');
 
-    switchTab('routines');
+    // Share links (#import=...) work on load and when pasted into an open tab
+    checkShareLink();
+    window.addEventListener('hashchange', checkShareLink);
 }
 
 // Start the app when DOM is ready
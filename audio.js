@@ -3,11 +3,165 @@
  *
  * Uses Tone.js for meditative sounds during breathing exercises.
  *
+ * Sounds come from sound packs: each pack builds its own Tone.js instruments
+ * and maps every cue to a sound. The cues are the phase sounds chosen by
+ * buildPhases ('in' for inhales, 'out' for exhales, 'holdIn' / 'holdOut' for
+ * holds after them) plus 'start' (countdown, combo transitions) and 'finish'.
+ * One pack is selected for the whole app; a routine may name its own with
+ * `soundPack` (see routines.js).
+ *
+ * An optional ambient layer (filtered pink noise) follows the breath
+ * continuously, so a session can be followed without looking or counting.
+ *
+ * Everything plays through a small mixer: phase cues, the finish bell and
+ * the ambient layer each have a channel level, and all of them pass through
+ * the master volume and mute.
+ *
  * Note: Tone.js is loaded globally from CDN in index.html
  */
 
-let volumeNode, meditativeSynth, finishBell;
+import { SOUND_PACK_IDS, DEFAULT_SOUND_PACK } from './constants.js';
+
+/**
+ * Registered sound packs, in menu order (one per entry of SOUND_PACK_IDS).
+ * sounds: cue -> { instrument, note (or chord), duration }; a cue a pack leaves out is silent.
+ */
+export const SOUND_PACKS = {
+    classic: {
+        name: 'Classic',
+        description: 'Short FM tones and a deep finish bell',
+        createInstruments: () => ({
+            tone: new Tone.FMSynth({
+                harmonicity: 0.8,
+                modulationIndex: 2,
+                envelope: { attack: 0.05, decay: 0.3, sustain: 0.1, release: 0.5 },
+                modulation: { type: "triangle" },
+                volume: 0
+            }),
+            bell: new Tone.MembraneSynth({
+                pitchDecay: 0.005,
+                octaves: 10,
+                envelope: { attack: 0.001, decay: 0.8, sustain: 0.01, release: 1.8 },
+                volume: -10
+            })
+        }),
+        sounds: {
+            start: { instrument: 'tone', note: "C6", duration: "64n" },
+            in: { instrument: 'tone', note: "G4", duration: "0.3s" },
+            holdIn: { instrument: 'tone', note: "A4", duration: "0.3s" },
+            out: { instrument: 'tone', note: "D4", duration: "0.3s" },
+            holdOut: { instrument: 'tone', note: "C4", duration: "0.3s" },
+            finish: { instrument: 'bell', note: "C3", duration: 2 }
+        }
+    },
+    singingBowl: {
+        name: 'Singing bowl',
+        description: 'Long, shimmering bowl strikes',
+        createInstruments: () => ({
+            bowl: new Tone.FMSynth({
+                harmonicity: 2.76,
+                modulationIndex: 1.5,
+                envelope: { attack: 0.005, decay: 2.5, sustain: 0, release: 3 },
+                modulation: { type: "sine" },
+                modulationEnvelope: { attack: 0.01, decay: 1.5, sustain: 0, release: 2 },
+                volume: -4
+            })
+        }),
+        sounds: {
+            start: { instrument: 'bowl', note: "A5", duration: "0.5s" },
+            in: { instrument: 'bowl', note: "A4", duration: "1s" },
+            holdIn: { instrument: 'bowl', note: "C5", duration: "1s" },
+            out: { instrument: 'bowl', note: "E4", duration: "1s" },
+            holdOut: { instrument: 'bowl', note: "D4", duration: "1s" },
+            finish: { instrument: 'bowl', note: "A3", duration: 4 }
+        }
+    },
+    softChime: {
+        name: 'Soft chime',
+        description: 'Gentle sine chimes',
+        createInstruments: () => ({
+            chime: new Tone.PolySynth(Tone.Synth, {
+                oscillator: { type: "sine" },
+                envelope: { attack: 0.02, decay: 1.2, sustain: 0, release: 1.5 },
+                volume: -6
+            })
+        }),
+        sounds: {
+            start: { instrument: 'chime', note: "E6", duration: "0.2s" },
+            in: { instrument: 'chime', note: "E5", duration: "0.6s" },
+            holdIn: { instrument: 'chime', note: "G5", duration: "0.6s" },
+            out: { instrument: 'chime', note: "C5", duration: "0.6s" },
+            holdOut: { instrument: 'chime', note: "D5", duration: "0.6s" },
+            finish: { instrument: 'chime', note: ["C5", "E5", "G5"], duration: 3 }
+        }
+    },
+    woodblock: {
+        name: 'Woodblock tick',
+        description: 'Short, dry ticks',
+        createInstruments: () => ({
+            block: new Tone.MembraneSynth({
+                pitchDecay: 0.008,
+                octaves: 2,
+                envelope: { attack: 0.001, decay: 0.12, sustain: 0, release: 0.05 },
+                volume: -4
+            })
+        }),
+        sounds: {
+            start: { instrument: 'block', note: "C6", duration: "32n" },
+            in: { instrument: 'block', note: "G5", duration: "32n" },
+            holdIn: { instrument: 'block', note: "E5", duration: "32n" },
+            out: { instrument: 'block', note: "C5", duration: "32n" },
+            holdOut: { instrument: 'block', note: "D5", duration: "32n" },
+            finish: { instrument: 'block', note: "C4", duration: "8n" }
+        }
+    },
+    lowDrone: {
+        name: 'Low drone',
+        description: 'Deep, slow swells',
+        createInstruments: () => ({
+            drone: new Tone.AMSynth({
+                harmonicity: 1.5,
+                oscillator: { type: "sine" },
+                envelope: { attack: 0.4, decay: 0.5, sustain: 0.6, release: 1.5 },
+                modulation: { type: "sine" },
+                volume: -2
+            })
+        }),
+        sounds: {
+            start: { instrument: 'drone', note: "C3", duration: "0.4s" },
+            in: { instrument: 'drone', note: "G2", duration: "1s" },
+            holdIn: { instrument: 'drone', note: "A2", duration: "1s" },
+            out: { instrument: 'drone', note: "D2", duration: "1s" },
+            holdOut: { instrument: 'drone', note: "C2", duration: "1s" },
+            finish: { instrument: 'drone', note: "C2", duration: 3 }
+        }
+    },
+    silent: {
+        name: 'Silent',
+        description: 'No sounds at all',
+        createInstruments: () => ({}),
+        sounds: {}
+    }
+};
+
+/** Every cue a pack can map */
+const SOUND_CUES = ['start', 'in', 'holdIn', 'out', 'holdOut', 'finish'];
+
+/** Cues played by a pack preview, in order */
+const PREVIEW_CUES = ['in', 'holdIn', 'out', 'holdOut'];
+const PREVIEW_SPACING_SECONDS = 0.7;
+
+/** Mixer preferences as stored in the settings document (levels 0-100) */
+export const DEFAULT_MIXER_SETTINGS = { master: 100, muted: false, cues: 100, bell: 100, voice: 100 };
+
+const MASTER_BASE_DB = -8; // Master volume at 100%
+
+let volumeNode; // Master volume and mute
+const channelVolumes = {}; // 'cues' and 'bell' channel levels, feeding volumeNode
 let audioInitialized = false;
+let mixerSettings = { ...DEFAULT_MIXER_SETTINGS };
+let selectedPackId = DEFAULT_SOUND_PACK;
+const packInstruments = new Map(); // "<channel>:<pack ID>" -> instruments, built on first use
 
 /**
  * Initialize audio components (called lazily on first use)
@@ -15,32 +169,102 @@ let audioInitialized = false;
 function initializeAudio() {
     if (audioInitialized || typeof Tone === 'undefined') return;
 
-    volumeNode = new Tone.Volume(-8).toDestination(); // Increased from -16 to -8
+    volumeNode = new Tone.Volume(MASTER_BASE_DB).toDestination();
+    channelVolumes.cues = new Tone.Volume(0).connect(volumeNode);
+    channelVolumes.bell = new Tone.Volume(0).connect(volumeNode);
 
-    meditativeSynth = new Tone.FMSynth({
-        harmonicity: 0.8,
-        modulationIndex: 2,
-        envelope: { attack: 0.05, decay: 0.3, sustain: 0.1, release: 0.5 },
-        modulation: { type: "triangle" },
-        volume: 0 // Increased from -8 to 0
-    }).connect(volumeNode);
+    audioInitialized = true;
+    applyMixer();
+}
 
-    finishBell = new Tone.MembraneSynth({
-        pitchDecay: 0.005,
-        octaves: 10,
-        envelope: { attack: 0.001, decay: 0.8, sustain: 0.01, release: 1.8 },
-        volume: -10
-    }).connect(volumeNode);
+/**
+ * A level slider (0-100) in decibels
+ */
+function levelToDecibels(level) {
+    return level > 0 ? Tone.gainToDb(level / 100) : -Infinity;
+}
 
-    audioInitialized = true;
+/**
+ * Set the master and channel volumes from the mixer settings
+ */
+function applyMixer() {
+    if (!audioInitialized) return;
+
+    volumeNode.volume.value = mixerSettings.muted ? -Infinity : levelToDecibels(mixerSettings.master) + MASTER_BASE_DB;
+    channelVolumes.cues.volume.value = levelToDecibels(mixerSettings.cues);
+    channelVolumes.bell.volume.value = levelToDecibels(mixerSettings.bell);
+}
+
+/**
+ * Apply mixer preferences (missing fields fall back to the defaults).
+ * The voice level is not used here: speech bypasses Tone.js (see voice.js).
+ */
+export function setMixerSettings(settings) {
+    mixerSettings = { ...DEFAULT_MIXER_SETTINGS, ...(settings || {}) };
+    applyMixer();
+}
+
+/**
+ * The instruments of a pack on a mixer channel ('cues' or 'bell')
+ */
+function getPackInstruments(packId, channel) {
+    const key = `${channel}:${packId}`;
+    if (!packInstruments.has(key)) {
+        const instruments = SOUND_PACKS[packId].createInstruments();
+        Object.values(instruments).forEach(instrument => instrument.connect(channelVolumes[channel]));
+        packInstruments.set(key, instruments);
+    }
+    return packInstruments.get(key);
+}
+
+/**
+ * Choose the app-wide sound pack (unknown IDs fall back to the default)
+ */
+export function setSoundPack(packId) {
+    selectedPackId = SOUND_PACK_IDS.includes(packId) ? packId : DEFAULT_SOUND_PACK;
+}
+
+/**
+ * The pack to play: a routine's own pack when it has a known one, else the app-wide pack
+ */
+export function resolveSoundPack(routinePackId) {
+    return SOUND_PACK_IDS.includes(routinePackId) ? routinePackId : selectedPackId;
+}
+
+/**
+ * Start the audio context (required for browser audio)
+ */
+async function startAudioContext() {
+    try {
+        await Tone.start();
+    } catch (e) {
+        // Audio context might already be started, that's fine
+        if (!e.message.includes('already started')) {
+            console.warn('Tone.start warning:', e);
+        }
+    }
+}
+
+/**
+ * Play one cue of a pack, now or at a Tone.js time (the finish cue plays on the bell channel)
+ */
+function triggerCue(packId, type, time) {
+    const sound = SOUND_PACKS[packId].sounds[type];
+    if (!sound) return;
+
+    const instrument = getPackInstruments(packId, type === 'finish' ? 'bell' : 'cues')[sound.instrument];
+    instrument.triggerAttackRelease(sound.note, sound.duration, time);
 }
 
 /**
  * Play a sound effect for breathing phases
- * @param {string} type - Sound type: 'start', 'in', 'holdIn', 'out', 'holdOut', 'finish'
+ * @param {string} type - Sound type: 'start', 'in', 'holdIn', 'out', 'holdOut', 'finish', 'none'
  * @param {number} duration - Duration in seconds (optional)
+ * @param {string} [packId] - The routine's own sound pack (optional, defaults to the app-wide pack)
  */
-export async function playSound(type, duration = 0.5) {
+export async function playSound(type, duration = 0.5, packId = null) {
+    if (type === 'none') return;
+
     try {
         if (typeof Tone === 'undefined') {
             console.warn('Tone.js not loaded yet');
@@ -48,48 +272,221 @@ export async function playSound(type, duration = 0.5) {
         }
 
         initializeAudio();
+        await startAudioContext();
 
-        // Ensure audio context is started (required for browser audio)
-        try {
-            await Tone.start();
-        } catch (e) {
-            // Audio context might already be started, that's fine
-            if (!e.message.includes('already started')) {
-                console.warn('Tone.start warning:', e);
-            }
-        }
-
-        console.log('Playing sound:', type); // Debug log
-
-        let note;
-        switch (type) {
-            case 'start':
-                note = "C6";
-                meditativeSynth.triggerAttackRelease(note, "64n");
-                break;
-            case 'in':
-                note = "G4";
-                meditativeSynth.triggerAttackRelease(note, "0.3s"); // Increased duration
-                break;
-            case 'holdIn':
-                note = "A4";
-                meditativeSynth.triggerAttackRelease(note, "0.3s");
-                break;
-            case 'out':
-                note = "D4";
-                meditativeSynth.triggerAttackRelease(note, "0.3s");
-                break;
-            case 'holdOut':
-                note = "C4";
-                meditativeSynth.triggerAttackRelease(note, "0.3s");
-                break;
-            case 'finish':
-                finishBell.triggerAttackRelease("C3", 2);
-                break;
-            default:
-                console.warn('Unknown sound type:', type);
+        if (!SOUND_CUES.includes(type)) {
+            console.warn('Unknown sound type:', type);
+            return;
         }
+        triggerCue(resolveSoundPack(packId), type);
     } catch (error) {
         console.error('Error playing sound:', error, 'Type:', type);
     }
 }
+
+/**
+ * Play a pack's phase cues one after another so it can be compared with others
+ */
+export async function previewSoundPack(packId) {
+    if (typeof Tone === 'undefined' || !SOUND_PACK_IDS.includes(packId)) return;
+
+    try {
+        initializeAudio();
+        await startAudioContext();
+
+        const now = Tone.now();
+        PREVIEW_CUES.forEach((type, index) => {
+            triggerCue(packId, type, now + index * PREVIEW_SPACING_SECONDS);
+        });
+    } catch (error) {
+        console.error('Error previewing sound pack:', error, 'Pack:', packId);
+    }
+}
+
+/**
+ * Subscribe phase cues, combo transition and finish sounds to a SessionEngine.
+ * Each combo step plays with its own routine's pack.
+ * @returns {Function} Unsubscribe function
+ */
+export function attachSessionAudio(engine) {
+    let packId = engine.routine?.soundPack;
+
+    const unsubscribers = [
+        engine.on('routineStart', ({ routine }) => {
+            packId = routine.soundPack;
+        }),
+        engine.on('phaseStart', ({ phase }) => {
+            playSound(phase.sound, phase.duration, packId);
+        }),
+        engine.on('transition', ({ sound, routine }) => {
+            // Announce the next routine in its own pack
+            if (sound) playSound(sound, undefined, routine.soundPack);
+        }),
+        engine.on('completed', () => {
+            playSound('finish', undefined, packId);
+        })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/** Ambient layer preferences as stored in the settings document (volume 0-100) */
+export const DEFAULT_AMBIENT_SETTINGS = { enabled: false, volume: 50 };
+
+// Lowpass cutoff (Hz) with empty and with full lungs; the level follows the same curve
+const AMBIENT_LOW_HZ = 250;
+const AMBIENT_HIGH_HZ = 2000;
+const AMBIENT_MIN_LEVEL = 0.35;
+const AMBIENT_BASE_DB = -14; // At full volume the noise still sits under the cues
+const AMBIENT_FADE_IN_SECONDS = 1;
+const AMBIENT_PAUSE_FADE_SECONDS = 1.5;
+const AMBIENT_STOP_FADE_SECONDS = 2;
+const EMPTY_LUNGS = 0.5; // phase.scaleTarget of an exhale (see session-engine.js)
+
+let ambientSettings = { ...DEFAULT_AMBIENT_SETTINGS };
+let ambient = null; // { noise, filter, breath, fade, volume }, built on first use
+let ambientRunning = false;
+
+/**
+ * Build the ambient chain: pink noise -> lowpass filter -> breath level -> fade -> volume -> master
+ */
+function initializeAmbient() {
+    if (ambient || typeof Tone === 'undefined') return;
+
+    initializeAudio();
+    const volume = new Tone.Volume(getAmbientDecibels()).connect(volumeNode);
+    const fade = new Tone.Gain(0).connect(volume);
+    const breath = new Tone.Gain(AMBIENT_MIN_LEVEL).connect(fade);
+    const filter = new Tone.Filter({ type: 'lowpass', frequency: AMBIENT_LOW_HZ, rolloff: -24, Q: 0.7 }).connect(breath);
+    const noise = new Tone.Noise('pink').connect(filter);
+    ambient = { noise, filter, breath, fade, volume };
+}
+
+/**
+ * The ambient volume slider (0-100) in decibels
+ */
+function getAmbientDecibels() {
+    return levelToDecibels(ambientSettings.volume) + AMBIENT_BASE_DB;
+}
+
+/**
+ * Apply ambient preferences; turning the layer off fades out a running session's ambience
+ */
+export function setAmbientSettings(settings) {
+    ambientSettings = { ...DEFAULT_AMBIENT_SETTINGS, ...(settings || {}) };
+    if (!ambient) return;
+
+    ambient.volume.volume.value = getAmbientDecibels();
+    if (!ambientSettings.enabled) stopAmbient();
+}
+
+/**
+ * Ramp the breath filter and level to a lung fullness over some seconds
+ * @param {number} scaleTarget - 0.5 (empty) to 1.0 (full), as phase.scaleTarget
+ */
+function followBreath(scaleTarget, seconds) {
+    const fullness = Math.min(Math.max((scaleTarget - EMPTY_LUNGS) / (1 - EMPTY_LUNGS), 0), 1);
+    const frequency = AMBIENT_LOW_HZ * Math.pow(AMBIENT_HIGH_HZ / AMBIENT_LOW_HZ, fullness);
+    const level = AMBIENT_MIN_LEVEL + (1 - AMBIENT_MIN_LEVEL) * fullness;
+
+    const now = Tone.now();
+    freezeBreath(now);
+    ambient.filter.frequency.exponentialRampToValueAtTime(frequency, now + seconds);
+    ambient.breath.gain.linearRampToValueAtTime(level, now + seconds);
+}
+
+/**
+ * Hold the breath filter and level where they are
+ */
+function freezeBreath(now = Tone.now()) {
+    ambient.filter.frequency.cancelAndHoldAtTime(now);
+    ambient.breath.gain.cancelAndHoldAtTime(now);
+}
+
+/**
+ * Fade the whole ambient layer in (1) or out (0)
+ */
+function fadeAmbient(level, seconds) {
+    const now = Tone.now();
+    ambient.fade.gain.cancelAndHoldAtTime(now);
+    ambient.fade.gain.linearRampToValueAtTime(level, now + seconds);
+}
+
+/**
+ * Start the noise with empty lungs and fade it in
+ */
+function startAmbient() {
+    initializeAmbient();
+    if (!ambient) return;
+
+    const now = Tone.now();
+    ambient.filter.frequency.cancelScheduledValues(now).setValueAtTime(AMBIENT_LOW_HZ, now);
+    ambient.breath.gain.cancelScheduledValues(now).setValueAtTime(AMBIENT_MIN_LEVEL, now);
+    ambient.noise.stop(now).start(now);
+    fadeAmbient(1, AMBIENT_FADE_IN_SECONDS);
+    ambientRunning = true;
+}
+
+/**
+ * Fade the ambient layer out and stop the noise once it is silent
+ */
+function stopAmbient() {
+    if (!ambientRunning) return;
+
+    ambientRunning = false;
+    fadeAmbient(0, AMBIENT_STOP_FADE_SECONDS);
+    ambient.noise.stop(Tone.now() + AMBIENT_STOP_FADE_SECONDS);
+}
+
+/**
+ * Subscribe the ambient layer to a SessionEngine when it is turned on: it
+ * brightens and swells while breathing in, darkens and settles while
+ * breathing out, reaching each phase's fullness as the phase ends. It freezes
+ * during holds, fades out while paused and rests quietly between combo steps.
+ * @returns {Function} Unsubscribe function (fades the layer out)
+ */
+export function attachSessionAmbient(engine) {
+    if (!ambientSettings.enabled || typeof Tone === 'undefined') return () => {};
+
+    let phase = null;
+    let rampPending = false; // Set when the ramp must be (re)planned from the remaining time
+    startAmbient();
+
+    const unsubscribers = [
+        engine.on('phaseStart', ({ phase: next }) => {
+            phase = next;
+            rampPending = true;
+        }),
+        engine.on('progress', ({ phaseRemaining }) => {
+            if (!rampPending || !ambientRunning || !phase || phaseRemaining === null) return;
+
+            rampPending = false;
+            if (phase.type === 'hold') {
+                freezeBreath();
+            } else {
+                followBreath(phase.scaleTarget, Math.max(phaseRemaining, 0.05));
+            }
+        }),
+        engine.on('transition', ({ seconds }) => {
+            phase = null;
+            if (ambientRunning) followBreath(EMPTY_LUNGS, seconds);
+        }),
+        engine.on('paused', () => {
+            if (!ambientRunning) return;
+            freezeBreath();
+            fadeAmbient(0, AMBIENT_PAUSE_FADE_SECONDS);
+        }),
+        engine.on('resumed', () => {
+            if (!ambientRunning) return;
+            fadeAmbient(1, AMBIENT_FADE_IN_SECONDS);
+            rampPending = true;
+        }),
+        engine.on('completed', () => stopAmbient()),
+        engine.on('stopped', () => stopAmbient())
+    ];
+
+    return () => {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        stopAmbient();
+    };
+}
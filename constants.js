@@ -0,0 +1,10 @@
+/**
+ * Constants
+ *
+ * Plain values shared by modules that should not depend on each other, so
+ * that validation.js, for one, needs no audio code.
+ */
+
+/** Sound pack IDs in menu order: the keys of SOUND_PACKS in audio.js, also listed in firestore.rules */
+export const SOUND_PACK_IDS = ['classic', 'singingBowl', 'softChime', 'woodblock', 'lowDrone', 'silent'];
+export const DEFAULT_SOUND_PACK = 'classic';
@@ -6,10 +6,14 @@
  * See firebase-security-rules.txt for setup instructions.
  */
 
-import { initializeApp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
-import { getFirestore, collection, query, orderBy, onSnapshot, addDoc, doc, deleteDoc } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { initializeApp, deleteApp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js";
+import { getAuth, connectAuthEmulator, signInAnonymously, onAuthStateChanged, EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword, signOut } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
+import { getFirestore, connectFirestoreEmulator, collection, query, where, orderBy, onSnapshot, getDocs, addDoc, doc, limit, startAfter, updateDoc, deleteDoc, writeBatch, increment } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { firebaseConfig as defaultConfig } from './firebase-config-values.js';
+import { appConfig } from './app-config.js';
+import { validateRoutine, validateCombo, validateHistoryEntry, validateSettings, invalidResult } from './validation.js';
+import { createLocalId } from './storage.js';
+import { getLocalDoc, writeLocal, createLocalMany, watchLocalDocs, mergeRemoteDocs, countPendingWrites, watchPendingWrites, flushPendingWrites, watchRejectedWrites, getRejectedWrites, clearRejectedWrites, removeOwnerData } from './offline-store.js';
 
 /**
  * Get Firebase configuration
@@ -31,8 +35,38 @@ function getFirebaseConfig() {
     return defaultConfig;
 }
 
+/**
+ * Get the emulator settings when emulator mode is on (null otherwise)
+ *
+ * Turned on by appConfig.emulator.enabled or by opening the page with
+ * ?emulator=1 (?emulator=0 turns it off again).
+ */
+function getEmulatorConfig() {
+    const emulator = appConfig.emulator || {};
+    const param = new URLSearchParams(window.location.search).get('emulator');
+    const enabled = param !== null ? param === '1' : Boolean(emulator.enabled);
+    if (!enabled) return null;
+
+    return {
+        host: emulator.host || '127.0.0.1',
+        authPort: emulator.authPort || 9099,
+        firestorePort: emulator.firestorePort || 8080
+    };
+}
+
 let app, db, auth;
 const activeFirebaseConfig = getFirebaseConfig();
+const LAST_UID_KEY = 'zen-last-uid';
+const MAX_BATCH_WRITES = 500; // Most writes Firestore commits at once
+
+// History is read from Firestore in pages: a live listener covers the newest
+// sessions and each older page is fetched on demand (see loadOlderHistory)
+const HISTORY_LIVE_LIMIT = 50;
+const HISTORY_FETCH_SIZE = 100;
+
+// Where the current history subscription's next older page starts:
+// { ref, ownerId, cursor (last document reached), before (its timestamp), fetched, done, loading }
+let historyPager = null;
 
 /**
  * Ensure user is authenticated before operations
@@ -64,7 +98,7 @@ async function ensureAuthenticated() {
 }
 
 /**
- * Initialize Firebase and authenticate anonymously
+ * Initialize Firebase and restore the saved account (anonymous if there is none)
  */
 export async function initializeFirebase() {
     try {
@@ -72,9 +106,24 @@ export async function initializeFirebase() {
         db = getFirestore(app);
         auth = getAuth(app);
 
+        // Must connect before the first read, write or sign-in
+        const emulator = getEmulatorConfig();
+        if (emulator) {
+            connectAuthEmulator(auth, `http://${emulator.host}:${emulator.authPort}`, { disableWarnings: true });
+            connectFirestoreEmulator(db, emulator.host, emulator.firestorePort);
+            console.log("Using Firebase emulators on", emulator.host);
+        }
+
         console.log("Initializing Firebase auth...");
-        const userCredential = await signInAnonymously(auth);
-        console.log("Anonymous auth successful:", userCredential.user.uid);
+        // Reuse the persisted session so email accounts stay signed in across reloads
+        await auth.authStateReady();
+        if (!auth.currentUser) {
+            const userCredential = await signInAnonymously(auth);
+            console.log("Anonymous auth successful:", userCredential.user.uid);
+        } else {
+            console.log("Restored auth session:", auth.currentUser.uid);
+        }
+        localStorage.setItem(LAST_UID_KEY, auth.currentUser.uid);
 
         return { app, db, auth, success: true };
     } catch (error) {
@@ -84,6 +133,202 @@ export async function initializeFirebase() {
     }
 }
 
+/**
+ * Get the signed-in user's ID (null before authentication)
+ */
+export function getCurrentUserId() {
+    return auth?.currentUser?.uid || null;
+}
+
+/**
+ * Describe a Firebase user for the account indicator
+ */
+function toAccountInfo(user) {
+    return user ? { uid: user.uid, email: user.email, isAnonymous: user.isAnonymous } : null;
+}
+
+/**
+ * Get the current account ({ uid, email, isAnonymous }, or null before authentication)
+ */
+export function getCurrentAccount() {
+    return toAccountInfo(auth?.currentUser);
+}
+
+/**
+ * Watch sign-in and sign-out (returns the unsubscribe function)
+ */
+export function onAccountChanged(callback) {
+    if (!auth) {
+        callback(null);
+        return () => {};
+    }
+    return onAuthStateChanged(auth, user => callback(toAccountInfo(user)));
+}
+
+/**
+ * Turn the anonymous account into an email/password account
+ *
+ * Linking keeps the same uid, so routines, combos and history stay with the user.
+ */
+export async function signUpWithEmail(email, password) {
+    try {
+        const user = await ensureAuthenticated();
+        if (!user.isAnonymous) {
+            return { success: false, error: new Error("Already signed in with an email account") };
+        }
+
+        const credential = EmailAuthProvider.credential(email, password);
+        await linkWithCredential(user, credential);
+        return { success: true, account: toAccountInfo(auth.currentUser) };
+    } catch (error) {
+        console.error("Error creating account:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Sign in to an existing email/password account
+ *
+ * This switches to that account's uid. A guest's routines, combos, history
+ * and preferences are moved into the account first (see moveGuestData), so
+ * nothing made before signing in is left behind.
+ */
+export async function signInWithEmail(email, password) {
+    if (!auth) {
+        return { success: false, error: new Error("Auth not initialized") };
+    }
+
+    try {
+        const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+        if (guest) await moveGuestData(guest, email, password);
+
+        const userCredential = await signInWithEmailAndPassword(auth, email, password);
+        if (guest) await removeOwnerData(guest.uid);
+        return { success: true, account: toAccountInfo(userCredential.user) };
+    } catch (error) {
+        console.error("Error signing in:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Commit [ref, data] pairs in as few batches as Firestore allows
+ * (data null deletes the document)
+ */
+async function commitWrites(database, writes) {
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(database);
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(([ref, data]) => {
+            if (data) {
+                batch.set(ref, data);
+            } else {
+                batch.delete(ref);
+            }
+        });
+        await batch.commit();
+    }
+}
+
+/**
+ * Copy a guest's data into an email account, then delete the guest's copies
+ *
+ * The account is signed in on a second Firebase app, so the guest stays
+ * signed in here until its data is safely in the account: wrong credentials
+ * or a failed copy leave everything as it was, and a failed clean-up leaves
+ * duplicates rather than losing anything. Routines and combos get new IDs
+ * (combo steps follow their routines); sessions keep theirs. The account's
+ * own preferences win over the guest's.
+ */
+async function moveGuestData(guest, email, password) {
+    // Changes made offline must reach the server before it is copied
+    await syncPendingWrites();
+    if (await countPendingWrites(guest.uid) > 0) {
+        throw new Error("Your guest data could not be saved. Check your connection and try again.");
+    }
+    if ((await getRejectedWrites(guest.uid)).length > 0) {
+        throw new Error("Some changes were not accepted by the server. Retry, export or discard them before signing in.");
+    }
+
+    const [routines, combos, history, settings] = await Promise.all([
+        getDocs(query(getTrainingsCollectionRef(), where("ownerId", "==", guest.uid))),
+        getDocs(query(getCombosCollectionRef(), where("ownerId", "==", guest.uid))),
+        getDocs(getHistoryCollectionRef(guest.uid)),
+        getDocs(getSettingsCollectionRef(guest.uid))
+    ]);
+
+    const accountApp = initializeApp(activeFirebaseConfig, `account-${Date.now()}`);
+    try {
+        const accountAuth = getAuth(accountApp);
+        const accountDb = getFirestore(accountApp);
+        const emulator = getEmulatorConfig();
+        if (emulator) {
+            connectAuthEmulator(accountAuth, `http://${emulator.host}:${emulator.authPort}`, { disableWarnings: true });
+            connectFirestoreEmulator(accountDb, emulator.host, emulator.firestorePort);
+        }
+        const { user } = await signInWithEmailAndPassword(accountAuth, email, password);
+        const accountSettings = await getDocs(collection(accountDb, getSettingsCollectionRef(user.uid).path));
+        const accountSettingIds = new Set(accountSettings.docs.map(settingsDoc => settingsDoc.id));
+
+        const routineIds = new Map(routines.docs.map(routineDoc => [routineDoc.id, createLocalId()]));
+        const copyStep = (step) => {
+            const routineId = typeof step === 'string' ? step : step.routineId;
+            const copiedId = routineIds.get(routineId) || routineId;
+            return typeof step === 'string' ? copiedId : { ...step, routineId: copiedId };
+        };
+        const copies = [
+            ...routines.docs.map(routineDoc => [
+                doc(accountDb, routineDoc.ref.parent.path, routineIds.get(routineDoc.id)),
+                { ...routineDoc.data(), ownerId: user.uid, useCount: 0 }
+            ]),
+            ...combos.docs.map(comboDoc => [
+                doc(accountDb, comboDoc.ref.parent.path, createLocalId()),
+                { ...comboDoc.data(), ownerId: user.uid, routines: comboDoc.data().routines.map(copyStep) }
+            ]),
+            ...history.docs.map(sessionDoc => [
+                doc(accountDb, getHistoryCollectionRef(user.uid).path, sessionDoc.id),
+                sessionDoc.data()
+            ]),
+            ...settings.docs
+                .filter(settingsDoc => !accountSettingIds.has(settingsDoc.id))
+                .map(settingsDoc => [doc(accountDb, getSettingsCollectionRef(user.uid).path, settingsDoc.id), settingsDoc.data()])
+        ];
+        await commitWrites(accountDb, copies);
+    } finally {
+        await deleteApp(accountApp);
+    }
+
+    try {
+        await commitWrites(db, [routines, combos, history, settings]
+            .flatMap(snapshot => snapshot.docs.map(guestDoc => [guestDoc.ref, null])));
+    } catch (error) {
+        console.error("Error removing guest data after moving it:", error);
+    }
+}
+
+/**
+ * Sign out of the email account (the next load starts a fresh anonymous session)
+ */
+export async function signOutUser() {
+    if (!auth) {
+        return { success: false, error: new Error("Auth not initialized") };
+    }
+
+    try {
+        await signOut(auth);
+        return { success: true };
+    } catch (error) {
+        console.error("Error signing out:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Sort routines or combos newest first
+ */
+function byNewestFirst(a, b) {
+    return (b.createdAt || 0) - (a.createdAt || 0);
+}
+
 /**
  * Get the trainings collection reference
  */
@@ -98,174 +343,433 @@ export function getTrainingsCollectionRef() {
 }
 
 /**
- * Get the history collection reference
+ * Get the combos collection reference
  */
-export function getHistoryCollectionRef() {
+export function getCombosCollectionRef() {
     if (!db) return null;
     const collectionId = activeFirebaseConfig.projectId || 'default-app-id';
-    const collectionPath = `artifacts/${collectionId}/public/data/history`;
+    const collectionPath = `artifacts/${collectionId}/public/data/combos`;
+    return collection(db, collectionPath);
+}
+
+/**
+ * Get the current user's private history collection reference
+ * (null until the database is initialized and a user is signed in)
+ */
+export function getHistoryCollectionRef(uid = auth?.currentUser?.uid) {
+    if (!db || !uid) return null;
+    const collectionId = activeFirebaseConfig.projectId || 'default-app-id';
+    const collectionPath = `artifacts/${collectionId}/users/${uid}/history`;
     return collection(db, collectionPath);
 }
 
 /**
- * Save a custom routine to Firebase
+ * Get the current user's private settings collection reference
+ * (null until the database is initialized and a user is signed in)
+ */
+export function getSettingsCollectionRef(uid = auth?.currentUser?.uid) {
+    if (!db || !uid) return null;
+    const collectionId = activeFirebaseConfig.projectId || 'default-app-id';
+    const collectionPath = `artifacts/${collectionId}/users/${uid}/settings`;
+    return collection(db, collectionPath);
+}
+
+/**
+ * Get the uid local data is filed under: the signed-in user, or the last user
+ * seen on this device when authentication is unavailable (e.g. offline)
+ */
+async function getLocalOwnerId() {
+    if (auth) {
+        try {
+            return (await ensureAuthenticated()).uid;
+        } catch (error) {
+            console.warn("Working offline:", error.code || error.message);
+        }
+    }
+    return localStorage.getItem(LAST_UID_KEY);
+}
+
+/**
+ * Replay queued writes to Firestore in one batch (see flushPendingWrites)
+ */
+function applyPendingWrites(writes, uid) {
+    const refs = {
+        routines: () => getTrainingsCollectionRef(),
+        history: () => getHistoryCollectionRef(uid),
+        settings: () => getSettingsCollectionRef(uid)
+    };
+    const batch = writeBatch(db);
+
+    writes.forEach((write) => {
+        const target = doc(refs[write.storeName](), write.docId);
+        if (write.type === 'delete') {
+            batch.delete(target);
+        } else if (write.type === 'update' && write.storeName === 'settings') {
+            // Settings documents are created by their first update
+            batch.set(target, write.data, { merge: true });
+        } else if (write.type === 'update') {
+            batch.update(target, write.data);
+        } else {
+            // Setting the local ID makes replaying a create idempotent.
+            // Routines written before the first sign-in are claimed by the account that syncs them.
+            batch.set(target, write.storeName === 'routines' ? { ...write.data, ownerId: uid } : write.data);
+        }
+    });
+    return batch.commit();
+}
+
+/**
+ * Replay writes made offline to Firestore
+ */
+export async function syncPendingWrites() {
+    if (!db || !auth) return { success: false, error: "Database not initialized" };
+
+    let user;
+    try {
+        user = await ensureAuthenticated();
+    } catch (error) {
+        return { success: false, error };
+    }
+
+    localStorage.setItem(LAST_UID_KEY, user.uid);
+    return flushPendingWrites(user.uid, writes => applyPendingWrites(writes, user.uid));
+}
+
+/**
+ * Watch the number of writes waiting to be replayed for the current user
+ * (resolves with the unsubscribe function)
+ */
+export async function watchPendingSync(callback) {
+    return watchPendingWrites(await getLocalOwnerId(), callback);
+}
+
+/**
+ * Watch the current user's writes that Firestore rejected during a replay
+ * (resolves with the unsubscribe function)
+ */
+export async function watchRejectedSync(callback) {
+    return watchRejectedWrites(await getLocalOwnerId(), callback);
+}
+
+/**
+ * Queue the current user's rejected writes again and replay them
+ */
+export async function retryRejectedSync() {
+    try {
+        await clearRejectedWrites(await getLocalOwnerId(), true);
+        return await syncPendingWrites();
+    } catch (e) {
+        console.error("Error retrying rejected writes: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Forget the current user's rejected writes
+ */
+export async function discardRejectedSync() {
+    try {
+        await clearRejectedWrites(await getLocalOwnerId(), false);
+        return { success: true };
+    } catch (e) {
+        console.error("Error discarding rejected writes: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Replay pending writes now and whenever the browser comes back online
+ */
+export function startBackgroundSync() {
+    window.addEventListener('online', () => syncPendingWrites());
+    syncPendingWrites();
+}
+
+/**
+ * Feed the local copy of a store to callback, kept fresh by a Firebase
+ * snapshot listener whenever the user is online (returns the unsubscribe function)
+ */
+function subscribeLocalFirst(storeName, ownerId, remoteQuery, callback) {
+    const stopLocal = watchLocalDocs(storeName, ownerId, callback);
+    if (!remoteQuery) return stopLocal;
+
+    const stopRemote = onSnapshot(remoteQuery, (snapshot) => {
+        const docs = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+        mergeRemoteDocs(storeName, ownerId, docs).catch((error) => {
+            console.error("Offline store error:", error);
+        });
+    }, (error) => {
+        console.error(`Cloud Sync Error (${storeName}):`, error);
+    });
+    return () => {
+        stopLocal();
+        stopRemote();
+    };
+}
+
+/**
+ * Save a custom routine (locally first, then synced to Firebase)
  */
 export async function saveCustomRoutine(routine) {
+    const { valid, errors } = validateRoutine(routine);
+    if (!valid) return invalidResult(errors);
+
+    try {
+        const ownerId = await getLocalOwnerId();
+
+        // New routines are private to their owner until published
+        const routineData = {
+            ...routine,
+            isCustom: true,
+            createdAt: Date.now(),
+            ownerId: ownerId,
+            published: false,
+            useCount: 0
+        };
+        const id = createLocalId();
+        await writeLocal('routines', 'create', id, routineData, ownerId);
+        syncPendingWrites();
+        return { success: true, id };
+    } catch (e) {
+        console.error("Error saving routine: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Update an existing custom routine (locally first, then synced to Firebase)
+ * with the full edited routine
+ */
+export async function updateCustomRoutine(id, routine) {
+    const { valid, errors } = validateRoutine(routine);
+    if (!valid) return invalidResult(errors);
+
+    try {
+        const ownerId = await getLocalOwnerId();
+
+        // Ownership, publishing and the use count are not editable through a routine update
+        const { id: _id, ownerId: _ownerId, published, publishedAt, useCount, isCommunity, ...editable } = routine;
+        const routineData = { ...editable, isCustom: true, updatedAt: Date.now() };
+        await writeLocal('routines', 'update', id, routineData, ownerId);
+        syncPendingWrites();
+        return { success: true };
+    } catch (e) {
+        console.error("Error updating routine: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Publish a custom routine to the community library, or take it back
+ */
+export async function setRoutinePublished(id, published) {
     const ref = getTrainingsCollectionRef();
     if (!ref) return { success: false, error: "Database not initialized" };
 
     try {
         // Ensure user is authenticated before writing
-        const user = await ensureAuthenticated();
-        console.log("Save routine: User authenticated:", user ? "Yes" : "No", user?.uid || "N/A");
+        await ensureAuthenticated();
 
-        const routineData = { ...routine, isCustom: true, createdAt: Date.now() };
-        await addDoc(ref, routineData);
+        await updateDoc(doc(ref, id), { published: published, publishedAt: published ? Date.now() : null });
         return { success: true };
     } catch (e) {
-        console.error("Error adding document: ", e);
-        console.error("Auth state:", auth?.currentUser ? "Authenticated" : "Not authenticated");
+        console.error("Error publishing routine: ", e);
         return { success: false, error: e };
     }
 }
 
 /**
- * Load custom routines from Firebase with real-time updates
+ * Count one use (a fork or a training run) of a published community routine
+ */
+export async function recordRoutineUse(id) {
+    const ref = getTrainingsCollectionRef();
+    if (!ref) return { success: false, error: "Database not initialized" };
+
+    try {
+        // Ensure user is authenticated before writing
+        await ensureAuthenticated();
+
+        // The rules only accept an increment of exactly one
+        await updateDoc(doc(ref, id), { useCount: increment(1) });
+        return { success: true };
+    } catch (e) {
+        console.error("Error recording routine use: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Fork a community routine into the current user's own routines
+ */
+export async function forkRoutine(routine) {
+    const { id, isCustom, isCommunity, ownerId, published, publishedAt, useCount, createdAt, updatedAt, ...pattern } = routine;
+
+    const result = await saveCustomRoutine({ ...pattern, forkedFrom: id });
+    if (result.success) {
+        await recordRoutineUse(id);
+    }
+    return result;
+}
+
+/**
+ * Load the current user's own routines with real-time updates
+ *
+ * The callback receives the local copy straight away; Firebase snapshots
+ * refresh it whenever the user is online.
  */
 export async function loadCustomRoutines(callback) {
+    const ownerId = await getLocalOwnerId();
+    const ref = db && auth?.currentUser ? getTrainingsCollectionRef() : null;
+
+    // Sorted client-side: ordering on another field would need a composite index
+    const routinesQuery = ref ? query(ref, where("ownerId", "==", ownerId)) : null;
+
+    return subscribeLocalFirst('routines', ownerId, routinesQuery, (routines) => {
+        callback(routines.map(routine => ({ ...routine, isCustom: true })).sort(byNewestFirst));
+    });
+}
+
+/**
+ * Load published community routines from Firebase with real-time updates, most used first
+ */
+export async function loadCommunityRoutines(callback) {
     const ref = getTrainingsCollectionRef();
     if (!ref) {
         callback([]);
-        return;
+        return () => {};
     }
 
     // Ensure authentication is ready before setting up listener
     try {
         await ensureAuthenticated();
     } catch (error) {
-        console.error("Auth error in loadCustomRoutines:", error);
+        console.error("Auth error in loadCommunityRoutines:", error);
         callback([]);
-        return;
+        return () => {};
     }
 
-    const routinesQuery = query(ref, orderBy("createdAt", "desc"));
+    const communityQuery = query(ref, where("published", "==", true));
 
-    // Real-time listener for Routines
-    return onSnapshot(routinesQuery, (snapshot) => {
-        const customRoutines = snapshot.docs.map(doc => ({
+    // Real-time listener for the Community library
+    return onSnapshot(communityQuery, (snapshot) => {
+        const communityRoutines = snapshot.docs.map(doc => ({
             ...doc.data(),
             id: doc.id,
-            isCustom: true
+            isCommunity: true
         }));
-        callback(customRoutines);
+        communityRoutines.sort((a, b) => (b.useCount || 0) - (a.useCount || 0) || byNewestFirst(a, b));
+        callback(communityRoutines);
     }, (error) => {
-        console.error("Cloud Sync Error:", error);
+        console.error("Community Sync Error:", error);
         callback([]);
     });
 }
 
 /**
- * Delete a custom routine from Firebase
+ * Delete a custom routine (locally first, then synced to Firebase)
  */
 export async function deleteCustomRoutine(id) {
-    const ref = getTrainingsCollectionRef();
+    try {
+        const ownerId = await getLocalOwnerId();
+        await writeLocal('routines', 'delete', id, null, ownerId);
+        syncPendingWrites();
+        return { success: true };
+    } catch (e) {
+        console.error("Error deleting routine: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Save a routine combo to Firebase
+ */
+export async function saveCombo(combo) {
+    const { valid, errors } = validateCombo(combo);
+    if (!valid) return invalidResult(errors);
+
+    const ref = getCombosCollectionRef();
     if (!ref) return { success: false, error: "Database not initialized" };
 
     try {
         // Ensure user is authenticated before writing
         const user = await ensureAuthenticated();
-        console.log("Delete: User authenticated:", user ? "Yes" : "No", user?.uid || "N/A");
+        console.log("Save combo: User authenticated:", user ? "Yes" : "No", user?.uid || "N/A");
 
-        await deleteDoc(doc(ref, id));
-        return { success: true };
+        const comboData = { ...combo, isCustom: true, createdAt: Date.now(), ownerId: user.uid };
+        const docRef = await addDoc(ref, comboData);
+        return { success: true, id: docRef.id };
     } catch (e) {
-        console.error("Error deleting document: ", e);
+        console.error("Error adding combo: ", e);
         console.error("Auth state:", auth?.currentUser ? "Authenticated" : "Not authenticated");
         return { success: false, error: e };
     }
 }
 
 /**
- * Save training history to Firebase
+ * Update an existing routine combo in Firebase with the full edited combo
  */
-export async function saveTrainingHistory(routineName, actualDurationSeconds, totalTargetSeconds, completed) {
-    const ref = getHistoryCollectionRef();
+export async function updateCombo(id, combo) {
+    const { valid, errors } = validateCombo(combo);
+    if (!valid) return invalidResult(errors);
+
+    const ref = getCombosCollectionRef();
     if (!ref) return { success: false, error: "Database not initialized" };
 
     try {
         // Ensure user is authenticated before writing
-        const user = await ensureAuthenticated();
-        console.log("Save history: User authenticated:", user ? "Yes" : "No", user?.uid || "N/A");
-
-        const historyData = {
-            routineName: routineName,
-            actualDurationSeconds: Math.floor(actualDurationSeconds),
-            totalTargetSeconds: totalTargetSeconds,
-            completed: completed,
-            timestamp: Date.now(),
-        };
-
-        // Check approximate size (rough estimate)
-        const dataSize = JSON.stringify(historyData).length;
-        console.log("History data size:", dataSize, "bytes (limit: 2048)");
-
-        if (dataSize > 2048) {
-            console.warn("History data exceeds 2KB limit!");
-        }
+        await ensureAuthenticated();
 
-        await addDoc(ref, historyData);
-        console.log("History saved successfully");
+        // Ownership is not editable through a combo update
+        const { id: _id, ownerId, ...editable } = combo;
+        await updateDoc(doc(ref, id), { ...editable, isCustom: true, updatedAt: Date.now() });
         return { success: true };
     } catch (e) {
-        console.error("Error saving history: ", e);
-        console.error("Error code:", e.code, "Error message:", e.message);
-        console.error("Auth state:", auth?.currentUser ? "Authenticated" : "Not authenticated");
+        console.error("Error updating combo: ", e);
         return { success: false, error: e };
     }
 }
 
 /**
- * Load training history from Firebase with real-time updates
+ * Load routine combos from Firebase with real-time updates
  */
-export async function loadTrainingHistory(callback) {
-    const ref = getHistoryCollectionRef();
+export async function loadCombos(callback) {
+    const ref = getCombosCollectionRef();
     if (!ref) {
         callback([]);
-        return;
+        return () => {};
     }
 
     // Ensure authentication is ready before setting up listener
+    let user;
     try {
-        await ensureAuthenticated();
+        user = await ensureAuthenticated();
     } catch (error) {
-        console.error("Auth error in loadTrainingHistory:", error);
+        console.error("Auth error in loadCombos:", error);
         callback([]);
-        return;
+        return () => {};
     }
 
-    const historyQuery = query(ref, orderBy("timestamp", "desc"));
+    const combosQuery = query(ref, where("ownerId", "==", user.uid));
 
-    // Real-time listener for History
-    return onSnapshot(historyQuery, (snapshot) => {
-        const sessions = [];
-        snapshot.forEach((doc) => {
-            sessions.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
-        callback(sessions);
+    // Real-time listener for Combos
+    return onSnapshot(combosQuery, (snapshot) => {
+        const combos = snapshot.docs.map(doc => ({
+            ...doc.data(),
+            id: doc.id,
+            isCustom: true
+        }));
+        callback(combos.sort(byNewestFirst));
     }, (error) => {
-        console.error("Error loading history:", error);
+        console.error("Combo Sync Error:", error);
         callback([]);
     });
 }
 
 /**
- * Delete a training history entry from Firebase
+ * Delete a routine combo from Firebase
  */
-export async function deleteHistoryEntry(id) {
-    const ref = getHistoryCollectionRef();
+export async function deleteCombo(id) {
+    const ref = getCombosCollectionRef();
     if (!ref) return { success: false, error: "Database not initialized" };
 
     try {
@@ -274,8 +778,245 @@ export async function deleteHistoryEntry(id) {
 
         await deleteDoc(doc(ref, id));
         return { success: true };
+    } catch (e) {
+        console.error("Error deleting combo: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Save a training session (locally first, then synced to Firebase)
+ *
+ * session is { routineName, actualDurationSeconds, totalTargetSeconds, completed }
+ * plus the optional detail built by session-record.js; the timestamp defaults to now.
+ */
+export async function saveTrainingHistory(session) {
+    const { valid, errors } = validateHistoryEntry(session);
+    if (!valid) return invalidResult(errors);
+
+    try {
+        // History lives under the user's uid
+        const ownerId = await getLocalOwnerId();
+
+        // validateHistoryEntry keeps the fields within the rules' 2KB document limit
+        const historyData = { ...session, timestamp: session.timestamp ?? Date.now() };
+
+        const id = createLocalId();
+        await writeLocal('history', 'create', id, historyData, ownerId);
+        syncPendingWrites();
+        console.log("History saved successfully");
+        return { success: true, id };
+    } catch (e) {
+        console.error("Error saving history: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Save many training sessions at once, e.g. an import (locally in one
+ * transaction, then synced to Firebase in batches)
+ *
+ * Nothing is saved unless every session is valid.
+ */
+export async function saveTrainingHistories(sessions) {
+    for (const session of sessions) {
+        const { valid, errors } = validateHistoryEntry(session);
+        if (!valid) return invalidResult(errors);
+    }
+
+    try {
+        const ownerId = await getLocalOwnerId();
+        const now = Date.now();
+        const docs = sessions.map(session => ({
+            id: createLocalId(),
+            data: { ...session, timestamp: session.timestamp ?? now }
+        }));
+        await createLocalMany('history', docs, ownerId);
+        syncPendingWrites();
+        return { success: true, ids: docs.map(historyDoc => historyDoc.id) };
+    } catch (e) {
+        console.error("Error saving history: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Which local sessions a page of sessions (newest first) accounts for: those
+ * older than before (the previous page's oldest timestamp) and no older than
+ * the page's own oldest, or everything older when it is the last page
+ */
+function historyPageCovers(docs, pageSize, before = Infinity) {
+    const oldest = docs.length < pageSize ? -Infinity : docs[docs.length - 1].timestamp;
+    return (localDoc) => (localDoc.timestamp || 0) >= oldest && (localDoc.timestamp || 0) < before;
+}
+
+/**
+ * Load training history with real-time updates, newest first
+ *
+ * The callback receives the local copy straight away. Online, a Firebase
+ * listener keeps the newest sessions fresh; older sessions are fetched a
+ * page at a time with loadOlderHistory, so the listener's cost does not grow
+ * with the size of the history.
+ */
+export async function loadTrainingHistory(callback) {
+    const ownerId = await getLocalOwnerId();
+    const ref = getHistoryCollectionRef(auth?.currentUser?.uid);
+    const stopLocal = watchLocalDocs('history', ownerId, (sessions) => {
+        callback(sessions.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)));
+    });
+    if (!ref) return stopLocal;
+
+    const pager = { ref, ownerId, cursor: null, before: Infinity, fetched: false, done: false, loading: null };
+    historyPager = pager;
+
+    const liveQuery = query(ref, orderBy("timestamp", "desc"), limit(HISTORY_LIVE_LIMIT));
+    const stopRemote = onSnapshot(liveQuery, (snapshot) => {
+        const docs = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+        mergeRemoteDocs('history', ownerId, docs, historyPageCovers(docs, HISTORY_LIVE_LIMIT)).catch((error) => {
+            console.error("Offline store error:", error);
+        });
+
+        // Until an older page is fetched, the next one starts where the live window ends
+        if (!pager.fetched) {
+            pager.cursor = snapshot.docs[snapshot.docs.length - 1] || null;
+            pager.before = docs.length > 0 ? docs[docs.length - 1].timestamp : Infinity;
+            pager.done = docs.length < HISTORY_LIVE_LIMIT;
+        }
+    }, (error) => {
+        console.error("Cloud Sync Error (history):", error);
+    });
+
+    return () => {
+        if (historyPager === pager) historyPager = null;
+        stopLocal();
+        stopRemote();
+    };
+}
+
+/**
+ * Fetch the next page of older sessions into the local copy; local sessions
+ * in the page's time range that are gone from Firestore (deleted on another
+ * device) are removed
+ * @returns {Promise<{success: boolean, done: boolean, error?: Error}>} done once no older sessions remain
+ */
+export function loadOlderHistory() {
+    const pager = historyPager;
+    // Without a cloud connection the local copy is all there is
+    if (!pager || pager.done) return Promise.resolve({ success: true, done: true });
+    if (pager.loading) return pager.loading;
+
+    pager.loading = (async () => {
+        try {
+            const constraints = [orderBy("timestamp", "desc"), limit(HISTORY_FETCH_SIZE)];
+            // Starting after the last document (not just its timestamp) keeps sessions with equal timestamps
+            if (pager.cursor) constraints.push(startAfter(pager.cursor));
+            const snapshot = await getDocs(query(pager.ref, ...constraints));
+            const docs = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+
+            await mergeRemoteDocs('history', pager.ownerId, docs, historyPageCovers(docs, HISTORY_FETCH_SIZE, pager.before));
+            pager.fetched = true;
+            if (docs.length > 0) {
+                pager.cursor = snapshot.docs[snapshot.docs.length - 1];
+                pager.before = docs[docs.length - 1].timestamp;
+            }
+            pager.done = docs.length < HISTORY_FETCH_SIZE;
+            return { success: true, done: pager.done };
+        } catch (e) {
+            console.error("Error loading older history: ", e);
+            return { success: false, done: false, error: e };
+        } finally {
+            pager.loading = null;
+        }
+    })();
+    return pager.loading;
+}
+
+/**
+ * Update fields of a training history entry (locally first, then synced to Firebase)
+ *
+ * The changes are merged into the local copy and the whole entry is validated
+ * before anything is written or queued.
+ */
+export async function updateHistoryEntry(id, changes) {
+    try {
+        const ownerId = await getLocalOwnerId();
+        const existing = await getLocalDoc('history', id, ownerId);
+        if (!existing) {
+            return { success: false, error: new Error(`No history document ${id}`) };
+        }
+
+        const { id: _id, ownerId: _ownerId, ...historyData } = changes;
+        const { id: _existingId, ownerId: _existingOwner, ...stored } = existing;
+        const { valid, errors } = validateHistoryEntry({ ...stored, ...historyData });
+        if (!valid) return invalidResult(errors);
+
+        await writeLocal('history', 'update', id, historyData, ownerId);
+        syncPendingWrites();
+        return { success: true };
+    } catch (e) {
+        console.error("Error updating history entry: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Delete a training history entry (locally first, then synced to Firebase)
+ */
+export async function deleteHistoryEntry(id) {
+    try {
+        const ownerId = await getLocalOwnerId();
+        await writeLocal('history', 'delete', id, null, ownerId);
+        syncPendingWrites();
+        return { success: true };
     } catch (e) {
         console.error("Error deleting history entry: ", e);
         return { success: false, error: e };
     }
 }
+
+/**
+ * Load the user's settings documents with real-time updates
+ *
+ * The callback receives the local copy straight away; Firebase snapshots
+ * refresh it whenever the user is online.
+ */
+export async function loadSettings(callback) {
+    const ownerId = await getLocalOwnerId();
+    const ref = getSettingsCollectionRef(auth?.currentUser?.uid);
+    return subscribeLocalFirst('settings', ownerId, ref, callback);
+}
+
+/**
+ * Merge changes into a settings document, creating it if needed
+ * (locally first, then synced to Firebase)
+ */
+export async function saveSettings(id, changes) {
+    const { valid, errors } = validateSettings(changes);
+    if (!valid) return invalidResult(errors);
+
+    try {
+        const ownerId = await getLocalOwnerId();
+        const { id: _id, ownerId: _ownerId, ...settingsData } = changes;
+        await writeLocal('settings', 'update', id, settingsData, ownerId);
+        syncPendingWrites();
+        return { success: true };
+    } catch (e) {
+        console.error("Error saving settings: ", e);
+        return { success: false, error: e };
+    }
+}
+
+/**
+ * Delete a settings document (locally first, then synced to Firebase)
+ */
+export async function deleteSettings(id) {
+    try {
+        const ownerId = await getLocalOwnerId();
+        await writeLocal('settings', 'delete', id, null, ownerId);
+        syncPendingWrites();
+        return { success: true };
+    } catch (e) {
+        console.error("Error deleting settings: ", e);
+        return { success: false, error: e };
+    }
+}
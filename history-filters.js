@@ -0,0 +1,100 @@
+/**
+ * History Filters
+ *
+ * Filters and text search for the History tab. Filter state lives in the
+ * page URL (?routine=&status=&from=&to=&q=) so it survives reloads and can
+ * be bookmarked; other parameters (e.g. ?storage=) are left untouched.
+ */
+
+import { getLocalDayKey } from './stats.js';
+
+/** URL parameter of each filter field */
+const FILTER_PARAMS = {
+    routine: 'routine',
+    status: 'status',
+    from: 'from',
+    to: 'to',
+    search: 'q'
+};
+
+const STATUSES = ['completed', 'stopped'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Filters that match every session
+ */
+export function emptyHistoryFilters() {
+    return { routine: '', status: '', from: '', to: '', search: '' };
+}
+
+/**
+ * True when at least one filter is set
+ */
+export function hasHistoryFilters(filters) {
+    return Object.values(filters).some(value => value !== '');
+}
+
+/**
+ * Read filters from a URL query string, ignoring malformed values
+ * @param {string} [search] - e.g. window.location.search
+ * @returns {{routine: string, status: string, from: string, to: string, search: string}}
+ *          status is '', 'completed' or 'stopped'; from and to are local days ("YYYY-MM-DD")
+ */
+export function readHistoryFilters(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const filters = emptyHistoryFilters();
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        filters[field] = (params.get(param) || '').trim();
+    });
+
+    if (!STATUSES.includes(filters.status)) filters.status = '';
+    if (!DAY_PATTERN.test(filters.from)) filters.from = '';
+    if (!DAY_PATTERN.test(filters.to)) filters.to = '';
+    return filters;
+}
+
+/**
+ * Store filters in the page URL without adding a browser history entry
+ */
+export function writeHistoryFilters(filters) {
+    const url = new URL(window.location.href);
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        if (filters[field]) {
+            url.searchParams.set(param, filters[field]);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * The sessions matching filters, in their original order
+ *
+ * Date ranges include both end days (local time); the text search is
+ * case-insensitive and matches anywhere in the routine name or a check-in note.
+ */
+export function filterHistory(sessions, filters) {
+    const search = filters.search.toLowerCase();
+    return sessions.filter((session) => {
+        if (filters.routine && session.routineName !== filters.routine) return false;
+        if (filters.status === 'completed' && !session.completed) return false;
+        if (filters.status === 'stopped' && session.completed) return false;
+
+        const day = getLocalDayKey(session.timestamp);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+
+        const text = [session.routineName, session.checkInBefore?.note, session.checkInAfter?.note]
+            .filter(Boolean).join('\n').toLowerCase();
+        return !search || text.includes(search);
+    });
+}
+
+/**
+ * Every routine name in the history, alphabetically
+ */
+export function getHistoryRoutineNames(sessions) {
+    return [...new Set(sessions.map(session => session.routineName))]
+        .sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,259 @@
+/**
+ * History Export and Import
+ *
+ * Converts training history to and from CSV and JSON files, so sessions can
+ * be kept in spreadsheets or journaling tools and moved between projects or
+ * storage backends. Timestamps are written as ISO 8601 (UTC); imports accept
+ * ISO strings or milliseconds.
+ */
+
+import { validateHistoryEntry } from './validation.js';
+
+/** Columns of an exported session, in file order */
+export const HISTORY_EXPORT_FIELDS = ['timestamp', 'routineName', 'totalTargetSeconds', 'actualDurationSeconds', 'completed'];
+
+/** Detail columns that older sessions (and other tools' files) may leave empty */
+const OPTIONAL_EXPORT_FIELDS = ['routineId', 'comboId', 'cycles', 'pauseCount', 'pausedSeconds'];
+const OPTIONAL_NUMBER_FIELDS = ['cycles', 'pauseCount', 'pausedSeconds'];
+
+/** Nested detail that only JSON files carry */
+const JSON_ONLY_FIELDS = ['pattern', 'steps', 'checkInBefore', 'checkInAfter'];
+
+/** Identifies this app's JSON history exports */
+export const HISTORY_EXPORT_FORMAT = 'zen-breath-trainer/history';
+export const HISTORY_EXPORT_VERSION = 1;
+
+/** Largest file (in sessions) an import will read */
+export const MAX_IMPORT_SESSIONS = 5000;
+
+/**
+ * A session as exported: just the export fields, with an ISO timestamp
+ */
+function toExportRecord(session, fields) {
+    const record = {
+        timestamp: new Date(session.timestamp).toISOString(),
+        routineName: session.routineName,
+        totalTargetSeconds: session.totalTargetSeconds,
+        actualDurationSeconds: session.actualDurationSeconds,
+        completed: session.completed
+    };
+    fields.forEach((field) => {
+        if (session[field] !== undefined) record[field] = session[field];
+    });
+    return record;
+}
+
+/**
+ * Quote a CSV cell when needed. Text that a spreadsheet would run as a
+ * formula gets a leading apostrophe, which the importer removes again.
+ */
+function toCsvCell(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sessions as CSV text, one row per session after a header row
+ */
+export function historyToCsv(sessions) {
+    const columns = [...HISTORY_EXPORT_FIELDS, ...OPTIONAL_EXPORT_FIELDS];
+    const rows = sessions.map(session => {
+        const record = toExportRecord(session, OPTIONAL_EXPORT_FIELDS);
+        return columns.map(field => toCsvCell(record[field])).join(',');
+    });
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Sessions as pretty-printed JSON
+ */
+export function historyToJson(sessions, exportedAt = Date.now()) {
+    return JSON.stringify({
+        format: HISTORY_EXPORT_FORMAT,
+        version: HISTORY_EXPORT_VERSION,
+        exportedAt: new Date(exportedAt).toISOString(),
+        sessions: sessions.map(session => toExportRecord(session, [...OPTIONAL_EXPORT_FIELDS, ...JSON_ONLY_FIELDS]))
+    }, null, 2);
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * doubled quotes and line breaks)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // Blank lines are not rows
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a timestamp given as milliseconds or a date string (NaN if neither)
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').trim();
+    if (/^\d+$/.test(text)) return Number(text);
+    return text === '' ? NaN : Date.parse(text);
+}
+
+/**
+ * Read a number given as a number or text (NaN if neither)
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').trim();
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Read a yes/no value; anything unrecognised is left for validation to reject
+ */
+function parseCompleted(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    return value;
+}
+
+/**
+ * Build a history entry from one imported record (fields that are not exported are dropped)
+ */
+function fromImportRecord(record) {
+    let routineName = typeof record.routineName === 'string' ? record.routineName.trim() : record.routineName;
+    // Undo the formula guard added by toCsvCell
+    if (typeof routineName === 'string' && /^'[=+\-@\t\r]/.test(routineName)) routineName = routineName.slice(1);
+
+    const session = {
+        routineName,
+        actualDurationSeconds: parseNumber(record.actualDurationSeconds),
+        totalTargetSeconds: parseNumber(record.totalTargetSeconds),
+        completed: parseCompleted(record.completed),
+        timestamp: parseTimestamp(record.timestamp)
+    };
+
+    // Optional detail is kept when present; validation checks it like any other field
+    OPTIONAL_EXPORT_FIELDS.forEach((field) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') return;
+        session[field] = OPTIONAL_NUMBER_FIELDS.includes(field) ? parseNumber(value) : value;
+    });
+    JSON_ONLY_FIELDS.forEach((field) => {
+        if (record[field] !== undefined) session[field] = record[field];
+    });
+    return session;
+}
+
+/**
+ * Turn CSV or JSON file contents into records keyed by field name
+ */
+function readImportRecords(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        const records = Array.isArray(data) ? data : data?.sessions;
+        if (!Array.isArray(records)) throw new Error("The JSON file has no list of sessions.");
+        if (!Array.isArray(data) && data.format !== undefined && data.format !== HISTORY_EXPORT_FORMAT) {
+            throw new Error("The JSON file is not a training history export.");
+        }
+        if (!Array.isArray(data) && data.version > HISTORY_EXPORT_VERSION) {
+            throw new Error("The file was exported by a newer version of the app.");
+        }
+        return records;
+    }
+
+    const [header, ...rows] = parseCsv(trimmed);
+    const columns = (header || []).map(name => name.trim());
+    const missing = HISTORY_EXPORT_FIELDS.filter(field => !columns.includes(field));
+    if (missing.length > 0) {
+        throw new Error(`The CSV file is missing the column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}.`);
+    }
+    return rows.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i]])));
+}
+
+/**
+ * Identity of a session for de-duplication: the same start time, routine and duration
+ */
+export function getHistoryEntryKey(session) {
+    return `${session.timestamp}|${session.routineName}|${session.actualDurationSeconds}`;
+}
+
+/**
+ * Parse an import file and keep the sessions that are valid and new
+ * @param {string} text - CSV or JSON file contents
+ * @param {Array} existingSessions - History already stored, for de-duplication
+ * @returns {{sessions: Array, duplicates: number, invalid: Array<{index: number, errors: Object<string, string>}>, error: string|null}}
+ *          index is 1-based (the row after the header in CSV); error is set when the whole file is unreadable
+ */
+export function parseHistoryImport(text, existingSessions = []) {
+    let records;
+    try {
+        records = readImportRecords(text);
+    } catch (error) {
+        const message = error instanceof SyntaxError ? "The file is not valid CSV or JSON." : error.message;
+        return { sessions: [], duplicates: 0, invalid: [], error: message };
+    }
+    if (records.length > MAX_IMPORT_SESSIONS) {
+        return { sessions: [], duplicates: 0, invalid: [], error: `A file can hold at most ${MAX_IMPORT_SESSIONS} sessions.` };
+    }
+
+    const seen = new Set(existingSessions.map(getHistoryEntryKey));
+    const sessions = [];
+    const invalid = [];
+    let duplicates = 0;
+
+    records.forEach((record, index) => {
+        const session = record && typeof record === 'object' ? fromImportRecord(record) : record;
+        const { valid, errors } = validateHistoryEntry(session);
+        if (!valid) {
+            invalid.push({ index: index + 1, errors });
+            return;
+        }
+
+        const key = getHistoryEntryKey(session);
+        if (seen.has(key)) {
+            duplicates++;
+            return;
+        }
+        seen.add(key);
+        sessions.push(session);
+    });
+
+    return { sessions, duplicates, invalid, error: null };
+}
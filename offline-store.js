@@ -0,0 +1,453 @@
+/**
+ * Offline Store
+ *
+ * IndexedDB copy of the user's routines, history and settings, plus a queue of writes
+ * waiting to be replayed to Firestore. Writes land here first so the UI
+ * updates immediately with or without a connection.
+ *
+ * Conflicts are resolved per document ID:
+ * - The queue holds at most one write per document; a newer write to the same
+ *   document is folded into the queued one (create + update stays a create,
+ *   create + delete cancels out, anything + delete becomes a delete).
+ * - While a document has a queued write, the local copy wins over snapshots
+ *   from the server; once the write is replayed the server copy takes over.
+ *
+ * Writes the server rejects are set aside rather than lost, so the user can
+ * retry, export or discard them (see watchRejectedWrites).
+ */
+
+const DB_NAME = 'zen-breath-trainer';
+const DB_VERSION = 3;
+const QUEUE_STORE = 'syncQueue';
+const REJECTED_STORE = 'rejectedWrites';
+const SYNC_BATCH_SIZE = 500; // Most writes Firestore commits at once
+
+/** Object stores holding documents, keyed by document ID */
+export const LOCAL_STORES = ['routines', 'history', 'settings'];
+
+let dbPromise = null;
+let flushPromise = null;
+const docListeners = new Set(); // { storeName, ownerId, callback }
+const pendingListeners = new Set(); // { ownerId, callback }
+const rejectedListeners = new Set(); // { ownerId, callback }
+
+/**
+ * Open (and on first use create) the IndexedDB database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("IndexedDB not available"));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                LOCAL_STORES.forEach((storeName) => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'id' });
+                    }
+                });
+                [QUEUE_STORE, REJECTED_STORE].forEach((storeName) => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'key' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run work inside one transaction and resolve with its result once committed
+ */
+async function withStores(storeNames, mode, work) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+        Promise.resolve(work(transaction)).then((value) => { result = value; }, (error) => {
+            transaction.abort();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Documents (and queued writes) with no owner were written before the first
+ * sign-in and belong to whoever syncs them
+ */
+function belongsTo(localDoc, ownerId) {
+    return !localDoc.ownerId || localDoc.ownerId === ownerId;
+}
+
+/**
+ * Read all local documents of one store that belong to ownerId
+ */
+export async function getLocalDocs(storeName, ownerId) {
+    const docs = await withStores([storeName], 'readonly', (transaction) =>
+        requestResult(transaction.objectStore(storeName).getAll())
+    );
+    return docs.filter(localDoc => belongsTo(localDoc, ownerId));
+}
+
+/**
+ * Read one local document if it belongs to ownerId (resolves with null otherwise)
+ */
+export async function getLocalDoc(storeName, id, ownerId) {
+    const localDoc = await withStores([storeName], 'readonly', (transaction) =>
+        requestResult(transaction.objectStore(storeName).get(id))
+    );
+    return localDoc && belongsTo(localDoc, ownerId) ? localDoc : null;
+}
+
+/**
+ * Notify watchers of one store with fresh data (resolves once every watcher has been called)
+ */
+function notifyDocListeners(storeName) {
+    const notified = [...docListeners]
+        .filter(listener => listener.storeName === storeName)
+        .map(listener => getLocalDocs(storeName, listener.ownerId)
+            .then(listener.callback)
+            .catch(error => console.error("Offline store read error:", error)));
+    return Promise.all(notified);
+}
+
+/**
+ * Watch the local documents of one store (returns the unsubscribe function)
+ */
+export function watchLocalDocs(storeName, ownerId, callback) {
+    const listener = { storeName, ownerId, callback };
+    docListeners.add(listener);
+    getLocalDocs(storeName, ownerId)
+        .then(callback)
+        .catch((error) => {
+            console.error("Offline store read error:", error);
+            callback([]);
+        });
+    return () => docListeners.delete(listener);
+}
+
+/**
+ * Fold a new write into the one already queued for the same document
+ * (returns null when the two cancel out)
+ */
+function mergeWrites(queued, write) {
+    if (!queued) return write;
+    if (write.type === 'delete') {
+        // The document never reached the server, so there is nothing to delete there
+        return queued.type === 'create' ? null : write;
+    }
+    if (write.type === 'update' && queued.type !== 'delete') {
+        return { ...queued, data: { ...queued.data, ...write.data }, queuedAt: write.queuedAt };
+    }
+    return write;
+}
+
+/**
+ * Apply a write locally and queue it for Firestore in one transaction
+ *
+ * type is 'create' (data is the full document), 'update' (data holds the
+ * changed fields) or 'delete'.
+ */
+export async function writeLocal(storeName, type, id, data = null, ownerId = null) {
+    await withStores([storeName, QUEUE_STORE], 'readwrite', async (transaction) => {
+        const docStore = transaction.objectStore(storeName);
+        const queueStore = transaction.objectStore(QUEUE_STORE);
+        const key = `${storeName}/${id}`;
+
+        if (type === 'delete') {
+            docStore.delete(id);
+        } else {
+            const existing = type === 'update' ? await requestResult(docStore.get(id)) : null;
+            docStore.put({ ...existing, ...data, id, ownerId: existing?.ownerId || ownerId });
+        }
+
+        const queued = await requestResult(queueStore.get(key));
+        const merged = mergeWrites(queued, { key, storeName, type, docId: id, data, ownerId, queuedAt: Date.now() });
+        if (merged) {
+            queueStore.put(merged);
+        } else {
+            queueStore.delete(key);
+        }
+    });
+
+    notifyDocListeners(storeName);
+    notifyPendingListeners();
+}
+
+/**
+ * Create many documents locally and queue them for Firestore in one
+ * transaction, notifying watchers once (e.g. for an import)
+ * @param {Array<{id: string, data: Object}>} docs - New documents under fresh IDs
+ */
+export async function createLocalMany(storeName, docs, ownerId = null) {
+    await withStores([storeName, QUEUE_STORE], 'readwrite', (transaction) => {
+        const docStore = transaction.objectStore(storeName);
+        const queueStore = transaction.objectStore(QUEUE_STORE);
+        const queuedAt = Date.now();
+        docs.forEach(({ id, data }) => {
+            docStore.put({ ...data, id, ownerId });
+            queueStore.put({ key: `${storeName}/${id}`, storeName, type: 'create', docId: id, data, ownerId, queuedAt });
+        });
+    });
+
+    notifyDocListeners(storeName);
+    notifyPendingListeners();
+}
+
+/**
+ * Replace the local copy of a store with a server snapshot, keeping documents
+ * that still have a queued write
+ *
+ * When the snapshot holds only part of the collection (e.g. one page),
+ * covers(localDoc) tells which local documents it would have included;
+ * the others are left alone. Resolves once watchers have the merged copy.
+ */
+export async function mergeRemoteDocs(storeName, ownerId, remoteDocs, covers = () => true) {
+    await withStores([storeName, QUEUE_STORE], 'readwrite', async (transaction) => {
+        const docStore = transaction.objectStore(storeName);
+        const queued = await requestResult(transaction.objectStore(QUEUE_STORE).getAll());
+        const pendingIds = new Set(queued.filter(write => write.storeName === storeName).map(write => write.docId));
+        const remoteIds = new Set(remoteDocs.map(remoteDoc => remoteDoc.id));
+
+        const localDocs = await requestResult(docStore.getAll());
+        localDocs.forEach((localDoc) => {
+            if (belongsTo(localDoc, ownerId) && covers(localDoc) && !remoteIds.has(localDoc.id) && !pendingIds.has(localDoc.id)) {
+                docStore.delete(localDoc.id);
+            }
+        });
+        remoteDocs.forEach((remoteDoc) => {
+            if (!pendingIds.has(remoteDoc.id)) {
+                docStore.put({ ...remoteDoc, ownerId });
+            }
+        });
+    });
+
+    await notifyDocListeners(storeName);
+}
+
+/**
+ * Remove the local documents and queued writes filed under ownerId (e.g. a
+ * guest account whose data has moved to another account); unowned ones stay
+ */
+export async function removeOwnerData(ownerId) {
+    const writeStores = [QUEUE_STORE, REJECTED_STORE];
+    await withStores([...LOCAL_STORES, ...writeStores], 'readwrite', async (transaction) => {
+        for (const storeName of [...LOCAL_STORES, ...writeStores]) {
+            const store = transaction.objectStore(storeName);
+            const entries = await requestResult(store.getAll());
+            entries
+                .filter(entry => entry.ownerId === ownerId)
+                .forEach(entry => store.delete(writeStores.includes(storeName) ? entry.key : entry.id));
+        }
+    });
+
+    await Promise.all(LOCAL_STORES.map(notifyDocListeners));
+    notifyPendingListeners();
+    notifyRejectedListeners();
+}
+
+/**
+ * Count the queued writes a replay for ownerId would send (see flushPendingWrites);
+ * writes queued by other accounts on this device wait for those accounts
+ */
+export async function countPendingWrites(ownerId) {
+    const queued = await withStores([QUEUE_STORE], 'readonly', (transaction) =>
+        requestResult(transaction.objectStore(QUEUE_STORE).getAll())
+    );
+    return queued.filter(write => belongsTo(write, ownerId)).length;
+}
+
+/**
+ * Notify pending-count watchers
+ */
+function notifyPendingListeners() {
+    pendingListeners.forEach((listener) => {
+        countPendingWrites(listener.ownerId)
+            .then(listener.callback)
+            .catch(error => console.error("Offline store count error:", error));
+    });
+}
+
+/**
+ * Watch the number of queued writes ownerId can replay (returns the unsubscribe function)
+ */
+export function watchPendingWrites(ownerId, callback) {
+    const listener = { ownerId, callback };
+    pendingListeners.add(listener);
+    countPendingWrites(ownerId)
+        .then(callback)
+        .catch(() => callback(0));
+    return () => pendingListeners.delete(listener);
+}
+
+/**
+ * Server errors that mean a write can never succeed as queued
+ * (e.g. the document was deleted or unpublished elsewhere)
+ */
+function isRejectedWrite(error) {
+    return ['permission-denied', 'not-found', 'invalid-argument', 'failed-precondition'].includes(error?.code);
+}
+
+/**
+ * Apply writes in one commit; when the server rejects the commit, replay them
+ * one at a time so only the writes it rejects end up in rejected
+ * @returns {Promise<Array>} The rejected writes, each with the error code
+ */
+async function applyWrites(writes, applyBatch, rejected = []) {
+    try {
+        await applyBatch(writes);
+    } catch (error) {
+        if (!isRejectedWrite(error)) throw error;
+        if (writes.length > 1) {
+            for (const write of writes) {
+                await applyWrites([write], applyBatch, rejected);
+            }
+        } else {
+            rejected.push({ ...writes[0], errorCode: error.code, rejectedAt: Date.now() });
+        }
+    }
+    return rejected;
+}
+
+/**
+ * Replay queued writes for ownerId in the order they were made
+ *
+ * applyBatch(writes) performs up to SYNC_BATCH_SIZE writes against the server
+ * in one commit. Writes the server rejects outright are moved out of the
+ * queue into the rejected writes (the next snapshot restores the server
+ * copy); any other error stops the replay so it can resume when connectivity
+ * returns. Only one replay runs at a time.
+ */
+export function flushPendingWrites(ownerId, applyBatch) {
+    if (flushPromise) return flushPromise;
+
+    flushPromise = (async () => {
+        const result = { synced: 0, rejected: 0 };
+        try {
+            // Writes queued during the replay are picked up by the next pass
+            for (;;) {
+                const queued = await withStores([QUEUE_STORE], 'readonly', (transaction) =>
+                    requestResult(transaction.objectStore(QUEUE_STORE).getAll())
+                );
+                const writes = queued
+                    .filter(write => belongsTo(write, ownerId))
+                    .sort((a, b) => a.queuedAt - b.queuedAt);
+                if (writes.length === 0) break;
+
+                for (let i = 0; i < writes.length; i += SYNC_BATCH_SIZE) {
+                    const chunk = writes.slice(i, i + SYNC_BATCH_SIZE);
+                    const rejected = await applyWrites(chunk, applyBatch);
+                    await removeQueuedWrites(chunk, rejected);
+                    result.synced += chunk.length - rejected.length;
+                    result.rejected += rejected.length;
+                }
+            }
+            return { success: true, ...result };
+        } catch (error) {
+            console.error("Sync paused:", error);
+            return { success: false, error, ...result };
+        } finally {
+            flushPromise = null;
+            notifyPendingListeners();
+        }
+    })();
+    return flushPromise;
+}
+
+/**
+ * Remove replayed writes, except those a newer write to the same document
+ * replaced meanwhile, and set the rejected ones aside
+ */
+async function removeQueuedWrites(writes, rejected = []) {
+    await withStores([QUEUE_STORE, REJECTED_STORE], 'readwrite', async (transaction) => {
+        const queueStore = transaction.objectStore(QUEUE_STORE);
+        for (const write of writes) {
+            const current = await requestResult(queueStore.get(write.key));
+            if (current && current.queuedAt === write.queuedAt) {
+                queueStore.delete(write.key);
+            }
+        }
+        rejected.forEach(write => transaction.objectStore(REJECTED_STORE).put(write));
+    });
+    notifyPendingListeners();
+    if (rejected.length > 0) notifyRejectedListeners();
+}
+
+/**
+ * Read the rejected writes filed under ownerId, oldest first
+ */
+export async function getRejectedWrites(ownerId) {
+    const rejected = await withStores([REJECTED_STORE], 'readonly', (transaction) =>
+        requestResult(transaction.objectStore(REJECTED_STORE).getAll())
+    );
+    return rejected
+        .filter(write => belongsTo(write, ownerId))
+        .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Notify rejected-write watchers
+ */
+function notifyRejectedListeners() {
+    rejectedListeners.forEach((listener) => {
+        getRejectedWrites(listener.ownerId)
+            .then(listener.callback)
+            .catch(error => console.error("Offline store read error:", error));
+    });
+}
+
+/**
+ * Watch the writes the server rejected for ownerId (returns the unsubscribe function)
+ */
+export function watchRejectedWrites(ownerId, callback) {
+    const listener = { ownerId, callback };
+    rejectedListeners.add(listener);
+    getRejectedWrites(ownerId)
+        .then(callback)
+        .catch(() => callback([]));
+    return () => rejectedListeners.delete(listener);
+}
+
+/**
+ * Queue ownerId's rejected writes again (the next replay retries them), or
+ * with requeue false just discard them
+ *
+ * A write made to the same document since the rejection is newer and is kept.
+ */
+export async function clearRejectedWrites(ownerId, requeue) {
+    await withStores([QUEUE_STORE, REJECTED_STORE], 'readwrite', async (transaction) => {
+        const queueStore = transaction.objectStore(QUEUE_STORE);
+        const rejectedStore = transaction.objectStore(REJECTED_STORE);
+        const rejected = await requestResult(rejectedStore.getAll());
+        for (const { errorCode, rejectedAt, ...write } of rejected.filter(entry => belongsTo(entry, ownerId))) {
+            rejectedStore.delete(write.key);
+            if (requeue && !await requestResult(queueStore.get(write.key))) {
+                queueStore.put(write);
+            }
+        }
+    });
+    notifyPendingListeners();
+    notifyRejectedListeners();
+}
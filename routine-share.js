@@ -0,0 +1,260 @@
+/**
+ * Routine Sharing
+ *
+ * A portable, versioned JSON format for routines and combos, used for
+ * `.zenroutine.json` files and share links (`#import=<base64>`).
+ *
+ * A routine file:
+ *   { format: 'zen-breath-trainer/routine', version: 1, type: 'routine',
+ *     routine: { name, durationMinutes, inhale, holdIn, exhale, holdOut | phases, soundPack? } }
+ *
+ * A combo file carries copies of the routines it uses; built-in routines are
+ * referenced by ID, since every copy of the app has them:
+ *   { format, version, type: 'combo',
+ *     combo: { name, transitionSound?, steps: [{ routine: <index> | builtInId: <id>,
+ *              durationMinutes?, restSeconds?, restLabel? }] },
+ *     routines: [<routine>, ...] }
+ *
+ * Only pattern fields travel; IDs, owners and publishing state never do.
+ */
+
+import { builtInRoutines } from './routines.js';
+import { normalizeComboSteps } from './session-engine.js';
+import { validateRoutine, LIMITS } from './validation.js';
+
+export const ROUTINE_FILE_FORMAT = 'zen-breath-trainer/routine';
+export const ROUTINE_FILE_VERSION = 1;
+export const ROUTINE_FILE_EXTENSION = '.zenroutine.json';
+
+const SHARE_HASH_PREFIX = '#import=';
+const PORTABLE_ROUTINE_FIELDS = ['name', 'durationMinutes', 'inhale', 'holdIn', 'exhale', 'holdOut', 'phases', 'soundPack'];
+
+/**
+ * Copy just the pattern fields of a routine
+ */
+function toPortableRoutine(routine) {
+    const portable = {};
+    PORTABLE_ROUTINE_FIELDS.forEach((field) => {
+        if (routine[field] !== undefined && routine[field] !== null) portable[field] = routine[field];
+    });
+    return portable;
+}
+
+/**
+ * Build the shareable file for a routine
+ */
+export function createRoutineFile(routine) {
+    return {
+        format: ROUTINE_FILE_FORMAT,
+        version: ROUTINE_FILE_VERSION,
+        type: 'routine',
+        routine: toPortableRoutine(routine)
+    };
+}
+
+/**
+ * Build the shareable file for a combo
+ * @param {Object} combo - Combo whose steps refer to `routines` by ID
+ * @param {Array} routines - All available routines (built-in + custom + community)
+ */
+export function createComboFile(combo, routines) {
+    const included = [];
+    const includedIndex = new Map();
+
+    const steps = normalizeComboSteps(combo).map(({ routineId, ...overrides }) => {
+        if (builtInRoutines.some(r => r.id === routineId)) {
+            return { builtInId: routineId, ...overrides };
+        }
+        if (!includedIndex.has(routineId)) {
+            const routine = routines.find(r => r.id === routineId);
+            if (!routine) throw new Error(`Routine not found: ${routineId}`);
+            includedIndex.set(routineId, included.length);
+            included.push(toPortableRoutine(routine));
+        }
+        return { routine: includedIndex.get(routineId), ...overrides };
+    });
+
+    return {
+        format: ROUTINE_FILE_FORMAT,
+        version: ROUTINE_FILE_VERSION,
+        type: 'combo',
+        combo: {
+            name: combo.name,
+            ...(combo.transitionSound ? { transitionSound: combo.transitionSound } : {}),
+            steps
+        },
+        routines: included
+    };
+}
+
+/**
+ * File name for a shared routine or combo, e.g. "box-breathing.zenroutine.json"
+ */
+export function getRoutineFileName(file) {
+    const name = file.type === 'combo' ? file.combo.name : file.routine.name;
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'routine'}${ROUTINE_FILE_EXTENSION}`;
+}
+
+/**
+ * Encode text as URL-safe base64 (UTF-8)
+ */
+function toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe (or standard) base64 to text (UTF-8)
+ */
+function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Link that opens this app with a routine or combo file ready to import
+ */
+export function createShareLink(file, pageUrl = window.location.origin + window.location.pathname) {
+    const url = new URL(pageUrl);
+    url.hash = `${SHARE_HASH_PREFIX.slice(1)}${toBase64Url(JSON.stringify(file))}`;
+    return url.toString();
+}
+
+/**
+ * The encoded file in a share link's hash, or null when the hash is not a share link
+ */
+export function readShareHash(hash = window.location.hash) {
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+    try {
+        return fromBase64Url(decodeURIComponent(hash.slice(SHARE_HASH_PREFIX.length)));
+    } catch (error) {
+        // Decoding failed; parseRoutineFile reports it as an unreadable file
+        return '';
+    }
+}
+
+/**
+ * Check a combo step from a file
+ */
+function checkComboStep(step, index, routineCount, errors) {
+    const field = `combo.steps.${index}`;
+    const label = `Step ${index + 1}`;
+
+    if (!step || typeof step !== 'object') {
+        errors[field] = `${label} must be an object.`;
+        return;
+    }
+    if (step.builtInId !== undefined) {
+        if (!builtInRoutines.some(r => r.id === step.builtInId)) {
+            errors[`${field}.builtInId`] = `${label} uses a routine this app does not have.`;
+        }
+    } else if (!Number.isInteger(step.routine) || step.routine < 0 || step.routine >= routineCount) {
+        errors[`${field}.routine`] = `${label} refers to a routine missing from the file.`;
+    }
+    if (step.durationMinutes !== undefined && !(typeof step.durationMinutes === 'number'
+        && step.durationMinutes >= LIMITS.minDurationMinutes && step.durationMinutes <= LIMITS.maxDurationMinutes)) {
+        errors[`${field}.durationMinutes`] = `${label} duration must be from ${LIMITS.minDurationMinutes} to ${LIMITS.maxDurationMinutes} minutes.`;
+    }
+    if (step.restSeconds !== undefined && !(typeof step.restSeconds === 'number'
+        && step.restSeconds >= 0 && step.restSeconds <= LIMITS.maxRestSeconds)) {
+        errors[`${field}.restSeconds`] = `${label} rest must be from 0 to ${LIMITS.maxRestSeconds} seconds.`;
+    }
+    if (step.restLabel !== undefined && (typeof step.restLabel !== 'string' || step.restLabel.length > LIMITS.maxLabelLength)) {
+        errors[`${field}.restLabel`] = `${label} rest label must be text of at most ${LIMITS.maxLabelLength} characters.`;
+    }
+}
+
+/**
+ * Read and validate a routine or combo file
+ * @param {string} text - File contents (JSON)
+ * @returns {{file: Object|null, errors: Object<string, string>}} file holds only portable fields;
+ *          errors maps field paths (e.g. 'routines.1.name') to messages
+ */
+export function parseRoutineFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { file: null, errors: { file: "This is not a readable routine file." } };
+    }
+
+    if (!data || data.format !== ROUTINE_FILE_FORMAT) {
+        return { file: null, errors: { file: "This is not a routine file." } };
+    }
+    if (!Number.isInteger(data.version) || data.version > ROUTINE_FILE_VERSION) {
+        return { file: null, errors: { file: "This file needs a newer version of the app." } };
+    }
+
+    const errors = {};
+    const addErrors = (prefix, result) => Object.entries(result.errors).forEach(([field, message]) => {
+        errors[`${prefix}.${field}`] = message;
+    });
+
+    if (data.type === 'routine') {
+        const routine = toPortableRoutine(data.routine || {});
+        addErrors('routine', validateRoutine(routine));
+        return Object.keys(errors).length > 0
+            ? { file: null, errors }
+            : { file: createRoutineFile(routine), errors };
+    }
+
+    if (data.type !== 'combo') {
+        return { file: null, errors: { type: "The file must hold a routine or a combo." } };
+    }
+
+    const routines = Array.isArray(data.routines) ? data.routines.map(toPortableRoutine) : [];
+    routines.forEach((routine, index) => addErrors(`routines.${index}`, validateRoutine(routine)));
+
+    const combo = data.combo || {};
+    if (typeof combo.name !== 'string' || combo.name.trim() === '' || combo.name.length > LIMITS.maxNameLength) {
+        errors['combo.name'] = `Combo name is required (at most ${LIMITS.maxNameLength} characters).`;
+    }
+    if (combo.transitionSound !== undefined && typeof combo.transitionSound !== 'string') {
+        errors['combo.transitionSound'] = "Transition sound must be text.";
+    }
+    if (!Array.isArray(combo.steps) || combo.steps.length === 0 || combo.steps.length > LIMITS.maxComboSteps) {
+        errors['combo.steps'] = `A combo needs 1 to ${LIMITS.maxComboSteps} steps.`;
+    } else {
+        combo.steps.forEach((step, index) => checkComboStep(step, index, routines.length, errors));
+    }
+
+    if (Object.keys(errors).length > 0) return { file: null, errors };
+
+    const steps = combo.steps.map(({ routine, builtInId, durationMinutes, restSeconds, restLabel }) => {
+        const step = builtInId !== undefined ? { builtInId } : { routine };
+        if (durationMinutes !== undefined) step.durationMinutes = durationMinutes;
+        if (restSeconds !== undefined) step.restSeconds = restSeconds;
+        if (restLabel !== undefined) step.restLabel = restLabel;
+        return step;
+    });
+    return {
+        file: {
+            format: ROUTINE_FILE_FORMAT,
+            version: ROUTINE_FILE_VERSION,
+            type: 'combo',
+            combo: {
+                name: combo.name.trim(),
+                ...(combo.transitionSound ? { transitionSound: combo.transitionSound } : {}),
+                steps
+            },
+            routines
+        },
+        errors
+    };
+}
+
+/**
+ * Turn a combo file's steps into combo steps for saved routines
+ * @param {Object} file - A parsed combo file
+ * @param {string[]} routineIds - ID each of file.routines was saved under
+ * @returns {Array} Combo `routines` entries (see routines.js)
+ */
+export function resolveComboFileSteps(file, routineIds) {
+    return file.combo.steps.map(({ routine, builtInId, ...overrides }) => {
+        const routineId = builtInId !== undefined ? builtInId : routineIds[routine];
+        return Object.keys(overrides).length === 0 ? routineId : { routineId, ...overrides };
+    });
+}
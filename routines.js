@@ -11,6 +11,26 @@
  * - holdIn: seconds to hold breath after inhaling (0 to skip)
  * - exhale: seconds to breathe out
  * - holdOut: seconds to hold breath after exhaling (0 to skip)
+ * - soundPack: sound pack for this routine's cues (optional, see SOUND_PACKS
+ *   in audio.js; absent or null uses the pack chosen in Settings)
+ *
+ * The four keys above are shorthand. For any other pattern, give an ordered
+ * `phases` array instead; each entry is one step of the breath cycle:
+ * - type: 'inhale', 'exhale' or 'hold'
+ * - seconds: length of the phase (0 to skip)
+ * - label: instruction text (optional, defaults from type)
+ * - scaleTarget: circle size at the end of the phase, 0.5 (empty) to 1.0 (full)
+ *   (optional: inhale fills, exhale empties, hold keeps the previous size)
+ * - sound: cue played at the start of the phase, one of 'in', 'holdIn',
+ *   'out', 'holdOut' or 'none' (optional, defaults from type)
+ *
+ * Progressive routines: any phase duration (a shorthand key or a phase's
+ * `seconds`) may be a ramp instead of a number; it is re-evaluated at the
+ * start of every breath cycle:
+ * - { from: 6, to: 10 }: linear change across the whole routine
+ * - { from: 6, to: 10, interpolation: 'step', steps: 4 }: 4 equal plateaus
+ * - { keyframes: [{ minute: 0, seconds: 6 }, { minute: 3, seconds: 10 }] }:
+ *   interpolated between keyframes ('linear' or 'step'), last value held
  *
  * Popular patterns:
  * - 4:7:8 (Relaxation): inhale 4, hold 7, exhale 8
@@ -43,14 +63,12 @@ export const builtInRoutines = [
         id: 'cyclic-sighing',
         name: 'Cyclic Sighing',
         durationMinutes: 2,
-        inhale: 3,
-        holdIn: 2, // Used for "top-up inhale"
-        exhale: 8,
-        holdOut: 0,
-        isCustom: false,
-        phaseLabels: {
-            holdIn: 'TOP-UP INHALE' // Custom label for the top-up phase
-        }
+        phases: [
+            { type: 'inhale', seconds: 3, scaleTarget: 0.85 },
+            { type: 'inhale', seconds: 2, label: 'TOP-UP INHALE', sound: 'holdIn' },
+            { type: 'exhale', seconds: 8 }
+        ],
+        isCustom: false
     },
     {
         id: 'box',
@@ -71,6 +89,16 @@ export const builtInRoutines = [
         exhale: 8,
         holdOut: 0,
         isCustom: false
+    },
+    {
+        id: 'slow-down',
+        name: 'Slow-Down (exhale 6→10)',
+        durationMinutes: 6,
+        inhale: 4,
+        holdIn: 0,
+        exhale: { from: 6, to: 10 }, // Exhale stretches over the session
+        holdOut: 0,
+        isCustom: false
     }
 ];
 
@@ -80,7 +108,13 @@ export const builtInRoutines = [
  * Format:
  * - id: unique identifier
  * - name: display name
- * - routines: array of routine IDs to run in sequence
+ * - routines: array of steps to run in sequence. A step is a routine ID, or an
+ *   object for more control:
+ *   { routineId, durationMinutes?, restSeconds?, restLabel? }
+ *   - durationMinutes: run the routine for this long instead of its own duration
+ *   - restSeconds: rest after this step before the next one starts
+ *     (default: a 2 second transition; 0 for none)
+ *   - restLabel: instruction text shown during the rest (e.g. 'NATURAL BREATHING')
  * - transitionSound: sound to play between routines (optional)
  */
 export const routineCombos = [
@@ -0,0 +1,149 @@
+/**
+ * Legacy History Migration (admin tool)
+ *
+ * Before history became private, every visitor's sessions were written to the
+ * shared collection artifacts/{appId}/public/data/history without an owner.
+ * firestore.rules now closes that collection to clients, and nothing in the
+ * documents says whose they are, so only a person can attribute them. This
+ * script, run with admin credentials, lets a project admin do that:
+ *
+ *   list                       Print every legacy session: ID, time, routine, duration
+ *   export <file> [<id> ...]   Write sessions (all, or the given ones) as a history
+ *                              JSON file the user can load with Import on the History tab
+ *   assign <user> <id> ...     Move the given sessions into the user's private history;
+ *                              <user> is a uid or the email of an account
+ *
+ * Typical use: run list, let each team member say which sessions are theirs,
+ * then assign those IDs to their account. Assigned sessions keep their
+ * document IDs, so an interrupted run can simply be repeated.
+ *
+ * Options: --project <id> (default: projectId in firebase-config-values.js),
+ * --app <id> (the {appId} path segment; defaults to the project ID like the app).
+ * Credentials come from GOOGLE_APPLICATION_CREDENTIALS or gcloud; set
+ * FIRESTORE_EMULATOR_HOST to run against the emulator instead.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { firebaseConfig } from '../firebase-config-values.js';
+import { validateHistoryEntry } from '../validation.js';
+import { historyToJson } from '../history-transfer.js';
+
+// Each assigned session is one set plus one delete; stay under the 500-write batch limit
+const ASSIGN_BATCH_SIZE = 200;
+
+const USAGE = `Usage:
+  node scripts/migrate-legacy-history.js list
+  node scripts/migrate-legacy-history.js export <file> [<id> ...]
+  node scripts/migrate-legacy-history.js assign <uid or email> <id> ...
+Options: --project <id>  --app <id>`;
+
+/**
+ * Read every legacy session, oldest first
+ */
+async function readLegacySessions(db, appId) {
+    const snapshot = await db.collection(`artifacts/${appId}/public/data/history`).orderBy('timestamp').get();
+    return snapshot.docs.map(legacyDoc => ({ ...legacyDoc.data(), id: legacyDoc.id }));
+}
+
+/**
+ * Keep the sessions with the given IDs, failing on any ID that is not there
+ */
+function pickSessions(sessions, ids) {
+    const byId = new Map(sessions.map(session => [session.id, session]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+        throw new Error(`No legacy session with ID: ${missing.join(', ')}`);
+    }
+    return ids.map(id => byId.get(id));
+}
+
+/**
+ * Print one line per session
+ */
+function listSessions(sessions) {
+    sessions.forEach((session) => {
+        const time = Number.isFinite(session.timestamp) ? new Date(session.timestamp).toISOString() : '(no time)';
+        const status = session.completed ? 'completed' : 'stopped';
+        console.log(`${session.id}  ${time}  ${session.actualDurationSeconds}s  ${status}  ${session.routineName}`);
+    });
+    console.log(`${sessions.length} legacy sessions`);
+}
+
+/**
+ * Move sessions into a user's private history, deleting the legacy copies
+ *
+ * Sessions that would not pass the rules' history schema are left in place.
+ */
+async function assignSessions(db, appId, uid, sessions) {
+    const privateHistory = db.collection(`artifacts/${appId}/users/${uid}/history`);
+    const legacyHistory = db.collection(`artifacts/${appId}/public/data/history`);
+
+    const valid = [];
+    sessions.forEach(({ id, ...session }) => {
+        const { valid: isValid, errors } = validateHistoryEntry(session);
+        if (isValid) {
+            valid.push({ id, session });
+        } else {
+            console.error(`Skipping ${id}: ${Object.values(errors).join(' ')}`);
+        }
+    });
+
+    for (let i = 0; i < valid.length; i += ASSIGN_BATCH_SIZE) {
+        const batch = db.batch();
+        valid.slice(i, i + ASSIGN_BATCH_SIZE).forEach(({ id, session }) => {
+            batch.set(privateHistory.doc(id), session);
+            batch.delete(legacyHistory.doc(id));
+        });
+        await batch.commit();
+    }
+    console.log(`Moved ${valid.length} of ${sessions.length} sessions to user ${uid}`);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            project: { type: 'string', default: firebaseConfig.projectId },
+            app: { type: 'string' }
+        }
+    });
+    const [command, ...args] = positionals;
+    const appId = values.app || values.project;
+
+    const usageOk = (command === 'list' && args.length === 0)
+        || (command === 'export' && args.length >= 1)
+        || (command === 'assign' && args.length >= 2);
+    if (!usageOk) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    initializeApp(process.env.FIRESTORE_EMULATOR_HOST
+        ? { projectId: values.project }
+        : { projectId: values.project, credential: applicationDefault() });
+    const db = getFirestore();
+    const sessions = await readLegacySessions(db, appId);
+
+    if (command === 'list') {
+        listSessions(sessions);
+    } else if (command === 'export') {
+        const [file, ...ids] = args;
+        const chosen = ids.length > 0 ? pickSessions(sessions, ids) : sessions;
+        await writeFile(file, historyToJson(chosen));
+        console.log(`Wrote ${chosen.length} sessions to ${file}`);
+    } else {
+        const [user, ...ids] = args;
+        const uid = user.includes('@') ? (await getAuth().getUserByEmail(user)).uid : user;
+        await assignSessions(db, appId, uid, pickSessions(sessions, ids));
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
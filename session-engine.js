@@ -0,0 +1,628 @@
+/**
+ * Breathing Session Engine
+ *
+ * Headless timing core for routines and combos. It owns the phase loop,
+ * pause accounting and combo sequencing, and has no DOM or Tone.js
+ * dependency: the clock and frame scheduler are injectable, so a session
+ * can be driven from Node with a fake clock by calling tick() directly.
+ *
+ * Events (subscribe with engine.on(name, handler)):
+ * - routineStart: { stepIndex, routine }
+ * - cycleStart:   { stepIndex, cycleIndex, phases } (phases re-evaluated for ramping routines)
+ * - phaseStart:   { stepIndex, routine, phase, phaseIndex } (phase as returned by buildPhases)
+ * - transition:   { stepIndex, routine, seconds, sound, label, isRest } (gap before combo step stepIndex)
+ * - progress:     { elapsed, total, stepIndex, segmentIndex, routineElapsed, routineDuration, phaseRemaining }
+ *                 (phaseRemaining: seconds left in the current phase, null while resting between combo steps)
+ * - paused / resumed: { elapsed }
+ * - completed / stopped: session summary (see getSummary)
+ */
+
+const COMBO_TRANSITION_SECONDS = 2;
+
+const systemClock = { now: () => Date.now() };
+
+/**
+ * Default frame scheduler: requestAnimationFrame in the browser, a 16 ms
+ * timer elsewhere
+ */
+function createDefaultScheduler() {
+    if (typeof requestAnimationFrame === 'function') {
+        return {
+            request: (callback) => requestAnimationFrame(callback),
+            cancel: (id) => cancelAnimationFrame(id)
+        };
+    }
+    return {
+        request: (callback) => setTimeout(callback, 16),
+        cancel: (id) => clearTimeout(id)
+    };
+}
+
+export const PHASE_TYPES = ['inhale', 'exhale', 'hold'];
+const FULL_SCALE = 1.0;
+const EMPTY_SCALE = 0.5;
+
+const DEFAULT_PHASE_LABELS = {
+    inhale: "BREATH IN",
+    exhale: "BREATH OUT",
+    hold: "HOLD"
+};
+
+const DEFAULT_RAMP_STEPS = 4;
+
+/**
+ * Resolve a phase duration at a point in the routine.
+ *
+ * A duration is either a number of seconds or a ramp:
+ * - { from, to, interpolation?, steps? } spans the whole routine duration
+ * - { keyframes: [{ minute, seconds }], interpolation? } holds the last value after the final keyframe
+ * interpolation is 'linear' (default) or 'step'. A stepped from/to ramp moves
+ * through `steps` equal plateaus (default 4); stepped keyframes hold each
+ * value until the next keyframe.
+ *
+ * @param {number|Object} value - Seconds or ramp definition
+ * @param {number} elapsedSeconds - Time into the routine
+ * @param {number} durationSeconds - Total routine duration
+ * @returns {number} Seconds, rounded to a tenth
+ */
+export function resolvePhaseSeconds(value, elapsedSeconds, durationSeconds) {
+    if (typeof value === 'number') return value;
+    if (!value || typeof value !== 'object') return 0;
+
+    const stepped = value.interpolation === 'step';
+    let seconds;
+
+    if (Array.isArray(value.keyframes) && value.keyframes.length > 0) {
+        const keyframes = [...value.keyframes].sort((a, b) => a.minute - b.minute);
+        const minute = elapsedSeconds / 60;
+        const nextIndex = keyframes.findIndex(k => k.minute > minute);
+
+        if (nextIndex === -1) {
+            seconds = keyframes[keyframes.length - 1].seconds;
+        } else if (nextIndex === 0) {
+            seconds = keyframes[0].seconds;
+        } else {
+            const prev = keyframes[nextIndex - 1];
+            const next = keyframes[nextIndex];
+            const t = (minute - prev.minute) / (next.minute - prev.minute);
+            seconds = stepped ? prev.seconds : prev.seconds + (next.seconds - prev.seconds) * t;
+        }
+    } else {
+        const progress = durationSeconds > 0 ? Math.min(Math.max(elapsedSeconds / durationSeconds, 0), 1) : 0;
+        if (stepped) {
+            const steps = Math.max(value.steps || DEFAULT_RAMP_STEPS, 2);
+            const plateau = Math.min(Math.floor(progress * steps), steps - 1);
+            seconds = value.from + (value.to - value.from) * (plateau / (steps - 1));
+        } else {
+            seconds = value.from + (value.to - value.from) * progress;
+        }
+    }
+
+    return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Expand the four-key shorthand (inhale/holdIn/exhale/holdOut) into a phases array
+ */
+function shorthandToPhases(routine) {
+    // Get phase labels from routine (for custom labels like "TOP-UP INHALE")
+    const phaseLabels = routine.phaseLabels || {};
+
+    return [
+        { type: 'inhale', seconds: routine.inhale, label: "BREATH IN", scaleTarget: FULL_SCALE, sound: 'in' },
+        { type: 'hold', seconds: routine.holdIn, label: phaseLabels.holdIn || "HOLD", scaleTarget: FULL_SCALE, sound: 'holdIn' },
+        { type: 'exhale', seconds: routine.exhale, label: "BREATH OUT", scaleTarget: EMPTY_SCALE, sound: 'out' },
+        { type: 'hold', seconds: routine.holdOut, label: phaseLabels.holdOut || "HOLD OUT", scaleTarget: EMPTY_SCALE, sound: 'holdOut' }
+    ];
+}
+
+/**
+ * Build the ordered list of timed phases for a routine (zero-length phases are skipped).
+ * Accepts either a `phases` array or the four-key shorthand; see routines.js.
+ * Ramped durations are evaluated at `elapsed` seconds into the routine.
+ * @param {Object} routine
+ * @param {{elapsed?: number, duration?: number}} [at] - Time into the routine and its total length
+ * @returns {Array<{label: string, type: string, duration: number, scaleTarget: number, sound: string}>}
+ */
+export function buildPhases(routine, { elapsed = 0, duration = routine.durationMinutes * 60 } = {}) {
+    const source = Array.isArray(routine.phases) ? routine.phases : shorthandToPhases(routine);
+    const timed = source
+        .map(p => ({ ...p, seconds: resolvePhaseSeconds(p.seconds, elapsed, duration) }))
+        .filter(p => p.seconds > 0);
+
+    timed.forEach(p => {
+        if (!PHASE_TYPES.includes(p.type)) {
+            throw new Error(`Unknown phase type "${p.type}" in routine: ${routine.name}`);
+        }
+    });
+
+    // A hold keeps the size reached by the phase before it (wrapping around the cycle)
+    const explicitScale = (p) => {
+        if (typeof p.scaleTarget === 'number') return p.scaleTarget;
+        if (p.type === 'inhale') return FULL_SCALE;
+        if (p.type === 'exhale') return EMPTY_SCALE;
+        return null;
+    };
+
+    return timed.map((p, index) => {
+        let scaleTarget = explicitScale(p);
+        for (let back = 1; scaleTarget === null && back < timed.length; back++) {
+            scaleTarget = explicitScale(timed[(index - back + timed.length) % timed.length]);
+        }
+        if (scaleTarget === null) scaleTarget = EMPTY_SCALE;
+
+        const holdSound = scaleTarget > (FULL_SCALE + EMPTY_SCALE) / 2 ? 'holdIn' : 'holdOut';
+        const defaultSound = p.type === 'inhale' ? 'in' : p.type === 'exhale' ? 'out' : holdSound;
+
+        return {
+            label: p.label || DEFAULT_PHASE_LABELS[p.type],
+            type: p.type,
+            duration: p.seconds,
+            scaleTarget,
+            sound: p.sound || defaultSound
+        };
+    });
+}
+
+/**
+ * Compact record of a routine's breathing pattern, e.g. for session history:
+ * each timed phase with its length at the start of the routine, plus its
+ * length at the end when a ramp changes it. Labels and sounds are left out.
+ * @returns {Array<{type: string, seconds: number, endSeconds?: number}>}
+ */
+export function getPatternSnapshot(routine, durationSeconds = routine.durationMinutes * 60) {
+    const source = Array.isArray(routine.phases) ? routine.phases : shorthandToPhases(routine);
+    return source
+        .map((phase) => {
+            const seconds = resolvePhaseSeconds(phase.seconds, 0, durationSeconds);
+            const endSeconds = resolvePhaseSeconds(phase.seconds, durationSeconds, durationSeconds);
+            return endSeconds === seconds ? { type: phase.type, seconds } : { type: phase.type, seconds, endSeconds };
+        })
+        .filter(phase => phase.seconds > 0 || phase.endSeconds > 0);
+}
+
+/**
+ * Summarise a routine's timing for previews: cycle length and breathing rate
+ * at the start and end of the routine (they differ for progressive routines)
+ * and the number of breath cycles that fit in its duration
+ * @returns {{startCycleSeconds: number, endCycleSeconds: number, startBreathsPerMinute: number, endBreathsPerMinute: number, cycles: number}}
+ */
+export function getRoutineStats(routine, durationSeconds = routine.durationMinutes * 60) {
+    const cycleSecondsAt = (elapsed) => buildPhases(routine, { elapsed, duration: durationSeconds })
+        .reduce((sum, phase) => sum + phase.duration, 0);
+    const perMinute = (seconds) => (seconds > 0 ? Math.round((60 / seconds) * 10) / 10 : 0);
+
+    // Walk the session cycle by cycle, as the engine does
+    let cycles = 0;
+    let elapsed = 0;
+    while (elapsed < durationSeconds) {
+        const cycleSeconds = cycleSecondsAt(elapsed);
+        if (cycleSeconds <= 0) break;
+        elapsed += cycleSeconds;
+        cycles++;
+    }
+
+    const startCycleSeconds = cycleSecondsAt(0);
+    const endCycleSeconds = cycleSecondsAt(durationSeconds);
+    return {
+        startCycleSeconds,
+        endCycleSeconds,
+        startBreathsPerMinute: perMinute(startCycleSeconds),
+        endBreathsPerMinute: perMinute(endCycleSeconds),
+        cycles
+    };
+}
+
+/**
+ * Normalise a combo's steps to objects; plain routine IDs are shorthand for { routineId }
+ * @returns {Array<{routineId: string, durationMinutes?: number, restSeconds?: number, restLabel?: string}>}
+ */
+export function normalizeComboSteps(combo) {
+    return combo.routines.map(step => (typeof step === 'string' ? { routineId: step } : { ...step }));
+}
+
+/**
+ * Resolve the steps of a session: a single routine, or every routine of a combo
+ * @param {Object} routine - Routine to run when there is no combo
+ * @param {Object|null} combo - Combo whose routine IDs are looked up in `routines`
+ * @param {Array} routines - All available routines (built-in + custom)
+ * @returns {Array<{routine: Object, durationSeconds: number, restSeconds?: number, restLabel?: string}>}
+ */
+export function resolveSessionSteps(routine, combo, routines) {
+    if (!combo) {
+        return [{ routine, durationSeconds: routine.durationMinutes * 60 }];
+    }
+
+    return normalizeComboSteps(combo).map(step => {
+        const stepRoutine = routines.find(r => r.id === step.routineId);
+        if (!stepRoutine) {
+            throw new Error(`Routine not found: ${step.routineId}`);
+        }
+
+        // A step may run the routine for a different length than its own durationMinutes
+        const minutes = typeof step.durationMinutes === 'number' ? step.durationMinutes : stepRoutine.durationMinutes;
+        return {
+            routine: stepRoutine,
+            durationSeconds: minutes * 60,
+            restSeconds: step.restSeconds,
+            restLabel: step.restLabel
+        };
+    });
+}
+
+export class SessionEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.routine - Routine to run (first step when running a combo)
+     * @param {Object} [options.combo] - Combo to run instead of a single routine
+     * @param {Array} [options.routines] - Routine lookup for combo steps
+     * @param {{now: function(): number}} [options.clock] - Millisecond clock
+     * @param {{request: Function, cancel: Function}} [options.scheduler] - Frame scheduler
+     * @param {number} [options.transitionSeconds] - Gap after a combo step that sets no restSeconds
+     */
+    constructor({
+        routine,
+        combo = null,
+        routines = [],
+        clock = systemClock,
+        scheduler = createDefaultScheduler(),
+        transitionSeconds = COMBO_TRANSITION_SECONDS
+    }) {
+        this.routine = routine;
+        this.combo = combo;
+        this.steps = resolveSessionSteps(routine, combo, routines);
+        this.clock = clock;
+        this.scheduler = scheduler;
+        this.transitionSeconds = transitionSeconds;
+
+        // Ordered routine and rest segments, e.g. for drawing the progress bar
+        this.timeline = [];
+        this.steps.forEach((step, stepIndex) => {
+            if (stepIndex > 0) {
+                const restSeconds = this.#restSecondsBefore(stepIndex);
+                if (restSeconds > 0) {
+                    this.timeline.push({ type: 'rest', stepIndex, seconds: restSeconds });
+                }
+            }
+            this.timeline.push({ type: 'routine', stepIndex, seconds: step.durationSeconds });
+        });
+        this.totalSeconds = this.timeline.reduce((sum, segment) => sum + segment.seconds, 0);
+        this.#stepProgress = this.steps.map(() => ({ seconds: 0, cycles: 0, completed: false }));
+
+        this.steps.forEach(step => {
+            const at = (elapsed) => ({ elapsed, duration: step.durationSeconds });
+            if (buildPhases(step.routine, at(0)).length === 0 ||
+                buildPhases(step.routine, at(step.durationSeconds)).length === 0) {
+                throw new Error(`Routine has no timed phases: ${step.routine.name}`);
+            }
+        });
+    }
+
+    #listeners = new Map();
+    #running = false;
+    #finished = false;
+    #paused = false;
+    #startedAt = 0;       // Clock time (seconds) when start() was called
+    #pauseStartedAt = 0;  // Clock time (seconds) when the current pause began
+    #pausedTotal = 0;     // Seconds spent paused, excluding the current pause
+    #pauseCount = 0;
+    #stepIndex = 0;
+    #stepStartedAt = 0;   // Session-elapsed seconds when the current step began
+    #phases = [];
+    #cycleIndex = 0;
+    #phaseIndex = 0;
+    #phaseStartedAt = 0;  // Session-elapsed seconds when the current phase began
+    #transition = null;   // { stepIndex, startedAt, seconds } while resting between combo steps
+    #segmentIndex = 0;    // Position in this.timeline
+    #stepProgress = [];   // Per step: { seconds, cycles, completed }
+    #frameId = null;
+    #summary = null;
+
+    /**
+     * Subscribe to an engine event
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, new Set());
+        }
+        this.#listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Remove an event handler
+     */
+    off(event, handler) {
+        const handlers = this.#listeners.get(event);
+        if (handlers) handlers.delete(handler);
+    }
+
+    get isRunning() {
+        return this.#running;
+    }
+
+    get isPaused() {
+        return this.#paused;
+    }
+
+    get currentStepIndex() {
+        return this.#stepIndex;
+    }
+
+    get currentRoutine() {
+        return this.steps[this.#stepIndex].routine;
+    }
+
+    get currentPhase() {
+        return this.#transition ? null : this.#phases[this.#phaseIndex] || null;
+    }
+
+    /**
+     * Seconds of active (unpaused) session time
+     */
+    get elapsedSeconds() {
+        if (!this.#running && !this.#finished) return 0;
+        if (this.#summary) return this.#summary.elapsedSeconds;
+
+        const now = this.#now();
+        const currentPause = this.#paused ? now - this.#pauseStartedAt : 0;
+        return now - this.#startedAt - this.#pausedTotal - currentPause;
+    }
+
+    /**
+     * Start the session from its first step
+     */
+    start() {
+        if (this.#running || this.#finished) return;
+
+        this.#running = true;
+        this.#startedAt = this.#now();
+        this.#beginStep(0, 0);
+        this.#scheduleFrame();
+    }
+
+    /**
+     * Pause the session; elapsed time stops advancing until resume()
+     */
+    pause() {
+        if (!this.#running || this.#paused) return;
+
+        this.#paused = true;
+        this.#pauseStartedAt = this.#now();
+        this.#pauseCount++;
+        this.#cancelFrame();
+        this.#emit('paused', { elapsed: this.elapsedSeconds });
+    }
+
+    /**
+     * Resume a paused session
+     */
+    resume() {
+        if (!this.#running || !this.#paused) return;
+
+        this.#pausedTotal += this.#now() - this.#pauseStartedAt;
+        this.#paused = false;
+        this.#emit('resumed', { elapsed: this.elapsedSeconds });
+        this.#scheduleFrame();
+    }
+
+    /**
+     * Stop the session early
+     * @returns {Object} Session summary
+     */
+    stop() {
+        if (this.#running) {
+            this.#finish(false);
+        }
+        return this.getSummary();
+    }
+
+    /**
+     * Advance the session to the current clock time.
+     * Called on every frame; may be called directly when driving a fake clock.
+     */
+    tick() {
+        if (!this.#running || this.#paused) return;
+
+        const elapsed = this.elapsedSeconds;
+
+        // Catch up on every boundary crossed since the last tick
+        while (this.#running) {
+            if (this.#transition) {
+                const transitionEnd = this.#transition.startedAt + this.#transition.seconds;
+                if (elapsed < transitionEnd) break;
+                this.#beginStep(this.#transition.stepIndex, transitionEnd);
+                continue;
+            }
+
+            const phaseEnd = this.#phaseStartedAt + this.#phases[this.#phaseIndex].duration;
+            if (elapsed < phaseEnd) break;
+
+            const isCycleEnd = this.#phaseIndex + 1 >= this.#phases.length;
+            if (isCycleEnd) this.#stepProgress[this.#stepIndex].cycles++;
+
+            // A step only ends on a phase boundary, never mid-breath
+            if (phaseEnd - this.#stepStartedAt >= this.steps[this.#stepIndex].durationSeconds) {
+                this.#finishStep(phaseEnd);
+            } else if (!isCycleEnd) {
+                this.#startPhase(this.#phaseIndex + 1, phaseEnd);
+            } else {
+                this.#startCycle(this.#cycleIndex + 1, phaseEnd);
+            }
+        }
+
+        if (this.#running) {
+            this.#emit('progress', {
+                elapsed,
+                total: this.totalSeconds,
+                stepIndex: this.#stepIndex,
+                segmentIndex: this.#segmentIndex,
+                routineElapsed: elapsed - this.#stepStartedAt,
+                routineDuration: this.steps[this.#stepIndex].durationSeconds,
+                phaseRemaining: this.#transition
+                    ? null
+                    : this.#phaseStartedAt + this.#phases[this.#phaseIndex].duration - elapsed
+            });
+        }
+    }
+
+    /**
+     * Summary of the session so far (final once completed or stopped)
+     *
+     * cycles counts fully completed breath cycles; steps has one entry per
+     * routine step (a single entry without a combo) with its routine, the
+     * active seconds spent in it, its target, its completed cycles and
+     * whether it ran to the end.
+     */
+    getSummary() {
+        if (this.#summary) return this.#summary;
+
+        const elapsed = this.elapsedSeconds;
+        const steps = this.#stepProgress.map((progress, stepIndex) => {
+            const isCurrent = stepIndex === this.#stepIndex && !progress.completed && (this.#running || this.#finished);
+            return {
+                stepIndex,
+                routine: this.steps[stepIndex].routine,
+                seconds: isCurrent ? Math.max(0, elapsed - this.#stepStartedAt) : progress.seconds,
+                targetSeconds: this.steps[stepIndex].durationSeconds,
+                cycles: progress.cycles,
+                completed: progress.completed
+            };
+        });
+
+        return {
+            routine: this.routine,
+            combo: this.combo,
+            elapsedSeconds: elapsed,
+            totalSeconds: this.totalSeconds,
+            pausedSeconds: this.#pausedTotal + (this.#paused ? this.#now() - this.#pauseStartedAt : 0),
+            pauseCount: this.#pauseCount,
+            stepIndex: this.#stepIndex,
+            cycles: steps.reduce((sum, step) => sum + step.cycles, 0),
+            steps,
+            completed: false
+        };
+    }
+
+    /**
+     * Seconds of rest before a combo step: set by the previous step, else the default transition
+     */
+    #restSecondsBefore(stepIndex) {
+        const previous = this.steps[stepIndex - 1];
+        return typeof previous.restSeconds === 'number' ? previous.restSeconds : this.transitionSeconds;
+    }
+
+    #now() {
+        return this.clock.now() / 1000;
+    }
+
+    #emit(event, payload) {
+        const handlers = this.#listeners.get(event);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`SessionEngine ${event} handler error:`, error);
+            }
+        });
+    }
+
+    #beginStep(stepIndex, at) {
+        const routine = this.steps[stepIndex].routine;
+
+        this.#transition = null;
+        this.#stepIndex = stepIndex;
+        this.#segmentIndex = this.timeline.findIndex(s => s.type === 'routine' && s.stepIndex === stepIndex);
+        this.#stepStartedAt = at;
+        this.#phases = [];
+
+        this.#emit('routineStart', { stepIndex, routine });
+        this.#startCycle(0, at);
+    }
+
+    #startCycle(cycleIndex, at) {
+        const step = this.steps[this.#stepIndex];
+        const phases = buildPhases(step.routine, { elapsed: at - this.#stepStartedAt, duration: step.durationSeconds });
+
+        // A ramp may briefly reach zero length; keep the previous cycle's pattern rather than stall
+        if (phases.length > 0 || this.#phases.length === 0) {
+            this.#phases = phases;
+        }
+        this.#cycleIndex = cycleIndex;
+
+        this.#emit('cycleStart', { stepIndex: this.#stepIndex, cycleIndex, phases: this.#phases });
+        this.#startPhase(0, at);
+    }
+
+    #startPhase(phaseIndex, at) {
+        this.#phaseIndex = phaseIndex;
+        this.#phaseStartedAt = at;
+
+        this.#emit('phaseStart', {
+            stepIndex: this.#stepIndex,
+            routine: this.steps[this.#stepIndex].routine,
+            phase: this.#phases[phaseIndex],
+            phaseIndex
+        });
+    }
+
+    #finishStep(at) {
+        Object.assign(this.#stepProgress[this.#stepIndex], { seconds: at - this.#stepStartedAt, completed: true });
+
+        const nextIndex = this.#stepIndex + 1;
+        if (nextIndex >= this.steps.length) {
+            this.#finish(true);
+            return;
+        }
+
+        const restSeconds = this.#restSecondsBefore(nextIndex);
+        if (restSeconds > 0) {
+            const step = this.steps[this.#stepIndex];
+            this.#transition = { stepIndex: nextIndex, startedAt: at, seconds: restSeconds };
+            this.#segmentIndex = this.timeline.findIndex(s => s.type === 'rest' && s.stepIndex === nextIndex);
+            this.#emit('transition', {
+                stepIndex: nextIndex,
+                routine: this.steps[nextIndex].routine,
+                seconds: restSeconds,
+                sound: this.combo ? this.combo.transitionSound : undefined,
+                label: step.restLabel || null,
+                isRest: typeof step.restSeconds === 'number'
+            });
+        } else {
+            this.#beginStep(nextIndex, at);
+        }
+    }
+
+    #finish(completed) {
+        const summary = { ...this.getSummary(), completed };
+
+        this.#cancelFrame();
+        this.#running = false;
+        this.#paused = false;
+        this.#finished = true;
+        this.#summary = summary;
+
+        this.#emit(completed ? 'completed' : 'stopped', summary);
+    }
+
+    #scheduleFrame() {
+        const loop = () => {
+            this.#frameId = null;
+            this.tick();
+            if (this.#running && !this.#paused) {
+                this.#frameId = this.scheduler.request(loop);
+            }
+        };
+        this.#frameId = this.scheduler.request(loop);
+    }
+
+    #cancelFrame() {
+        if (this.#frameId !== null) {
+            this.scheduler.cancel(this.#frameId);
+            this.#frameId = null;
+        }
+    }
+}
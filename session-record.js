@@ -0,0 +1,87 @@
+/**
+ * Session Records
+ *
+ * Turns a SessionEngine summary into the training history entry that is
+ * saved (see validateHistoryEntry for the schema). Besides the name,
+ * durations and completion, a record keeps what was practised: the routine
+ * or combo ID, a snapshot of the breathing pattern, completed breath cycles,
+ * pauses and, for combos, a breakdown per step.
+ *
+ * Firestore rules cap history documents at 2 KB, so records are trimmed to
+ * SESSION_RECORD_BUDGET bytes, leaving room for the check-in added after saving.
+ */
+
+import { getPatternSnapshot } from './session-engine.js';
+import { estimateDocumentSize, LIMITS } from './validation.js';
+
+/** Largest record built here; the rest of LIMITS.maxSessionBytes stays free for the after-session check-in */
+export const SESSION_RECORD_BUDGET = LIMITS.maxSessionBytes - 700;
+
+/**
+ * Ways to shrink an oversized record, least informative detail first
+ */
+const TRIM_STEPS = [
+    // Per-step patterns (each step's routine ID still identifies it)
+    (record) => record.steps && { ...record, steps: record.steps.map(({ pattern, ...step }) => step) },
+    // Steps the session never reached
+    (record) => record.steps && { ...record, steps: record.steps.filter(step => step.seconds > 0) },
+    // Per-step routine names
+    (record) => record.steps && { ...record, steps: record.steps.map(({ routineName, ...step }) => step) },
+    // As many leading steps as fit
+    (record) => {
+        if (!record.steps) return null;
+        const steps = [...record.steps];
+        while (steps.length > 0 && estimateDocumentSize({ ...record, steps }) > SESSION_RECORD_BUDGET) steps.pop();
+        return { ...record, steps };
+    },
+    // Everything but the totals
+    ({ steps, pattern, ...record }) => record
+];
+
+/**
+ * Build the history entry for a finished or stopped session
+ * @param {Object} summary - From SessionEngine (getSummary, or the completed/stopped event)
+ * @param {Object} options
+ * @param {boolean} options.completed - Whether the session ran to the end
+ * @param {number} [options.timestamp] - When the session ended
+ * @param {Object} [options.checkInBefore] - Check-in taken before the session ({ stress, mood?, note? })
+ * @returns {Object} History entry for storage.history.create
+ */
+export function buildSessionRecord(summary, { completed, timestamp = Date.now(), checkInBefore = null }) {
+    const { routine, combo } = summary;
+    // Routines and combos that were never saved have no ID
+    const idField = (field, id) => (id ? { [field]: id } : {});
+
+    let record = {
+        routineName: combo ? combo.name : routine.name,
+        ...(combo ? idField('comboId', combo.id) : idField('routineId', routine.id)),
+        actualDurationSeconds: Math.floor(summary.elapsedSeconds),
+        totalTargetSeconds: summary.totalSeconds,
+        completed,
+        timestamp,
+        cycles: summary.cycles,
+        pauseCount: summary.pauseCount,
+        pausedSeconds: Math.round(summary.pausedSeconds),
+        ...(checkInBefore ? { checkInBefore } : {})
+    };
+
+    if (combo) {
+        record.steps = summary.steps.slice(0, LIMITS.maxSessionSteps).map(step => ({
+            ...idField('routineId', step.routine.id),
+            routineName: step.routine.name,
+            seconds: Math.floor(step.seconds),
+            targetSeconds: step.targetSeconds,
+            cycles: step.cycles,
+            completed: step.completed,
+            pattern: getPatternSnapshot(step.routine, step.targetSeconds)
+        }));
+    } else {
+        record.pattern = getPatternSnapshot(routine, summary.totalSeconds);
+    }
+
+    for (const trim of TRIM_STEPS) {
+        if (estimateDocumentSize(record) <= SESSION_RECORD_BUDGET) break;
+        record = trim(record) || record;
+    }
+    return record;
+}
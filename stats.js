@@ -0,0 +1,230 @@
+/**
+ * Training Statistics
+ *
+ * Summaries of training history for the History tab, the daily goal and
+ * streaks, computed on the client from the sessions the storage layer
+ * delivers. Days, weeks (Monday first) and months follow the local time zone.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local calendar day of a time, e.g. "2025-03-09"
+ */
+export function getLocalDayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Midnight (local time) at the start of the day containing time
+ */
+export function startOfLocalDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Midnight (local time) on the Monday starting the week containing time
+ */
+export function startOfLocalWeek(time) {
+    const date = startOfLocalDay(time);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return date;
+}
+
+/**
+ * The local day before a getLocalDayKey day, e.g. "2025-03-08" for "2025-03-09"
+ */
+function previousDayKey(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return getLocalDayKey(new Date(year, month - 1, date - 1));
+}
+
+/** Daily goal used until the user sets their own */
+export const DEFAULT_DAILY_GOAL = { type: 'minutes', target: 10 };
+
+/**
+ * Practice per local day towards a daily goal: minutes count every session,
+ * sessions count completed ones only
+ * @returns {Map<string, number>} Keyed by getLocalDayKey
+ */
+function getDailyGoalValues(sessions, goal) {
+    const days = new Map();
+    sessions.forEach((session) => {
+        const value = goal.type === 'sessions'
+            ? (session.completed ? 1 : 0)
+            : (session.actualDurationSeconds || 0) / 60;
+        const day = getLocalDayKey(session.timestamp);
+        days.set(day, (days.get(day) || 0) + value);
+    });
+    return days;
+}
+
+/**
+ * Today's progress towards the daily goal
+ * @param {Array} sessions - History entries
+ * @param {{type: 'minutes'|'sessions', target: number}} goal
+ * @param {number} [now] - Current time
+ * @returns {{value: number, target: number, fraction: number, met: boolean}} value is whole minutes or sessions; fraction is capped at 1
+ */
+export function getDailyGoalProgress(sessions, goal, now = Date.now()) {
+    const value = Math.floor(getDailyGoalValues(sessions, goal).get(getLocalDayKey(now)) || 0);
+    return {
+        value,
+        target: goal.target,
+        fraction: Math.min(1, value / goal.target),
+        met: value >= goal.target
+    };
+}
+
+/**
+ * Runs of consecutive local days on which the daily goal was met
+ *
+ * The current streak still counts while today's goal is outstanding, so it
+ * only drops to zero once a whole day has been missed.
+ * @returns {{current: number, longest: number}}
+ */
+export function computeStreaks(sessions, goal, now = Date.now()) {
+    const metDays = new Set();
+    getDailyGoalValues(sessions, goal).forEach((value, day) => {
+        if (Math.floor(value) >= goal.target) metDays.add(day);
+    });
+
+    let longest = 0;
+    metDays.forEach((day) => {
+        // Count each run once, from its last day backwards
+        const [year, month, date] = day.split('-').map(Number);
+        if (metDays.has(getLocalDayKey(new Date(year, month - 1, date + 1)))) return;
+        let length = 0;
+        for (let d = day; metDays.has(d); d = previousDayKey(d)) length++;
+        longest = Math.max(longest, length);
+    });
+
+    let current = 0;
+    const today = getLocalDayKey(now);
+    for (let d = metDays.has(today) ? today : previousDayKey(today); metDays.has(d); d = previousDayKey(d)) current++;
+
+    return { current, longest };
+}
+
+/**
+ * Start of the day before the current streak began: the day whose miss ends it
+ *
+ * With every session since this time loaded, today's progress and the current
+ * streak are exact (a longer streak moves it further back). The longest
+ * streak needs every session.
+ */
+export function getStreakHistoryStart(sessions, goal, now = Date.now()) {
+    const { current } = computeStreaks(sessions, goal, now);
+    const daysBack = current + (getDailyGoalProgress(sessions, goal, now).met ? 0 : 1);
+    const day = startOfLocalDay(now);
+    day.setDate(day.getDate() - daysBack);
+    return day.getTime();
+}
+
+/**
+ * Mean of a list of numbers, or null for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Summarise training sessions
+ * @param {Array} sessions - History entries ({ routineName, actualDurationSeconds, completed, timestamp })
+ * @param {number} [now] - Current time, for "this week" and "this month"
+ * @returns {{sessionCount: number, totalMinutes: number, weekSessions: number, monthSessions: number,
+ *            completionRate: number, averageSeconds: number, stressReduction: number|null,
+ *            routines: Array<{name: string, sessions: number, minutes: number, completionRate: number, stressReduction: number|null}>,
+ *            dailyMinutes: Map<string, number>}}
+ *          completionRate is 0-1; routines are sorted by practice time; dailyMinutes is keyed by getLocalDayKey.
+ *          stressReduction is the average fall in stress (1-10 scale) over sessions with both check-ins,
+ *          or null when there are none.
+ */
+export function computeHistoryStats(sessions, now = Date.now()) {
+    const weekStart = startOfLocalWeek(now).getTime();
+    const today = new Date(now);
+    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1).getTime();
+
+    let totalSeconds = 0;
+    let completedCount = 0;
+    let weekSessions = 0;
+    let monthSessions = 0;
+    const stressChanges = [];
+    const byRoutine = new Map();
+    const dailyMinutes = new Map();
+
+    sessions.forEach((session) => {
+        const seconds = session.actualDurationSeconds || 0;
+        totalSeconds += seconds;
+        if (session.completed) completedCount++;
+        if (session.timestamp >= weekStart) weekSessions++;
+        if (session.timestamp >= monthStart) monthSessions++;
+
+        const routine = byRoutine.get(session.routineName) ||
+            { name: session.routineName, sessions: 0, seconds: 0, completed: 0, stressChanges: [] };
+        routine.sessions++;
+        routine.seconds += seconds;
+        if (session.completed) routine.completed++;
+        if (session.checkInBefore && session.checkInAfter) {
+            const change = session.checkInBefore.stress - session.checkInAfter.stress;
+            stressChanges.push(change);
+            routine.stressChanges.push(change);
+        }
+        byRoutine.set(session.routineName, routine);
+
+        const day = getLocalDayKey(session.timestamp);
+        dailyMinutes.set(day, (dailyMinutes.get(day) || 0) + seconds / 60);
+    });
+
+    const sessionCount = sessions.length;
+    return {
+        sessionCount,
+        totalMinutes: Math.round(totalSeconds / 60),
+        weekSessions,
+        monthSessions,
+        completionRate: sessionCount > 0 ? completedCount / sessionCount : 0,
+        averageSeconds: sessionCount > 0 ? totalSeconds / sessionCount : 0,
+        stressReduction: average(stressChanges),
+        routines: [...byRoutine.values()]
+            .sort((a, b) => b.seconds - a.seconds)
+            .map(routine => ({
+                name: routine.name,
+                sessions: routine.sessions,
+                minutes: Math.round(routine.seconds / 60),
+                completionRate: routine.completed / routine.sessions,
+                stressReduction: average(routine.stressChanges)
+            })),
+        dailyMinutes
+    };
+}
+
+/**
+ * Lay out daily minutes as calendar weeks for a heatmap, oldest week first
+ * @param {Map<string, number>} dailyMinutes - Minutes keyed by getLocalDayKey
+ * @param {number} [now] - Current time; its week is the last column
+ * @param {number} [weekCount] - Number of weeks to show
+ * @returns {Array<Array<{day: string, minutes: number, isFuture: boolean}>>} Weeks of 7 days, Monday first
+ */
+export function buildHeatmapWeeks(dailyMinutes, now = Date.now(), weekCount = 53) {
+    const todayKey = getLocalDayKey(now);
+    const date = startOfLocalWeek(now);
+    date.setDate(date.getDate() - (weekCount - 1) * 7);
+
+    const weeks = [];
+    let reachedToday = false;
+    for (let w = 0; w < weekCount; w++) {
+        const week = [];
+        for (let d = 0; d < 7; d++) {
+            // Step with setDate so daylight saving changes never skip or repeat a day
+            const day = getLocalDayKey(date);
+            week.push({ day, minutes: dailyMinutes.get(day) || 0, isFuture: reachedToday });
+            if (day === todayKey) reachedToday = true;
+            date.setDate(date.getDate() + 1);
+        }
+        weeks.push(week);
+    }
+    return weeks;
+}
@@ -0,0 +1,107 @@
+/**
+ * Firestore Storage
+ *
+ * The Firebase backend of the storage interface (see storage.js): cloud sync
+ * with an offline copy, email accounts and the Community library.
+ */
+
+import {
+    initializeFirebase,
+    getCurrentUserId,
+    getCurrentAccount,
+    signUpWithEmail,
+    signInWithEmail,
+    signOutUser,
+    startBackgroundSync,
+    watchPendingSync,
+    watchRejectedSync,
+    retryRejectedSync,
+    discardRejectedSync,
+    loadCustomRoutines,
+    saveCustomRoutine,
+    updateCustomRoutine,
+    deleteCustomRoutine,
+    loadCommunityRoutines,
+    setRoutinePublished,
+    recordRoutineUse,
+    forkRoutine,
+    loadCombos,
+    saveCombo,
+    updateCombo,
+    deleteCombo,
+    loadTrainingHistory,
+    loadOlderHistory,
+    saveTrainingHistory,
+    saveTrainingHistories,
+    updateHistoryEntry,
+    deleteHistoryEntry,
+    loadSettings,
+    saveSettings,
+    deleteSettings
+} from './firebase-config.js';
+import { createLocalId } from './storage.js';
+
+/**
+ * Initialize Firebase and build the storage object
+ *
+ * Resolves with { storage, connected, error }; when Firebase cannot connect
+ * the collections still work from the offline copy.
+ */
+export async function createFirestoreStorage() {
+    const result = await initializeFirebase();
+    startBackgroundSync();
+
+    const storage = {
+        name: 'firestore',
+        routines: {
+            subscribe: loadCustomRoutines,
+            create: saveCustomRoutine,
+            update: updateCustomRoutine,
+            delete: deleteCustomRoutine
+        },
+        combos: {
+            subscribe: loadCombos,
+            create: saveCombo,
+            update: updateCombo,
+            delete: deleteCombo
+        },
+        history: {
+            subscribe: loadTrainingHistory,
+            create: saveTrainingHistory,
+            createMany: saveTrainingHistories,
+            update: updateHistoryEntry,
+            delete: deleteHistoryEntry,
+            loadMore: loadOlderHistory
+        },
+        settings: {
+            subscribe: loadSettings,
+            create: async (settings) => {
+                const id = createLocalId();
+                return { ...await saveSettings(id, settings), id };
+            },
+            update: saveSettings,
+            delete: deleteSettings
+        },
+        account: {
+            getCurrent: getCurrentAccount,
+            getUserId: getCurrentUserId,
+            signUp: signUpWithEmail,
+            signIn: signInWithEmail,
+            signOut: signOutUser
+        },
+        community: result.success ? {
+            subscribe: loadCommunityRoutines,
+            setPublished: setRoutinePublished,
+            recordUse: recordRoutineUse,
+            fork: forkRoutine
+        } : null,
+        sync: {
+            watchPending: watchPendingSync,
+            watchRejected: watchRejectedSync,
+            retryRejected: retryRejectedSync,
+            discardRejected: discardRejectedSync
+        }
+    };
+
+    return { storage, connected: result.success, error: result.error };
+}
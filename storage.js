@@ -0,0 +1,231 @@
+/**
+ * Storage
+ *
+ * One repository interface in front of every place user data can live, so
+ * the app never talks to a specific database.
+ *
+ * A storage object has one collection per kind of data: routines, combos,
+ * history and settings. Every collection offers:
+ * - subscribe(callback) -> Promise<unsubscribe>; callback(items) runs now and on every change
+ * - create(data) -> Promise<{ success, id, error }>
+ * - update(id, changes) -> Promise<{ success, error }>; merges changes (settings are created if missing)
+ * - delete(id) -> Promise<{ success, error }>
+ *
+ * History also offers createMany(items) -> Promise<{ success, ids, error }> for
+ * imports: nothing is written unless every item is valid, and subscribers are
+ * notified once rather than per item.
+ *
+ * Backends that deliver only the newest sessions at first give history a
+ * loadMore() -> Promise<{ success, done, error }>, which adds the next page of
+ * older sessions to what subscribers receive (done once none are left).
+ *
+ * Routines and combos arrive newest first, history by timestamp newest first.
+ * Writes that fail validation.js resolve with
+ * { success: false, error, errors } (errors maps each field to a message).
+ *
+ * Backends may add optional features, which are null when unsupported:
+ * - account: { getCurrent, getUserId, signUp, signIn, signOut }
+ * - community: { subscribe, setPublished, recordUse, fork }
+ * - sync: { watchPending, watchRejected, retryRejected, discardRejected }
+ *   watchPending(callback) reports how many of the current user's changes are
+ *   not yet saved to the backend; watchRejected(callback) lists the changes
+ *   the backend refused ({ storeName, type, docId, data, errorCode }), which
+ *   retryRejected() sends again and discardRejected() forgets
+ */
+
+import { appConfig } from './app-config.js';
+import { validateRoutine, validateCombo, validateHistoryEntry, validateSettings, invalidResult } from './validation.js';
+
+export const STORAGE_COLLECTIONS = ['routines', 'combos', 'history', 'settings'];
+
+/**
+ * Create a document ID on the client, so a document has its ID before any
+ * backend stores it (offline writes are replayed under the same ID)
+ */
+export function createLocalId() {
+    return crypto.randomUUID().replace(/-/g, '');
+}
+
+/**
+ * Sort a collection's items the way subscribers expect them
+ */
+export function sortStoredItems(collectionName, items) {
+    if (collectionName === 'history') {
+        return items.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+    if (collectionName === 'routines' || collectionName === 'combos') {
+        return items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+    return items;
+}
+
+/** Schema checks each collection's documents must pass before they are written */
+const VALIDATORS = {
+    routines: validateRoutine,
+    combos: validateCombo,
+    history: validateHistoryEntry,
+    settings: validateSettings
+};
+
+/**
+ * Validate a document about to be written
+ */
+function checkItem(collectionName, item) {
+    return VALIDATORS[collectionName](item);
+}
+
+/**
+ * Fill in the fields a new document gets on creation
+ */
+function stampNewItem(collectionName, data) {
+    if (collectionName === 'history') {
+        return { ...data, timestamp: data.timestamp ?? Date.now() };
+    }
+    if (collectionName === 'routines' || collectionName === 'combos') {
+        return { ...data, isCustom: true, createdAt: Date.now() };
+    }
+    return { ...data };
+}
+
+/**
+ * Build a collection over a plain array of documents
+ *
+ * read() returns the stored documents and write(items) replaces them;
+ * watchExternal(notify), if given, reports changes made elsewhere (e.g. another tab).
+ */
+function createArrayCollection(collectionName, { read, write, watchExternal }) {
+    const listeners = new Set();
+    const snapshot = () => sortStoredItems(collectionName, read().map(item => ({ ...item })));
+    const notify = () => {
+        const items = snapshot();
+        listeners.forEach(callback => callback(items));
+    };
+    watchExternal?.(notify);
+
+    const change = (work) => {
+        try {
+            const result = work(read());
+            if (result.success) notify();
+            return result;
+        } catch (error) {
+            console.error(`Error writing ${collectionName}:`, error);
+            return { success: false, error };
+        }
+    };
+
+    return {
+        async subscribe(callback) {
+            listeners.add(callback);
+            callback(snapshot());
+            return () => listeners.delete(callback);
+        },
+        async create(data) {
+            return change((items) => {
+                const item = { ...stampNewItem(collectionName, data), id: createLocalId() };
+                const { valid, errors } = checkItem(collectionName, item);
+                if (!valid) return invalidResult(errors);
+
+                write([...items, item]);
+                return { success: true, id: item.id };
+            });
+        },
+        async createMany(dataList) {
+            return change((items) => {
+                const created = dataList.map(data => ({ ...stampNewItem(collectionName, data), id: createLocalId() }));
+                for (const item of created) {
+                    const { valid, errors } = checkItem(collectionName, item);
+                    if (!valid) return invalidResult(errors);
+                }
+
+                write([...items, ...created]);
+                return { success: true, ids: created.map(item => item.id) };
+            });
+        },
+        async update(id, changes) {
+            return change((items) => {
+                const { id: _id, ...fields } = changes;
+                const index = items.findIndex(item => item.id === id);
+                if (index === -1 && collectionName !== 'settings') {
+                    return { success: false, error: new Error(`No ${collectionName} document ${id}`) };
+                }
+                const updated = { ...items[index], ...fields, id, updatedAt: Date.now() };
+                const { valid, errors } = checkItem(collectionName, updated);
+                if (!valid) return invalidResult(errors);
+
+                write(index === -1 ? [...items, updated] : items.map((item, i) => i === index ? updated : item));
+                return { success: true };
+            });
+        },
+        async delete(id) {
+            return change((items) => {
+                write(items.filter(item => item.id !== id));
+                return { success: true };
+            });
+        }
+    };
+}
+
+/**
+ * Storage kept in memory only (everything is lost on reload)
+ */
+export function createMemoryStorage() {
+    const storage = { name: 'memory', account: null, community: null, sync: null };
+    STORAGE_COLLECTIONS.forEach((collectionName) => {
+        let items = [];
+        storage[collectionName] = createArrayCollection(collectionName, {
+            read: () => items,
+            write: (newItems) => { items = newItems; }
+        });
+    });
+    return storage;
+}
+
+/**
+ * Storage in this browser's localStorage, shared between tabs
+ */
+export function createLocalStorage() {
+    const storage = { name: 'local', account: null, community: null, sync: null };
+    STORAGE_COLLECTIONS.forEach((collectionName) => {
+        const key = `zen-storage-${collectionName}`;
+        storage[collectionName] = createArrayCollection(collectionName, {
+            read: () => JSON.parse(localStorage.getItem(key) || '[]'),
+            write: (items) => localStorage.setItem(key, JSON.stringify(items)),
+            watchExternal: (notify) => {
+                window.addEventListener('storage', (e) => {
+                    if (e.key === key) notify();
+                });
+            }
+        });
+    });
+    return storage;
+}
+
+/**
+ * Name of the configured backend ('firestore', 'local' or 'memory')
+ */
+export function getStorageBackendName() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('storage') || appConfig.storageBackend || 'firestore';
+}
+
+/**
+ * Open the configured storage backend
+ *
+ * Resolves with { storage, connected, error }. connected is false when the
+ * backend works only from its local copy (e.g. Firebase could not sign in).
+ */
+export async function openStorage(backendName = getStorageBackendName()) {
+    switch (backendName) {
+        case 'memory':
+            return { storage: createMemoryStorage(), connected: true };
+        case 'local':
+            return { storage: createLocalStorage(), connected: true };
+        case 'firestore': {
+            // Loaded on demand so the other backends never download Firebase
+            const { createFirestoreStorage } = await import('./storage-firestore.js');
+            return createFirestoreStorage();
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backendName}`);
+    }
+}
@@ -6,6 +6,10 @@ echo "Starting local web server..."
 echo "Open your browser to: http://localhost:8000"
 echo "Press Ctrl+C to stop the server"
 echo ""
+echo "To use the Firebase emulators instead of the live project, run"
+echo "'firebase emulators:start' in another terminal and open:"
+echo "http://localhost:8000/?emulator=1"
+echo ""
 
 # Try Python 3 first, then Python 2, then node's http-server
 if command -v python3 &> /dev/null; then
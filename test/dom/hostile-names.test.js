@@ -0,0 +1,133 @@
+/**
+ * Hostile Name Rendering Tests
+ *
+ * Renders user-supplied names through ui.js in jsdom and checks that they
+ * only ever become text: no elements or attributes come from them, and the
+ * text reads back exactly as written.
+ */
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { HOSTILE_NAMES } from '../fixtures/hostile-names.js';
+
+const PAGE = `<!DOCTYPE html><body>
+    <div id="routine-selector"></div>
+    <div id="community-list"></div>
+    <select id="history-filter-routine"></select>
+    <select id="history-filter-status"><option value="all">All</option></select>
+    <input id="history-filter-from"><input id="history-filter-to"><input id="history-search">
+    <div id="routine-import-preview"></div>
+</body>`;
+
+// Elements ui.js builds itself; anything else was created from a name
+const EXPECTED_TAGS = new Set(['DIV', 'H2', 'H3', 'P', 'SPAN', 'BUTTON', 'OPTION', 'OL', 'LI']);
+
+let ui;
+
+before(async () => {
+    const dom = new JSDOM(PAGE);
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    ui = await import('../../ui.js');
+});
+
+/**
+ * Assert no element or attribute under root came from a name
+ */
+function assertInert(root) {
+    root.querySelectorAll('*').forEach((node) => {
+        assert.ok(EXPECTED_TAGS.has(node.tagName), `unexpected <${node.tagName.toLowerCase()}>`);
+        [...node.attributes].forEach((attribute) => {
+            assert.ok(!attribute.name.startsWith('on'), `unexpected ${attribute.name} attribute`);
+            assert.ok(!['src', 'href', 'style'].includes(attribute.name), `unexpected ${attribute.name} attribute`);
+        });
+    });
+}
+
+/**
+ * Text of every element under root matching selector
+ */
+function texts(root, selector) {
+    return [...root.querySelectorAll(selector)].map(node => node.textContent);
+}
+
+const routines = HOSTILE_NAMES.map((name, index) => ({
+    id: `custom-${index}`,
+    name,
+    durationMinutes: 5,
+    inhale: 4,
+    exhale: 6,
+    isCustom: true
+}));
+
+const handlers = {
+    onSelect() {}, onDelete() {}, onComboDelete() {}, onEdit() {},
+    onDuplicate() {}, onShare() {}, onComboShare() {}, onPublish() {}
+};
+
+describe('hostile names render as text', () => {
+    test('routine and combo cards', () => {
+        const combos = HOSTILE_NAMES.map((name, index) => ({
+            id: `combo-${index}`,
+            name,
+            isCustom: true,
+            routines: [`custom-${index}`, `custom-${(index + 1) % routines.length}`]
+        }));
+        ui.renderRoutineSelector(routines, combos, handlers);
+
+        const selector = document.getElementById('routine-selector');
+        assertInert(selector);
+        const titles = texts(selector, 'h3');
+        HOSTILE_NAMES.forEach((name) => {
+            // Once as a routine card and once as a combo card
+            assert.equal(titles.filter(title => title === name).length, 2, name);
+        });
+        // Combo cards list their routines by name
+        const stepLists = texts(selector, '[data-combo-id] p');
+        assert.ok(stepLists.includes(`${HOSTILE_NAMES[0]} + ${HOSTILE_NAMES[1]}`));
+    });
+
+    test('Community cards', () => {
+        ui.renderCommunityRoutines(routines.map(routine => ({ ...routine, published: true, useCount: 1 })), 'me', handlers);
+
+        const list = document.getElementById('community-list');
+        assertInert(list);
+        assert.deepEqual(texts(list, 'h3'), HOSTILE_NAMES);
+    });
+
+    test('history entries and their check-in notes', () => {
+        HOSTILE_NAMES.forEach((name) => {
+            const item = ui.createHistoryItem(name, 300, 300, true, Date.now(), 'id-1', `Stress 7 → 3 · ${name}`);
+            assertInert(item);
+            assert.equal(item.querySelector('p').textContent, name);
+            assert.ok(item.textContent.includes(`Stress 7 → 3 · ${name}`));
+        });
+    });
+
+    test('history routine filter', () => {
+        ui.renderHistoryFilters({ routine: '', status: 'all', from: '', to: '', search: '' }, HOSTILE_NAMES);
+
+        const select = document.getElementById('history-filter-routine');
+        assertInert(select);
+        assert.deepEqual(texts(select, 'option').slice(1), HOSTILE_NAMES);
+        assert.deepEqual([...select.options].slice(1).map(option => option.value), HOSTILE_NAMES);
+    });
+
+    test('shared routine and combo previews', () => {
+        const preview = document.getElementById('routine-import-preview');
+        HOSTILE_NAMES.forEach((name, index) => {
+            ui.renderRoutineImportPreview({ type: 'routine', routine: routines[index] });
+            assertInert(preview);
+            assert.equal(preview.querySelector('p').textContent, name);
+
+            ui.renderRoutineImportPreview({
+                type: 'combo',
+                combo: { name, steps: [{ routine: 0 }] },
+                routines: [routines[index]]
+            });
+            assertInert(preview);
+            assert.deepEqual(texts(preview, '.font-bold, li span'), [name, name]);
+        });
+    });
+});
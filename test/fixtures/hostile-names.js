@@ -0,0 +1,18 @@
+/**
+ * Hostile Names
+ *
+ * Routine, combo and session names that would run script or add markup if
+ * they ever reached innerHTML or an attribute name. Every one is a valid name
+ * (see validation.js), so any of them can arrive from a share link, an import
+ * or the Community library.
+ */
+
+export const HOSTILE_NAMES = [
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(1)</script>',
+    "'><svg onload=alert(1)>",
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '</h3><b onmouseover=alert(1)>hover</b>',
+    '&lt;b&gt;already escaped&lt;/b&gt;',
+    '{{constructor.constructor("alert(1)")()}}'
+];
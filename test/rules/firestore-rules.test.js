@@ -0,0 +1,289 @@
+/**
+ * Firestore Rules Tests
+ *
+ * Allowed and denied reads and writes for every collection in firestore.rules,
+ * run against the Firestore emulator. `npm run test:rules` starts the emulator
+ * (it needs Java) and runs this file; under plain `npm test`, with no
+ * FIRESTORE_EMULATOR_HOST set, every suite here is skipped.
+ */
+
+import { before, after, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where, increment } from 'firebase/firestore';
+
+const PROJECT_ID = 'demo-zen-breath';
+const SUITE = { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)' };
+const APP_ID = 'demo-zen-breath';
+const TRAININGS = `artifacts/${APP_ID}/public/data/trainings`;
+const COMBOS = `artifacts/${APP_ID}/public/data/combos`;
+const LEGACY_HISTORY = `artifacts/${APP_ID}/public/data/history`;
+const historyPath = (uid) => `artifacts/${APP_ID}/users/${uid}/history`;
+const settingsPath = (uid) => `artifacts/${APP_ID}/users/${uid}/settings`;
+
+const routine = (ownerId, changes = {}) => ({
+    name: 'Box',
+    durationMinutes: 5,
+    inhale: 4,
+    holdIn: 4,
+    exhale: 4,
+    holdOut: 4,
+    isCustom: true,
+    createdAt: 1,
+    ownerId,
+    published: false,
+    useCount: 0,
+    ...changes
+});
+
+const session = (changes = {}) => ({
+    routineName: 'Box',
+    actualDurationSeconds: 300,
+    totalTargetSeconds: 300,
+    completed: true,
+    timestamp: 1700000000000,
+    ...changes
+});
+
+let testEnv;
+
+/** Firestore as seen by a signed-in user (or signed out when uid is null) */
+const dbFor = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+/** Write documents directly, bypassing the rules */
+async function seed(path, data) {
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+}
+
+before(async () => {
+    if (SUITE.skip) return;
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+after(async () => {
+    await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv?.clearFirestore();
+});
+
+describe('trainings', SUITE, () => {
+    test('the owner can create a valid private routine', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('alice'), TRAININGS, 'r1'), routine('alice')));
+    });
+
+    test('routines cannot be created for someone else, signed out or with uses', async () => {
+        await assertFails(setDoc(doc(dbFor('alice'), TRAININGS, 'r1'), routine('bob')));
+        await assertFails(setDoc(doc(dbFor(null), TRAININGS, 'r1'), routine('alice')));
+        await assertFails(setDoc(doc(dbFor('alice'), TRAININGS, 'r1'), routine('alice', { useCount: 5 })));
+    });
+
+    test('invalid routines are rejected', async () => {
+        const db = dbFor('alice');
+        await assertFails(setDoc(doc(db, TRAININGS, 'r1'), routine('alice', { name: '' })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r1'), routine('alice', { durationMinutes: 500 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r1'), routine('alice', { inhale: 121 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r1'), routine('alice', { soundPack: 'airhorn' })));
+    });
+
+    test('phases and breathing cycles have a minimum length', async () => {
+        const db = dbFor('alice');
+        const shortCycle = { inhale: 0.5, holdIn: 0, exhale: 0, holdOut: 0 };
+        await assertFails(setDoc(doc(db, TRAININGS, 'r1'), routine('alice', { inhale: 0.001 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r2'), routine('alice', shortCycle)));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r3'), routine('alice', { ...shortCycle, exhale: { from: 4, to: 0 } })));
+        await assertSucceeds(setDoc(doc(db, TRAININGS, 'r4'), routine('alice', { ...shortCycle, exhale: 0.5 })));
+
+        const { inhale, holdIn, exhale, holdOut, ...base } = routine('alice');
+        const phases = (...seconds) => seconds.map(value => ({ type: 'inhale', seconds: value }));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r5'), { ...base, phases: phases(4, 0.01) }));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r6'), { ...base, phases: phases(0.5, 0) }));
+        await assertSucceeds(setDoc(doc(db, TRAININGS, 'r7'), { ...base, phases: phases(4, 0, 6) }));
+    });
+
+    test('every phase and keyframe entry is checked', async () => {
+        const db = dbFor('alice');
+        const { inhale, holdIn, exhale, holdOut, ...base } = routine('alice');
+        const withPhases = (...phases) => ({ ...base, phases });
+        const ramp = (...keyframes) => ({ keyframes });
+        const exhaleRamp = (...keyframes) => withPhases({ type: 'inhale', seconds: 4 }, { type: 'exhale', seconds: ramp(...keyframes) });
+
+        await assertSucceeds(setDoc(doc(db, TRAININGS, 'r1'), withPhases(
+            { type: 'inhale', seconds: 4, label: 'IN', scaleTarget: 1, sound: 'in' },
+            { type: 'exhale', seconds: { ...ramp({ minute: 0, seconds: 4 }, { minute: 3, seconds: 8 }), interpolation: 'step' } }
+        )));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r2'), withPhases({ type: 'foo', seconds: 4 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r3'), withPhases({ type: 'inhale', seconds: 4, label: 'x'.repeat(41) })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r4'), withPhases({ type: 'inhale', seconds: 4, scaleTarget: 2 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r5'), withPhases({ type: 'inhale', seconds: 4, sound: 'airhorn' })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r6'), exhaleRamp({ minute: 0, seconds: -5 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r7'), exhaleRamp({ minute: 0, seconds: 4 }, { minute: 2, seconds: '8' })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r8'), exhaleRamp({ minute: 121, seconds: 4 })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r9'), exhaleRamp()));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r10'), routine('alice', { exhale: ramp({ minute: 0, seconds: -5 }) })));
+        await assertFails(setDoc(doc(db, TRAININGS, 'r11'), routine('alice', { exhale: { from: 4, to: 6, interpolation: 'cubic' } })));
+    });
+
+    test('private routines are readable by their owner only', async () => {
+        await seed(`${TRAININGS}/r1`, routine('alice'));
+        await assertSucceeds(getDoc(doc(dbFor('alice'), TRAININGS, 'r1')));
+        await assertFails(getDoc(doc(dbFor('bob'), TRAININGS, 'r1')));
+        await assertFails(getDoc(doc(dbFor(null), TRAININGS, 'r1')));
+    });
+
+    test('published routines are readable and listable by anyone', async () => {
+        await seed(`${TRAININGS}/r1`, routine('alice', { published: true }));
+        await assertSucceeds(getDoc(doc(dbFor('bob'), TRAININGS, 'r1')));
+        await assertSucceeds(getDocs(query(collection(dbFor('bob'), TRAININGS), where('published', '==', true))));
+        await assertSucceeds(getDocs(query(collection(dbFor('bob'), TRAININGS), where('ownerId', '==', 'bob'))));
+        await assertFails(getDocs(collection(dbFor('bob'), TRAININGS)));
+    });
+
+    test('the owner can edit but not take over the use count or ownership', async () => {
+        await seed(`${TRAININGS}/r1`, routine('alice', { published: true, useCount: 3 }));
+        const ref = doc(dbFor('alice'), TRAININGS, 'r1');
+        await assertSucceeds(updateDoc(ref, { name: 'Box 2', updatedAt: 2 }));
+        await assertFails(updateDoc(ref, { useCount: 100 }));
+        await assertFails(updateDoc(ref, { ownerId: 'bob' }));
+        await assertFails(updateDoc(ref, { inhale: 0.001 }));
+    });
+
+    test('anyone signed in may add exactly one use to a published routine', async () => {
+        await seed(`${TRAININGS}/r1`, routine('alice', { published: true, useCount: 3 }));
+        await seed(`${TRAININGS}/r2`, routine('alice'));
+        const bob = dbFor('bob');
+        await assertSucceeds(updateDoc(doc(bob, TRAININGS, 'r1'), { useCount: increment(1) }));
+        await assertFails(updateDoc(doc(bob, TRAININGS, 'r1'), { useCount: increment(2) }));
+        await assertFails(updateDoc(doc(bob, TRAININGS, 'r1'), { useCount: 0 }));
+        await assertFails(updateDoc(doc(bob, TRAININGS, 'r1'), { useCount: increment(1), name: 'Mine now' }));
+        await assertFails(updateDoc(doc(bob, TRAININGS, 'r2'), { useCount: increment(1) }));
+        await assertFails(updateDoc(doc(dbFor(null), TRAININGS, 'r1'), { useCount: increment(1) }));
+    });
+
+    test('only the owner can delete a routine', async () => {
+        await seed(`${TRAININGS}/r1`, routine('alice', { published: true }));
+        await assertFails(deleteDoc(doc(dbFor('bob'), TRAININGS, 'r1')));
+        await assertSucceeds(deleteDoc(doc(dbFor('alice'), TRAININGS, 'r1')));
+    });
+
+    test('routines without an owner are hidden', async () => {
+        const { ownerId, ...unowned } = routine('alice');
+        await seed(`${TRAININGS}/r1`, unowned);
+        await assertFails(getDoc(doc(dbFor('alice'), TRAININGS, 'r1')));
+        await assertFails(deleteDoc(doc(dbFor('alice'), TRAININGS, 'r1')));
+    });
+});
+
+describe('combos', SUITE, () => {
+    const combo = (ownerId) => ({ name: 'Morning', routines: ['box', 'led'], isCustom: true, createdAt: 1, ownerId });
+
+    test('combos are private to their owner', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('alice'), COMBOS, 'c1'), combo('alice')));
+        await assertFails(setDoc(doc(dbFor('alice'), COMBOS, 'c2'), combo('bob')));
+        await assertSucceeds(getDoc(doc(dbFor('alice'), COMBOS, 'c1')));
+        await assertFails(getDoc(doc(dbFor('bob'), COMBOS, 'c1')));
+        await assertSucceeds(getDocs(query(collection(dbFor('alice'), COMBOS), where('ownerId', '==', 'alice'))));
+    });
+
+    test('only the owner can update or delete a combo', async () => {
+        await seed(`${COMBOS}/c1`, combo('alice'));
+        await assertFails(updateDoc(doc(dbFor('bob'), COMBOS, 'c1'), { name: 'Taken' }));
+        await assertFails(updateDoc(doc(dbFor('alice'), COMBOS, 'c1'), { ownerId: 'bob' }));
+        await assertSucceeds(updateDoc(doc(dbFor('alice'), COMBOS, 'c1'), { name: 'Evening' }));
+        await assertFails(deleteDoc(doc(dbFor('bob'), COMBOS, 'c1')));
+        await assertSucceeds(deleteDoc(doc(dbFor('alice'), COMBOS, 'c1')));
+    });
+
+    test('invalid combos are rejected', async () => {
+        const db = dbFor('alice');
+        const withSteps = (...routines) => ({ ...combo('alice'), routines });
+        await assertSucceeds(setDoc(doc(db, COMBOS, 'c1'),
+            withSteps('box', { routineId: 'led', durationMinutes: 3, restSeconds: 30, restLabel: 'Stretch' })));
+        await assertFails(setDoc(doc(db, COMBOS, 'c2'), { ...combo('alice'), name: '' }));
+        await assertFails(setDoc(doc(db, COMBOS, 'c3'), withSteps()));
+        await assertFails(setDoc(doc(db, COMBOS, 'c4'), withSteps(...Array(21).fill('box'))));
+        await assertFails(setDoc(doc(db, COMBOS, 'c5'), withSteps({ durationMinutes: 3 })));
+        await assertFails(setDoc(doc(db, COMBOS, 'c6'), withSteps('box', { routineId: 'led', restSeconds: 601 })));
+        await assertFails(setDoc(doc(db, COMBOS, 'c7'), withSteps({ routineId: 'led', durationMinutes: 0 })));
+        await assertFails(updateDoc(doc(db, COMBOS, 'c1'), { routines: [42] }));
+    });
+});
+
+describe('history', SUITE, () => {
+    test('users read and write only their own sessions', async () => {
+        await assertSucceeds(setDoc(doc(dbFor('alice'), historyPath('alice'), 's1'), session()));
+        await assertFails(setDoc(doc(dbFor('bob'), historyPath('alice'), 's2'), session()));
+        await assertSucceeds(getDoc(doc(dbFor('alice'), historyPath('alice'), 's1')));
+        await assertFails(getDoc(doc(dbFor('bob'), historyPath('alice'), 's1')));
+        await assertFails(getDocs(collection(dbFor('bob'), historyPath('alice'))));
+        await assertFails(deleteDoc(doc(dbFor('bob'), historyPath('alice'), 's1')));
+        await assertSucceeds(deleteDoc(doc(dbFor('alice'), historyPath('alice'), 's1')));
+    });
+
+    test('invalid sessions are rejected', async () => {
+        const ref = (id) => doc(dbFor('alice'), historyPath('alice'), id);
+        await assertFails(setDoc(ref('s1'), session({ routineName: '' })));
+        await assertFails(setDoc(ref('s2'), session({ completed: 'yes' })));
+        await assertFails(setDoc(ref('s3'), session({ actualDurationSeconds: -1 })));
+        await assertFails(setDoc(ref('s4'), session({ note: 'x'.repeat(3000) })));
+    });
+
+    test('check-ins are validated', async () => {
+        const ref = (id) => doc(dbFor('alice'), historyPath('alice'), id);
+        await assertSucceeds(setDoc(ref('s1'), session({ checkInBefore: { stress: 7, mood: 'low', note: 'Long day' } })));
+        await assertSucceeds(setDoc(ref('s2'), session({ checkInAfter: { stress: 3 } })));
+        await assertFails(setDoc(ref('s3'), session({ checkInBefore: { stress: 11 } })));
+        await assertFails(setDoc(ref('s4'), session({ checkInBefore: { stress: 2.5 } })));
+        await assertFails(setDoc(ref('s5'), session({ checkInBefore: { mood: 'good' } })));
+        await assertFails(setDoc(ref('s6'), session({ checkInAfter: { stress: 3, mood: 'ecstatic' } })));
+        await assertFails(setDoc(ref('s7'), session({ checkInAfter: { stress: 3, note: 'x'.repeat(141) } })));
+    });
+
+    test('adding a check-in afterwards is an update that is validated too', async () => {
+        await seed(`${historyPath('alice')}/s1`, session());
+        const ref = doc(dbFor('alice'), historyPath('alice'), 's1');
+        await assertSucceeds(updateDoc(ref, { checkInAfter: { stress: 2, mood: 'great' } }));
+        await assertFails(updateDoc(ref, { checkInAfter: { stress: 0 } }));
+    });
+});
+
+describe('settings', SUITE, () => {
+    test('users read and write only their own preferences', async () => {
+        const preferences = { dailyGoal: { type: 'minutes', target: 10 }, checkIns: true };
+        await assertSucceeds(setDoc(doc(dbFor('alice'), settingsPath('alice'), 'preferences'), preferences));
+        await assertFails(setDoc(doc(dbFor('bob'), settingsPath('alice'), 'preferences'), preferences));
+        await assertSucceeds(getDoc(doc(dbFor('alice'), settingsPath('alice'), 'preferences')));
+        await assertFails(getDoc(doc(dbFor('bob'), settingsPath('alice'), 'preferences')));
+    });
+
+    test('invalid preferences are rejected', async () => {
+        const ref = doc(dbFor('alice'), settingsPath('alice'), 'preferences');
+        await assertFails(setDoc(ref, { dailyGoal: { type: 'minutes', target: 601 } }));
+        await assertFails(setDoc(ref, { checkIns: 'sometimes' }));
+        await assertFails(setDoc(ref, { soundPack: 'airhorn' }));
+        await assertFails(setDoc(ref, { mixer: { master: 150 } }));
+        await assertFails(setDoc(ref, { voice: { rate: 5 } }));
+        await assertSucceeds(setDoc(ref, { mixer: { master: 80, muted: true }, ambient: { enabled: true, volume: 40 } }));
+    });
+});
+
+describe('legacy shared history', SUITE, () => {
+    test('is closed to everyone', async () => {
+        await seed(`${LEGACY_HISTORY}/old1`, session());
+        await assertFails(getDoc(doc(dbFor('alice'), LEGACY_HISTORY, 'old1')));
+        await assertFails(getDocs(collection(dbFor('alice'), LEGACY_HISTORY)));
+        await assertFails(setDoc(doc(dbFor('alice'), LEGACY_HISTORY, 'new1'), session()));
+        await assertFails(deleteDoc(doc(dbFor('alice'), LEGACY_HISTORY, 'old1')));
+    });
+});
+
+describe('other paths', SUITE, () => {
+    test('are closed', async () => {
+        await assertFails(setDoc(doc(dbFor('alice'), 'anything', 'x'), { a: 1 }));
+        await assertFails(getDoc(doc(dbFor('alice'), `artifacts/${APP_ID}/users/alice/notes/x`)));
+    });
+});
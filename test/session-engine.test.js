@@ -0,0 +1,291 @@
+/**
+ * Session Engine Tests
+ *
+ * Drives SessionEngine with a fake clock and frame scheduler, and checks the
+ * phase timing helpers it is built on.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionEngine, resolvePhaseSeconds, buildPhases } from '../session-engine.js';
+
+/**
+ * Clock and frame scheduler that only move when advance() is called
+ */
+function createFakeTime() {
+    let now = 0;
+    let nextId = 1;
+    const frames = new Map();
+
+    return {
+        clock: { now: () => now },
+        scheduler: {
+            request: (callback) => {
+                const id = nextId++;
+                frames.set(id, callback);
+                return id;
+            },
+            cancel: (id) => frames.delete(id)
+        },
+        get pendingFrames() {
+            return frames.size;
+        },
+        /** Move the clock forward, then run the frames that were waiting for it */
+        advance(seconds) {
+            now += seconds * 1000;
+            const due = [...frames.values()];
+            frames.clear();
+            due.forEach(callback => callback());
+        }
+    };
+}
+
+const box = {
+    id: 'box',
+    name: 'Box',
+    durationMinutes: 0.5,
+    inhale: 4,
+    holdIn: 4,
+    exhale: 4,
+    holdOut: 4
+};
+
+const even = (id) => ({ id, name: id.toUpperCase(), durationMinutes: 0.5, inhale: 3, exhale: 3 });
+
+/**
+ * Start an engine on fake time and record its events as [elapsed, name, payload]
+ */
+function startEngine(options) {
+    const time = createFakeTime();
+    const engine = new SessionEngine({ ...options, clock: time.clock, scheduler: time.scheduler });
+    const events = [];
+    ['routineStart', 'cycleStart', 'phaseStart', 'transition', 'paused', 'resumed', 'completed', 'stopped']
+        .forEach(name => engine.on(name, payload => events.push([engine.elapsedSeconds, name, payload])));
+    engine.start();
+    return { time, engine, events };
+}
+
+/**
+ * Advance one second at a time
+ */
+function run(time, seconds) {
+    for (let i = 0; i < seconds; i++) time.advance(1);
+}
+
+describe('SessionEngine', () => {
+    test('walks through the phases of each breath cycle', () => {
+        const { time, events } = startEngine({ routine: box });
+        run(time, 20);
+
+        const phases = events.filter(([, name]) => name === 'phaseStart')
+            .map(([elapsed, , { phase }]) => [elapsed, phase.label]);
+        assert.deepEqual(phases, [
+            [0, 'BREATH IN'], [4, 'HOLD'], [8, 'BREATH OUT'], [12, 'HOLD OUT'],
+            [16, 'BREATH IN'], [20, 'HOLD']
+        ]);
+        assert.deepEqual(events.filter(([, name]) => name === 'cycleStart').map(([elapsed]) => elapsed), [0, 16]);
+    });
+
+    test('reports the time left in the current phase', () => {
+        const { time, engine } = startEngine({ routine: box });
+        const progress = [];
+        engine.on('progress', payload => progress.push(payload));
+        time.advance(1.5);
+
+        assert.equal(progress.length, 1);
+        assert.equal(progress[0].elapsed, 1.5);
+        assert.equal(progress[0].phaseRemaining, 2.5);
+        assert.equal(progress[0].total, 30);
+    });
+
+    test('catches up on every phase boundary crossed since the last frame', () => {
+        const { time, events } = startEngine({ routine: box });
+        time.advance(13);
+
+        const labels = events.filter(([, name]) => name === 'phaseStart').map(([, , { phase }]) => phase.label);
+        assert.deepEqual(labels, ['BREATH IN', 'HOLD', 'BREATH OUT', 'HOLD OUT']);
+    });
+
+    test('does not count paused time', () => {
+        const { time, engine, events } = startEngine({ routine: box });
+        time.advance(3);
+        engine.pause();
+        assert.equal(time.pendingFrames, 0);
+
+        time.advance(60);
+        engine.tick();
+        assert.equal(engine.elapsedSeconds, 3);
+        assert.equal(engine.currentPhase.label, 'BREATH IN');
+
+        engine.resume();
+        time.advance(1);
+        assert.equal(engine.elapsedSeconds, 4);
+        assert.equal(engine.currentPhase.label, 'HOLD');
+
+        const summary = engine.getSummary();
+        assert.equal(summary.pausedSeconds, 60);
+        assert.equal(summary.pauseCount, 1);
+        assert.deepEqual(events.filter(([, name]) => name === 'paused' || name === 'resumed')
+            .map(([, name, payload]) => [name, payload.elapsed]), [['paused', 3], ['resumed', 3]]);
+    });
+
+    test('finishes the breath in progress before completing', () => {
+        const { time, engine, events } = startEngine({ routine: box });
+        run(time, 40);
+
+        const completed = events.filter(([, name]) => name === 'completed');
+        assert.equal(completed.length, 1);
+        const [elapsed, , summary] = completed[0];
+        assert.equal(elapsed, 32);
+        assert.equal(summary.completed, true);
+        assert.equal(summary.elapsedSeconds, 32);
+        assert.equal(summary.cycles, 2);
+        assert.deepEqual(summary.steps.map(step => [step.seconds, step.completed]), [[32, true]]);
+        assert.equal(engine.isRunning, false);
+        assert.equal(time.pendingFrames, 0);
+    });
+
+    test('stopping early reports an incomplete session', () => {
+        const { time, engine, events } = startEngine({ routine: box });
+        run(time, 10);
+        const summary = engine.stop();
+
+        assert.equal(summary.completed, false);
+        assert.equal(summary.elapsedSeconds, 10);
+        assert.equal(summary.cycles, 0);
+        assert.deepEqual(summary.steps.map(step => [step.seconds, step.completed]), [[10, false]]);
+        assert.equal(events.at(-1)[1], 'stopped');
+    });
+
+    test('re-evaluates ramped phases at the start of every cycle', () => {
+        const routine = { name: 'Slowing', durationMinutes: 1, inhale: { from: 2, to: 6 }, exhale: 4 };
+        const { time, events } = startEngine({ routine });
+        time.advance(6);
+
+        const inhales = events.filter(([, name]) => name === 'cycleStart').map(([, , { phases }]) => phases[0].duration);
+        assert.deepEqual(inhales, [2, 2.4]);
+    });
+
+    test('runs combo steps with their rests in between', () => {
+        const routines = [even('a'), even('b')];
+        const combo = {
+            id: 'combo',
+            name: 'Combo',
+            routines: [{ routineId: 'a', restSeconds: 10, restLabel: 'Stretch' }, 'b', { routineId: 'a', durationMinutes: 0.2 }]
+        };
+        const { time, engine, events } = startEngine({ routine: routines[0], combo, routines });
+
+        assert.deepEqual(engine.timeline.map(segment => [segment.type, segment.seconds]),
+            [['routine', 30], ['rest', 10], ['routine', 30], ['rest', 2], ['routine', 12]]);
+        assert.equal(engine.totalSeconds, 84);
+
+        const progress = [];
+        engine.on('progress', payload => progress.push(payload));
+        run(time, 90);
+
+        assert.deepEqual(events.filter(([, name]) => name === 'routineStart')
+            .map(([elapsed, , payload]) => [elapsed, payload.stepIndex, payload.routine.id]), [[0, 0, 'a'], [40, 1, 'b'], [72, 2, 'a']]);
+        assert.deepEqual(events.filter(([, name]) => name === 'transition')
+            .map(([elapsed, , payload]) => [elapsed, payload.stepIndex, payload.seconds, payload.label, payload.isRest]),
+            [[30, 1, 10, 'Stretch', true], [70, 2, 2, null, false]]);
+
+        const resting = progress.find(payload => payload.elapsed === 35);
+        assert.equal(resting.segmentIndex, 1);
+        assert.equal(resting.phaseRemaining, null);
+
+        const [elapsed, , summary] = events.find(([, name]) => name === 'completed');
+        assert.equal(elapsed, 84);
+        assert.equal(summary.cycles, 12);
+        assert.deepEqual(summary.steps.map(step => [step.routine.id, step.seconds, step.cycles, step.completed]),
+            [['a', 30, 5, true], ['b', 30, 5, true], ['a', 12, 2, true]]);
+    });
+
+    test('rejects routines without timed phases and unknown combo steps', () => {
+        assert.throws(() => new SessionEngine({ routine: { name: 'Empty', durationMinutes: 1, inhale: 0, exhale: 0 } }),
+            /no timed phases/);
+        assert.throws(() => new SessionEngine({ routine: box, combo: { routines: ['missing'] }, routines: [box] }),
+            /Routine not found: missing/);
+    });
+});
+
+describe('resolvePhaseSeconds', () => {
+    test('passes plain seconds through', () => {
+        assert.equal(resolvePhaseSeconds(4, 30, 60), 4);
+        assert.equal(resolvePhaseSeconds(undefined, 30, 60), 0);
+    });
+
+    test('interpolates a from/to ramp over the routine, rounded to a tenth', () => {
+        const ramp = { from: 4, to: 8 };
+        assert.equal(resolvePhaseSeconds(ramp, 0, 60), 4);
+        assert.equal(resolvePhaseSeconds(ramp, 30, 60), 6);
+        assert.equal(resolvePhaseSeconds(ramp, 90, 60), 8);
+        assert.equal(resolvePhaseSeconds({ from: 1, to: 2 }, 20, 60), 1.3);
+    });
+
+    test('moves a stepped ramp through equal plateaus', () => {
+        const ramp = { from: 2, to: 6, interpolation: 'step', steps: 3 };
+        assert.equal(resolvePhaseSeconds(ramp, 6, 60), 2);
+        assert.equal(resolvePhaseSeconds(ramp, 30, 60), 4);
+        assert.equal(resolvePhaseSeconds(ramp, 59, 60), 6);
+        assert.equal(resolvePhaseSeconds(ramp, 60, 60), 6);
+        // Four plateaus by default
+        assert.equal(resolvePhaseSeconds({ from: 0, to: 3, interpolation: 'step' }, 18, 60), 1);
+    });
+
+    test('interpolates between keyframes and holds the ends', () => {
+        const ramp = { keyframes: [{ minute: 3, seconds: 4 }, { minute: 1, seconds: 8 }] };
+        assert.equal(resolvePhaseSeconds(ramp, 0, 300), 8);
+        assert.equal(resolvePhaseSeconds(ramp, 120, 300), 6);
+        assert.equal(resolvePhaseSeconds(ramp, 240, 300), 4);
+        assert.equal(resolvePhaseSeconds({ ...ramp, interpolation: 'step' }, 150, 300), 8);
+    });
+});
+
+describe('buildPhases', () => {
+    test('expands the shorthand and skips zero-length phases', () => {
+        const phases = buildPhases({ ...box, holdIn: 0, phaseLabels: { holdOut: 'REST' } });
+        assert.deepEqual(phases.map(phase => [phase.label, phase.type, phase.duration, phase.scaleTarget, phase.sound]), [
+            ['BREATH IN', 'inhale', 4, 1, 'in'],
+            ['BREATH OUT', 'exhale', 4, 0.5, 'out'],
+            ['REST', 'hold', 4, 0.5, 'holdOut']
+        ]);
+    });
+
+    test('gives holds the size of the phase before them', () => {
+        const phases = buildPhases({
+            name: 'Holds',
+            durationMinutes: 1,
+            phases: [
+                { type: 'hold', seconds: 2 },
+                { type: 'inhale', seconds: 4 },
+                { type: 'hold', seconds: 2, label: 'TOP' },
+                { type: 'exhale', seconds: 6 }
+            ]
+        });
+        assert.deepEqual(phases.map(phase => [phase.label, phase.scaleTarget, phase.sound]), [
+            ['HOLD', 0.5, 'holdOut'],
+            ['BREATH IN', 1, 'in'],
+            ['TOP', 1, 'holdIn'],
+            ['BREATH OUT', 0.5, 'out']
+        ]);
+    });
+
+    test('evaluates ramps and keyframes at the given time', () => {
+        const routine = {
+            name: 'Ramps',
+            durationMinutes: 10,
+            phases: [
+                { type: 'inhale', seconds: { from: 4, to: 6 } },
+                { type: 'exhale', seconds: { keyframes: [{ minute: 0, seconds: 4 }, { minute: 5, seconds: 8 }] } }
+            ]
+        };
+        assert.deepEqual(buildPhases(routine).map(phase => phase.duration), [4, 4]);
+        assert.deepEqual(buildPhases(routine, { elapsed: 150 }).map(phase => phase.duration), [4.5, 6]);
+        assert.deepEqual(buildPhases(routine, { elapsed: 600 }).map(phase => phase.duration), [6, 8]);
+    });
+
+    test('rejects unknown phase types', () => {
+        assert.throws(() => buildPhases({ name: 'Odd', durationMinutes: 1, phases: [{ type: 'sigh', seconds: 3 }] }),
+            /Unknown phase type "sigh"/);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Training Statistics Tests
+ *
+ * Checks the daily goal, streaks and how far back the current streak needs
+ * history to be loaded.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDailyGoalProgress, computeStreaks, getStreakHistoryStart } from '../stats.js';
+
+const goal = { type: 'minutes', target: 10 };
+const now = new Date(2025, 2, 9, 18).getTime();
+
+/**
+ * Start of the local day a number of days before now
+ */
+const dayStart = (daysAgo) => new Date(2025, 2, 9 - daysAgo).getTime();
+
+/**
+ * A ten-minute session at noon a number of days before now
+ */
+const sessionOn = (daysAgo) => ({
+    routineName: 'Box',
+    actualDurationSeconds: 600,
+    totalTargetSeconds: 600,
+    completed: true,
+    timestamp: dayStart(daysAgo) + 12 * 3600 * 1000
+});
+
+describe('daily goal and streaks', () => {
+    test('counts today and the unbroken run of met days', () => {
+        const sessions = [0, 1, 2, 4, 5, 6, 7].map(sessionOn);
+        assert.equal(getDailyGoalProgress(sessions, goal, now).met, true);
+        assert.deepEqual(computeStreaks(sessions, goal, now), { current: 3, longest: 4 });
+    });
+
+    test('keeps the current streak while today is still open', () => {
+        assert.deepEqual(computeStreaks([1, 2].map(sessionOn), goal, now), { current: 2, longest: 2 });
+    });
+});
+
+describe('getStreakHistoryStart', () => {
+    test('reaches back to the day before the current streak', () => {
+        assert.equal(getStreakHistoryStart([0, 1, 2].map(sessionOn), goal, now), dayStart(3));
+        assert.equal(getStreakHistoryStart([1, 2].map(sessionOn), goal, now), dayStart(3));
+    });
+
+    test('needs yesterday when there is no streak', () => {
+        assert.equal(getStreakHistoryStart([], goal, now), dayStart(1));
+        assert.equal(getStreakHistoryStart([sessionOn(0)], goal, now), dayStart(1));
+    });
+});
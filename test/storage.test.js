@@ -0,0 +1,144 @@
+/**
+ * Memory Storage Tests
+ *
+ * Exercises the storage interface (see storage.js) through the in-memory
+ * backend: create, bulk create, update, delete, validation and subscriptions.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage, createLocalId } from '../storage.js';
+
+const routine = (changes = {}) => ({ name: 'Box', durationMinutes: 5, inhale: 4, holdIn: 4, exhale: 4, holdOut: 4, ...changes });
+const session = (changes = {}) => ({ routineName: 'Box', actualDurationSeconds: 300, totalTargetSeconds: 300, completed: true, ...changes });
+
+/**
+ * Subscribe and keep every list the callback receives
+ */
+async function record(collection) {
+    const calls = [];
+    await collection.subscribe(items => calls.push(items));
+    return calls;
+}
+
+describe('memory storage', () => {
+    test('has no account, Community library or sync', () => {
+        const storage = createMemoryStorage();
+        assert.equal(storage.name, 'memory');
+        assert.equal(storage.account, null);
+        assert.equal(storage.community, null);
+        assert.equal(storage.sync, null);
+    });
+
+    test('creates documents and tells subscribers', async () => {
+        const { routines } = createMemoryStorage();
+        const calls = await record(routines);
+        assert.deepEqual(calls, [[]]);
+
+        const result = await routines.create(routine());
+        assert.equal(result.success, true);
+        assert.equal(calls.length, 2);
+        const [stored] = calls[1];
+        assert.equal(stored.id, result.id);
+        assert.equal(stored.name, 'Box');
+        assert.equal(stored.isCustom, true);
+        assert.equal(typeof stored.createdAt, 'number');
+    });
+
+    test('rejects invalid documents without storing them', async () => {
+        const { routines, combos, history } = createMemoryStorage();
+        const calls = await record(routines);
+
+        const result = await routines.create(routine({ name: '', inhale: 500 }));
+        assert.equal(result.success, false);
+        assert.deepEqual(Object.keys(result.errors).sort(), ['inhale', 'name']);
+        assert.ok(result.error instanceof Error);
+        assert.equal(calls.length, 1);
+
+        assert.equal((await history.create(session({ completed: 'yes' }))).success, false);
+        assert.equal((await combos.create({ name: 'Morning', routines: [] })).success, false);
+    });
+
+    test('keeps stored documents apart from what subscribers receive', async () => {
+        const { routines } = createMemoryStorage();
+        const calls = await record(routines);
+        await routines.create(routine());
+        calls[1][0].name = 'Changed by the UI';
+
+        const latest = await record(routines);
+        assert.equal(latest[0][0].name, 'Box');
+    });
+
+    test('imports history all at once, newest first, with one notification', async () => {
+        const { history } = createMemoryStorage();
+        const calls = await record(history);
+
+        const result = await history.createMany([session({ timestamp: 1000 }), session({ timestamp: 3000 }), session({ timestamp: 2000 })]);
+        assert.equal(result.success, true);
+        assert.equal(result.ids.length, 3);
+        assert.equal(calls.length, 2);
+        assert.deepEqual(calls[1].map(item => item.timestamp), [3000, 2000, 1000]);
+    });
+
+    test('imports nothing when one history entry is invalid', async () => {
+        const { history } = createMemoryStorage();
+        const calls = await record(history);
+
+        const result = await history.createMany([session(), session({ actualDurationSeconds: -5 })]);
+        assert.equal(result.success, false);
+        assert.ok('actualDurationSeconds' in result.errors);
+        assert.deepEqual(calls, [[]]);
+    });
+
+    test('merges updates and validates the merged document', async () => {
+        const { history } = createMemoryStorage();
+        const { id } = await history.create(session({ timestamp: 1000 }));
+        const calls = await record(history);
+
+        assert.equal((await history.update(id, { checkInAfter: { stress: 3, mood: 'good' } })).success, true);
+        const [updated] = calls.at(-1);
+        assert.equal(updated.routineName, 'Box');
+        assert.deepEqual(updated.checkInAfter, { stress: 3, mood: 'good' });
+
+        const invalid = await history.update(id, { checkInAfter: { stress: 11 } });
+        assert.equal(invalid.success, false);
+        assert.deepEqual(calls.at(-1)[0].checkInAfter, { stress: 3, mood: 'good' });
+
+        assert.equal((await history.update('missing', { completed: false })).success, false);
+    });
+
+    test('creates a settings document on its first update', async () => {
+        const { settings } = createMemoryStorage();
+        const calls = await record(settings);
+
+        assert.equal((await settings.update('preferences', { dailyGoal: { type: 'sessions', target: 2 } })).success, true);
+        assert.equal((await settings.update('preferences', { checkIns: false })).success, true);
+        assert.deepEqual(calls.at(-1).map(({ id, dailyGoal, checkIns }) => ({ id, dailyGoal, checkIns })),
+            [{ id: 'preferences', dailyGoal: { type: 'sessions', target: 2 }, checkIns: false }]);
+    });
+
+    test('deletes documents', async () => {
+        const { combos } = createMemoryStorage();
+        const { id } = await combos.create({ name: 'Morning', routines: ['box'] });
+        const calls = await record(combos);
+
+        assert.equal((await combos.delete(id)).success, true);
+        assert.deepEqual(calls.at(-1), []);
+    });
+
+    test('each storage object has its own data', async () => {
+        const first = createMemoryStorage();
+        const second = createMemoryStorage();
+        await first.routines.create(routine());
+
+        assert.deepEqual((await record(second.routines))[0], []);
+    });
+});
+
+describe('createLocalId', () => {
+    test('creates distinct IDs usable as Firestore document IDs', () => {
+        const ids = new Set(Array.from({ length: 100 }, () => createLocalId()));
+        assert.equal(ids.size, 100);
+        ids.forEach(id => assert.match(id, /^[0-9a-f]{32}$/));
+    });
+});
@@ -5,15 +5,71 @@
  */
 
 import { builtInRoutines } from './routines.js';
+import { SessionEngine, normalizeComboSteps, getRoutineStats, buildPhases } from './session-engine.js';
 
 /**
- * Render the routine selector with built-in and custom routines
+ * Build a DOM element without parsing HTML, so names and other text from
+ * users or the cloud are always inserted as text, never as markup
+ * @param {string} tag - Element name, e.g. 'div'
+ * @param {Object} [props] - className, text (textContent), dataset, on ({ event: handler });
+ *                           any other key is set as an attribute (true = present, false/null = absent)
+ * @param {...(Node|string|null|false)} children - Nodes, or strings added as text; falsy entries are skipped
+ * @returns {HTMLElement}
  */
-export function renderRoutineSelector(routines, combos = [], onRoutineSelect, onRoutineDelete) {
+export function el(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props).forEach(([key, value]) => {
+        if (key === 'className') {
+            element.className = value;
+        } else if (key === 'text') {
+            element.textContent = value;
+        } else if (key === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (key === 'on') {
+            Object.entries(value).forEach(([event, handler]) => element.addEventListener(event, handler));
+        } else if (value === true) {
+            element.setAttribute(key, '');
+        } else if (value !== false && value !== null && value !== undefined) {
+            element.setAttribute(key, String(value));
+        }
+    });
+
+    element.append(...children.filter(child => child !== null && child !== undefined && child !== false));
+    return element;
+}
+
+/**
+ * Build a button inside a clickable card (the click does not reach the card)
+ */
+function cardButton(className, label, onClick) {
+    return el('button', {
+        className,
+        text: label,
+        on: {
+            click: (e) => {
+                e.stopPropagation();
+                onClick();
+            }
+        }
+    });
+}
+
+/**
+ * Render the routine selector with combos, built-in routines and the user's own routines
+ * (community routines in `routines` are only used to name combo steps)
+ * @param {Array} routines - All available routines
+ * @param {Array} combos - Built-in and custom combos
+ * @param {Object} handlers - { onSelect(routine, combo?), onDelete(id, name), onComboDelete(id, name),
+ *                              onEdit(routine), onDuplicate(routine), onShare(routine), onPublish(routine),
+ *                              onComboShare(combo) }
+ *                              (without onPublish, e.g. on storage with no Community library, cards have no Publish button)
+ */
+export function renderRoutineSelector(routines, combos = [], handlers = {}) {
     const selector = document.getElementById('routine-selector');
     if (!selector) return;
 
-    selector.innerHTML = '';
+    selector.replaceChildren();
 
     // Combo section (at the top)
     const comboSection = document.createElement('div');
@@ -25,32 +81,34 @@ export function renderRoutineSelector(routines, combos = [], onRoutineSelect, on
     const customSection = document.createElement('div');
     customSection.className = 'grid grid-cols-2 md:grid-cols-4 gap-3';
 
-    routines.forEach(routine => {
+    routines.filter(routine => !routine.isCommunity).forEach(routine => {
         const card = document.createElement('div');
         card.className = `p-4 rounded-xl shadow-lg cursor-pointer transition duration-300 transform hover:scale-[1.03] flex flex-col justify-between ${routine.isCustom ? 'bg-gray-700 hover:bg-gray-600' : 'bg-indigo-600 hover:bg-indigo-700'}`;
         card.dataset.routineId = routine.id;
 
-        card.innerHTML = `
-            <h3 class="text-lg font-bold text-white mb-1">${routine.name}</h3>
-            <p class="text-sm text-indigo-200">${routine.inhale}:${routine.holdIn}:${routine.exhale}:${routine.holdOut}</p>
-            <p class="text-xs text-indigo-300">${routine.durationMinutes} min</p>
-            ${routine.isCustom ? `<button class="delete-custom-btn mt-2 text-xs text-red-300 hover:text-red-400 self-end" data-id="${routine.id}">Delete</button>` : ''}
-        `;
+        card.append(
+            el('h3', { className: 'text-lg font-bold text-white mb-1', text: routine.name }),
+            el('p', { className: 'text-sm text-indigo-200', text: formatRoutinePattern(routine) }),
+            el('p', { className: 'text-xs text-indigo-300', text: `${routine.durationMinutes} min` }),
+            routine.isCustom
+                ? el('span', { className: 'mt-2 space-x-3 self-end' },
+                    handlers.onPublish && cardButton('publish-custom-btn text-xs text-indigo-200 hover:text-white',
+                        routine.published ? 'Unpublish' : 'Publish', () => handlers.onPublish(routine)),
+                    cardButton('share-custom-btn text-xs text-indigo-200 hover:text-white', 'Share', () => handlers.onShare(routine)),
+                    cardButton('edit-custom-btn text-xs text-indigo-200 hover:text-white', 'Edit', () => handlers.onEdit(routine)),
+                    cardButton('delete-custom-btn text-xs text-red-300 hover:text-red-400', 'Delete', () => handlers.onDelete(routine.id, routine.name)))
+                : el('span', { className: 'mt-2 space-x-3 self-end' },
+                    cardButton('share-routine-btn text-xs text-indigo-200 hover:text-white', 'Share', () => handlers.onShare(routine)),
+                    cardButton('duplicate-routine-btn text-xs text-indigo-200 hover:text-white', 'Duplicate as custom', () => handlers.onDuplicate(routine)))
+        );
 
         card.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('delete-custom-btn')) {
-                onRoutineSelect(routine);
+            if (!e.target.closest('button')) {
+                handlers.onSelect(routine);
             }
         });
 
         if (routine.isCustom) {
-            const deleteBtn = card.querySelector('.delete-custom-btn');
-            if (deleteBtn) {
-                deleteBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    onRoutineDelete(routine.id, routine.name);
-                });
-            }
             customSection.appendChild(card);
         } else {
             builtInSection.appendChild(card);
@@ -63,23 +121,24 @@ export function renderRoutineSelector(routines, combos = [], onRoutineSelect, on
         card.className = 'p-4 rounded-xl shadow-lg cursor-pointer transition duration-300 transform hover:scale-[1.03] flex flex-col justify-between bg-purple-600 hover:bg-purple-700';
         card.dataset.comboId = combo.id;
 
-        const routineNames = combo.routines.map(id => {
-            const routine = routines.find(r => r.id === id);
-            return routine ? routine.name : id;
-        }).join(' + ');
+        const routineNames = formatComboSteps(combo, routines);
 
-        card.innerHTML = `
-            <h3 class="text-lg font-bold text-white mb-1">${combo.name}</h3>
-            <p class="text-sm text-purple-200">${routineNames}</p>
-            <p class="text-xs text-purple-300">Combo</p>
-        `;
+        card.append(
+            el('h3', { className: 'text-lg font-bold text-white mb-1', text: combo.name }),
+            el('p', { className: 'text-sm text-purple-200', text: routineNames }),
+            el('p', { className: 'text-xs text-purple-300', text: combo.isCustom ? 'Your Combo' : 'Combo' }),
+            el('span', { className: 'mt-2 space-x-3 self-end' },
+                cardButton('share-combo-btn text-xs text-purple-200 hover:text-white', 'Share', () => handlers.onComboShare(combo)),
+                combo.isCustom && cardButton('delete-combo-btn text-xs text-red-300 hover:text-red-400', 'Delete',
+                    () => handlers.onComboDelete(combo.id, combo.name)))
+        );
 
         card.addEventListener('click', () => {
             // Find first routine in combo
-            const firstRoutineId = combo.routines[0];
-            const firstRoutine = routines.find(r => r.id === firstRoutineId);
+            const firstStep = normalizeComboSteps(combo)[0];
+            const firstRoutine = firstStep && routines.find(r => r.id === firstStep.routineId);
             if (firstRoutine) {
-                onRoutineSelect(firstRoutine, combo);
+                handlers.onSelect(firstRoutine, combo);
             }
         });
 
@@ -104,12 +163,204 @@ export function renderRoutineSelector(routines, combos = [], onRoutineSelect, on
     if (customSection.children.length > 0) {
         const customHeader = document.createElement('h2');
         customHeader.className = 'text-xl font-semibold mb-3 mt-6 text-indigo-300';
-        customHeader.textContent = 'Your Saved Routines';
+        customHeader.textContent = 'My Routines';
         selector.appendChild(customHeader);
         selector.appendChild(customSection);
     }
 }
 
+/**
+ * Render the Community library of published routines
+ * @param {Array} routines - Published routines, most used first
+ * @param {string|null} currentUserId - Signed-in user, to mark their own routines
+ * @param {Object} handlers - { onSelect(routine), onFork(routine) }
+ * @param {string} [filterText] - Only show routines whose name contains this text
+ */
+export function renderCommunityRoutines(routines, currentUserId, handlers, filterText = '') {
+    const list = document.getElementById('community-list');
+    if (!list) return;
+
+    list.replaceChildren();
+
+    const needle = filterText.trim().toLowerCase();
+    const visible = needle
+        ? routines.filter(routine => routine.name.toLowerCase().includes(needle))
+        : routines;
+
+    if (visible.length === 0) {
+        list.append(el('p', {
+            className: 'col-span-full text-sm text-gray-500',
+            text: needle ? 'No community routines match your search.' : 'No routines have been published yet.'
+        }));
+        return;
+    }
+
+    visible.forEach(routine => {
+        const isMine = routine.ownerId === currentUserId;
+        const useCount = routine.useCount || 0;
+        const card = document.createElement('div');
+        card.className = 'p-4 rounded-xl shadow-lg cursor-pointer transition duration-300 transform hover:scale-[1.03] flex flex-col justify-between bg-teal-700 hover:bg-teal-600';
+        card.dataset.routineId = routine.id;
+
+        card.append(
+            el('h3', { className: 'text-lg font-bold text-white mb-1', text: routine.name }),
+            el('p', { className: 'text-sm text-teal-100', text: formatRoutinePattern(routine) }),
+            el('p', { className: 'text-xs text-teal-200', text: `${routine.durationMinutes} min · Used ${useCount} ${useCount === 1 ? 'time' : 'times'}` }),
+            isMine
+                ? el('span', { className: 'mt-2 text-xs text-teal-200 self-end', text: 'Yours' })
+                : cardButton('fork-routine-btn mt-2 text-xs text-teal-100 hover:text-white self-end', 'Fork to My Routines', () => handlers.onFork(routine))
+        );
+
+        card.addEventListener('click', (e) => {
+            if (!e.target.closest('button')) {
+                handlers.onSelect(routine);
+            }
+        });
+
+        list.appendChild(card);
+    });
+}
+
+/**
+ * Describe a combo's steps, e.g. "LAH + rest 30s + LED (2 min)"
+ */
+export function formatComboSteps(combo, routines) {
+    const parts = [];
+    const steps = normalizeComboSteps(combo);
+
+    steps.forEach((step, index) => {
+        const routine = routines.find(r => r.id === step.routineId);
+        const name = routine ? routine.name : step.routineId;
+        parts.push(typeof step.durationMinutes === 'number' ? `${name} (${step.durationMinutes} min)` : name);
+
+        if (index < steps.length - 1 && step.restSeconds > 0) {
+            parts.push(`rest ${step.restSeconds}s`);
+        }
+    });
+
+    return parts.join(' + ');
+}
+
+/**
+ * Fill the combo form's routine picker with every available routine
+ */
+export function renderComboRoutineOptions(routines) {
+    const select = document.getElementById('combo-input-routine');
+    if (!select) return;
+
+    const previous = select.value;
+    select.replaceChildren();
+
+    routines.forEach(routine => {
+        const option = document.createElement('option');
+        option.value = routine.id;
+        option.textContent = `${routine.name} (${routine.durationMinutes} min)`;
+        select.appendChild(option);
+    });
+
+    // Keep the user's selection across live updates
+    if (routines.some(r => r.id === previous)) {
+        select.value = previous;
+    }
+}
+
+/**
+ * Render the ordered steps of the combo being built, each with optional
+ * duration override and rest inputs
+ * @param {Array<Object>} steps - Combo steps ({ routineId, durationMinutes?, restSeconds?, restLabel? }) in run order
+ * @param {Array} routines - All available routines, for names
+ * @param {Function} onMove - Called with (index, direction) where direction is -1 or 1
+ * @param {Function} onRemove - Called with (index)
+ * @param {Function} onChange - Called with (index, field, value) when an override input changes
+ */
+export function renderComboSteps(steps, routines, onMove, onRemove, onChange) {
+    const list = document.getElementById('combo-steps');
+    if (!list) return;
+
+    list.replaceChildren();
+
+    if (steps.length === 0) {
+        list.append(el('li', { className: 'text-sm text-gray-500', text: 'No routines added yet.' }));
+        return;
+    }
+
+    const inputClass = 'w-full p-2 bg-gray-800 border border-gray-700 rounded-lg text-sm text-white';
+
+    steps.forEach((step, index) => {
+        const routine = routines.find(r => r.id === step.routineId);
+        const isLast = index === steps.length - 1;
+        const item = document.createElement('li');
+        item.className = 'p-2 bg-gray-900 rounded-lg space-y-2';
+
+        const stepButton = (className, label, disabled, onClick) => el('button', {
+            type: 'button',
+            className: `${className} px-2 text-xs disabled:opacity-30`,
+            text: label,
+            disabled,
+            on: { click: onClick }
+        });
+        const overrideInput = (field, props) => {
+            const input = el('input', { ...props, className: inputClass, dataset: { field } });
+            if (step[field] !== undefined) {
+                input.value = step[field];
+            }
+            input.addEventListener('change', () => onChange(index, field, input.value));
+            return input;
+        };
+
+        item.append(
+            el('div', { className: 'flex items-center justify-between' },
+                el('span', { className: 'text-sm text-white', text: `${index + 1}. ${routine ? routine.name : step.routineId}` }),
+                el('span', { className: 'space-x-1' },
+                    stepButton('combo-step-up text-gray-300 hover:text-white', '▲', index === 0, () => onMove(index, -1)),
+                    stepButton('combo-step-down text-gray-300 hover:text-white', '▼', isLast, () => onMove(index, 1)),
+                    stepButton('combo-step-remove text-red-300 hover:text-red-400', 'Remove', false, () => onRemove(index)))),
+            el('div', { className: 'grid grid-cols-3 gap-2' },
+                overrideInput('durationMinutes', {
+                    type: 'number', min: 1,
+                    placeholder: `${routine ? routine.durationMinutes : ''} min`, title: 'Minutes (blank = routine default)'
+                }),
+                overrideInput('restSeconds', {
+                    type: 'number', min: 0, disabled: isLast,
+                    placeholder: 'Rest after (s)', title: 'Rest after this step in seconds (blank = 2s transition)'
+                }),
+                overrideInput('restLabel', {
+                    type: 'text', maxlength: 40, disabled: isLast,
+                    placeholder: 'Rest label', title: 'Text shown during the rest'
+                }))
+        );
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Format one phase duration; ramps show their start and end, e.g. "6→10"
+ */
+function formatPhaseSeconds(value) {
+    if (typeof value === 'number') return `${value}`;
+    if (value && Array.isArray(value.keyframes) && value.keyframes.length > 0) {
+        const keyframes = [...value.keyframes].sort((a, b) => a.minute - b.minute);
+        return `${keyframes[0].seconds}→${keyframes[keyframes.length - 1].seconds}`;
+    }
+    if (value && typeof value.from === 'number') return `${value.from}→${value.to}`;
+    return '0';
+}
+
+/**
+ * Format a routine's breathing pattern, e.g. "4:7:8:0", "3:2:8" for a phases array
+ * or "4:0:6→10:0" for a progressive routine
+ */
+export function formatRoutinePattern(routine) {
+    if (Array.isArray(routine.phases)) {
+        return routine.phases
+            .filter(p => typeof p.seconds !== 'number' || p.seconds > 0)
+            .map(p => formatPhaseSeconds(p.seconds))
+            .join(':');
+    }
+    return [routine.inhale, routine.holdIn, routine.exhale, routine.holdOut].map(formatPhaseSeconds).join(':');
+}
+
 /**
  * Format duration in seconds to readable string
  */
@@ -122,14 +373,11 @@ export function formatDuration(seconds) {
 /**
  * Create a history item element
  */
-export function createHistoryItem(name, actualDuration, totalTarget, completed, timestamp, id) {
-    const item = document.createElement('div');
+export function createHistoryItem(name, actualDuration, totalTarget, completed, timestamp, id, details = null) {
     const bgColor = completed ? 'bg-green-900/20 hover:bg-green-900/30' : 'bg-red-900/20 hover:bg-red-900/30';
     const statusText = completed
-        ? '<span class="text-xs font-bold text-green-400">Completed</span>'
-        : `<span class="text-xs font-bold text-red-400">Stopped</span>`;
-
-    item.className = `p-4 rounded-lg shadow-md flex justify-between items-center transition duration-200 ${bgColor}`;
+        ? el('span', { className: 'text-xs font-bold text-green-400', text: 'Completed' })
+        : el('span', { className: 'text-xs font-bold text-red-400', text: 'Stopped' });
 
     const date = new Date(timestamp);
     const formattedDate = date.toLocaleDateString();
@@ -141,23 +389,407 @@ export function createHistoryItem(name, actualDuration, totalTarget, completed,
 
     const durationColor = completed ? 'text-green-300' : 'text-red-300';
 
-    item.innerHTML = `
-        <div class="flex-1">
-            <p class="text-lg font-semibold text-indigo-300 mb-1">${name}</p>
-            <p class="text-xs text-gray-400">
-                ${statusText}
-                <span class="${durationColor} ml-2">${durationText}</span>
-            </p>
-        </div>
-        <div class="text-right mr-4">
-            <p class="text-sm text-gray-300">${formattedDate}</p>
-            <p class="text-xs text-gray-400">${formattedTime}</p>
-        </div>
-        <button class="delete-history-btn px-3 py-1 text-xs text-red-300 hover:text-red-400 hover:bg-red-900/20 rounded transition duration-150" data-id="${id}">
-            Delete
-        </button>
-    `;
-    return item;
+    return el('div', { className: `p-4 rounded-lg shadow-md flex justify-between items-center transition duration-200 ${bgColor}` },
+        el('div', { className: 'flex-1' },
+            el('p', { className: 'text-lg font-semibold text-indigo-300 mb-1', text: name }),
+            el('p', { className: 'text-xs text-gray-400' },
+                statusText,
+                el('span', { className: `${durationColor} ml-2`, text: durationText })),
+            details && el('p', { className: 'text-xs text-gray-400 mt-1', text: details })),
+        el('div', { className: 'text-right mr-4' },
+            el('p', { className: 'text-sm text-gray-300', text: formattedDate }),
+            el('p', { className: 'text-xs text-gray-400', text: formattedTime })),
+        el('button', {
+            className: 'delete-history-btn px-3 py-1 text-xs text-red-300 hover:text-red-400 hover:bg-red-900/20 rounded transition duration-150',
+            dataset: { id },
+            text: 'Delete'
+        })
+    );
+}
+
+// Heatmap colour for a day's practice minutes (upper bound of each level)
+const HEATMAP_LEVELS = [
+    [0, 'bg-gray-700'],
+    [5, 'bg-indigo-900'],
+    [15, 'bg-indigo-700'],
+    [30, 'bg-indigo-500'],
+    [Infinity, 'bg-indigo-300']
+];
+
+/**
+ * Colour class for one heatmap day
+ */
+function heatmapColor(minutes) {
+    return HEATMAP_LEVELS.find(([max]) => minutes <= max)[1];
+}
+
+/**
+ * Describe an average stress reduction, e.g. "−2.5" (less stress) or "+1"
+ */
+function formatStressChange(reduction) {
+    const change = Math.round(-reduction * 10) / 10;
+    if (change === 0) return '0';
+    return change < 0 ? `−${Math.abs(change)}` : `+${change}`;
+}
+
+/**
+ * Render the statistics panel above the history list
+ * @param {Object} stats - From computeHistoryStats (stats.js)
+ * @param {Array} heatmapWeeks - From buildHeatmapWeeks (stats.js)
+ * @param {Function|null} [onLoadAll] - Given while older sessions are still stored: the
+ *                                      statistics are marked as partial, with a button to load them all
+ */
+export function renderHistoryStats(stats, heatmapWeeks, onLoadAll = null) {
+    const panel = document.getElementById('history-stats');
+    if (!panel) return;
+
+    panel.replaceChildren();
+    panel.classList.toggle('hidden', stats.sessionCount === 0);
+    if (stats.sessionCount === 0) return;
+
+    const tile = (label, value) => el('div', { className: 'p-3 bg-gray-800 rounded-lg' },
+        el('p', { className: 'text-xs text-gray-400', text: label }),
+        el('p', { className: 'text-xl font-bold text-white', text: value }));
+    const sessionsText = (count) => `${count} ${count === 1 ? 'session' : 'sessions'}`;
+    const hasCheckIns = stats.stressReduction !== null;
+
+    const tiles = el('div', { className: `grid grid-cols-2 gap-3 ${hasCheckIns ? 'md:grid-cols-6' : 'md:grid-cols-5'}` },
+        tile('Total practice', `${stats.totalMinutes} min`),
+        tile('This week', sessionsText(stats.weekSessions)),
+        tile('This month', sessionsText(stats.monthSessions)),
+        tile('Completion rate', `${Math.round(stats.completionRate * 100)}%`),
+        tile('Average session', formatDuration(stats.averageSeconds)),
+        hasCheckIns && tile('Avg. stress change', formatStressChange(stats.stressReduction)));
+
+    // GitHub-style calendar: one column per week, Monday at the top
+    const heatmap = el('div', { className: 'grid grid-flow-col grid-rows-7 gap-[3px] w-max' },
+        ...heatmapWeeks.flat().map(({ day, minutes, isFuture }) => el('div', {
+            className: `w-[10px] h-[10px] rounded-sm ${isFuture ? 'bg-transparent' : heatmapColor(minutes)}`,
+            title: isFuture ? false : `${day}: ${Math.round(minutes)} min`
+        })));
+    const legend = el('div', { className: 'flex items-center gap-1 mt-2 text-xs text-gray-400' },
+        'Less',
+        ...HEATMAP_LEVELS.map(([, color]) => el('span', { className: `inline-block w-[10px] h-[10px] rounded-sm ${color}` })),
+        'More');
+
+    const breakdown = el('table', { className: 'w-full text-sm' },
+        el('thead', {},
+            el('tr', { className: 'text-left text-xs text-gray-400' },
+                el('th', { className: 'font-medium pb-1', text: 'Routine' }),
+                el('th', { className: 'font-medium pb-1 text-right', text: 'Sessions' }),
+                el('th', { className: 'font-medium pb-1 text-right', text: 'Minutes' }),
+                el('th', { className: 'font-medium pb-1 text-right', text: 'Completed' }),
+                hasCheckIns && el('th', { className: 'font-medium pb-1 text-right', text: 'Stress change' }))),
+        el('tbody', {},
+            ...stats.routines.map(routine => el('tr', { className: 'border-t border-gray-700 text-gray-300' },
+                el('td', { className: 'py-1 pr-2 text-white', text: routine.name }),
+                el('td', { className: 'py-1 text-right', text: String(routine.sessions) }),
+                el('td', { className: 'py-1 text-right', text: String(routine.minutes) }),
+                el('td', { className: 'py-1 text-right', text: `${Math.round(routine.completionRate * 100)}%` }),
+                hasCheckIns && el('td', {
+                    className: 'py-1 text-right',
+                    text: routine.stressReduction === null ? '–' : formatStressChange(routine.stressReduction)
+                })))));
+
+    panel.append(
+        tiles,
+        el('div', { className: 'p-3 bg-gray-800 rounded-lg overflow-x-auto' },
+            el('p', { className: 'text-xs text-gray-400 mb-2', text: 'Daily minutes, last 12 months' }),
+            heatmap,
+            legend),
+        el('div', { className: 'p-3 bg-gray-800 rounded-lg' },
+            el('p', { className: 'text-xs text-gray-400 mb-2', text: 'By routine' }),
+            breakdown)
+    );
+
+    if (onLoadAll) {
+        panel.prepend(el('div', { className: 'flex flex-wrap items-center justify-between gap-2 p-3 bg-gray-800 rounded-lg text-sm text-yellow-300' },
+            el('p', { text: `Based on the ${sessionsText(stats.sessionCount)} loaded so far; older sessions are not counted yet.` }),
+            el('button', {
+                type: 'button',
+                id: 'history-stats-load-all',
+                className: 'px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg',
+                text: 'Include all sessions',
+                on: {
+                    click: (event) => {
+                        event.currentTarget.disabled = true;
+                        onLoadAll();
+                    }
+                }
+            })));
+    }
+}
+
+/**
+ * Show the History tab's filter values and refresh its routine choices
+ * @param {Object} filters - See history-filters.js
+ * @param {string[]} routineNames - Routines that appear in the history
+ */
+export function renderHistoryFilters(filters, routineNames) {
+    const routineSelect = document.getElementById('history-filter-routine');
+    if (!routineSelect) return;
+
+    // Keep a filtered routine selectable even if none of its sessions are loaded yet
+    const names = filters.routine && !routineNames.includes(filters.routine)
+        ? [filters.routine, ...routineNames]
+        : routineNames;
+    routineSelect.replaceChildren(
+        el('option', { value: '', text: 'All routines' }),
+        ...names.map(name => el('option', { value: name, text: name }))
+    );
+
+    routineSelect.value = filters.routine;
+    document.getElementById('history-filter-status').value = filters.status;
+    document.getElementById('history-filter-from').value = filters.from;
+    document.getElementById('history-filter-to').value = filters.to;
+    const searchInput = document.getElementById('history-search');
+    if (searchInput !== document.activeElement) searchInput.value = filters.search;
+}
+
+/**
+ * Show how many sessions are listed and whether more can be loaded
+ * @param {boolean} [moreStored] - Older sessions may still be fetched from the backend
+ */
+export function renderHistoryPaging(shownCount, matchCount, totalCount, isFiltered, moreStored = false) {
+    const countText = document.getElementById('history-result-count');
+    if (!countText) return;
+
+    const plural = matchCount === 1 ? 'session' : 'sessions';
+    if (shownCount < matchCount) {
+        countText.textContent = isFiltered
+            ? `Showing ${shownCount} of ${matchCount} matching ${plural} (${totalCount} in total)`
+            : `Showing ${shownCount} of ${matchCount} ${plural}`;
+    } else {
+        countText.textContent = isFiltered
+            ? `${matchCount} of ${totalCount} sessions match`
+            : `${matchCount} ${plural}`;
+    }
+    document.getElementById('history-clear-filters').classList.toggle('hidden', !isFiltered);
+    document.getElementById('history-load-more').classList.toggle('hidden', shownCount >= matchCount && !moreStored);
+}
+
+/**
+ * Describe a number of days, e.g. "1 day" or "12 days"
+ */
+function formatDays(count) {
+    return `${count} ${count === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Render today's progress ring, streaks and the goal form on the Routines tab
+ * @param {{type: string, target: number}} goal - The daily goal
+ * @param {Object} progress - From getDailyGoalProgress (stats.js)
+ * @param {{current: number, longest: number}} streaks - From computeStreaks (stats.js)
+ * @param {boolean} [moreStored] - Older sessions are not loaded yet, so the longest streak may be longer
+ */
+export function renderDailyGoal(goal, progress, streaks, moreStored = false) {
+    const ring = document.getElementById('goal-ring');
+    if (!ring) return;
+
+    ring.style.setProperty('--goal-progress', progress.fraction);
+    ring.classList.toggle('goal-met', progress.met);
+    document.getElementById('goal-ring-label').textContent = progress.met ? '✓' : `${Math.round(progress.fraction * 100)}%`;
+    document.getElementById('goal-progress-text').textContent = progress.met
+        ? `Goal reached: ${progress.value} of ${progress.target} ${goal.type} today.`
+        : `${progress.value} of ${progress.target} ${goal.type} today.`;
+    document.getElementById('goal-streaks').textContent =
+        `Current streak: ${formatDays(streaks.current)} · Longest: ${moreStored ? 'at least ' : ''}${formatDays(streaks.longest)}`;
+
+    // Leave the form alone while the user is editing it
+    const form = document.getElementById('goal-form');
+    if (!form.contains(document.activeElement)) {
+        document.getElementById('goal-target').value = goal.target;
+        document.getElementById('goal-type').value = goal.type;
+    }
+}
+
+/**
+ * Celebrate meeting the daily goal
+ */
+export function showGoalCelebration(streak) {
+    const ring = document.getElementById('goal-ring');
+    if (ring) {
+        ring.classList.remove('goal-celebrate');
+        void ring.offsetWidth; // Restart the animation if it is still running
+        ring.classList.add('goal-celebrate');
+        ring.addEventListener('animationend', () => ring.classList.remove('goal-celebrate'), { once: true });
+    }
+    showCustomMessage(streak > 1
+        ? `🎉 Daily goal reached! That's a ${streak}-day streak.`
+        : "🎉 Daily goal reached! Come back tomorrow to start a streak.", "green");
+}
+
+/**
+ * Render the voice guidance controls in the settings modal
+ * @param {Object} settings - Voice preferences ({ enabled, lang, voiceURI, rate })
+ * @param {string[]} languages - Languages with at least one voice
+ * @param {Array<SpeechSynthesisVoice>} voices - Voices for the chosen language
+ * @param {boolean} supported - Whether the browser can speak at all
+ */
+export function renderVoiceSettings(settings, languages, voices, supported) {
+    const langSelect = document.getElementById('setting-voice-lang');
+    if (!langSelect) return;
+
+    // Keep a saved choice visible even before (or without) its voices loading
+    const langs = settings.lang && !languages.includes(settings.lang) ? [settings.lang, ...languages] : languages;
+    langSelect.replaceChildren(
+        el('option', { value: '', text: 'Any language' }),
+        ...langs.map(lang => el('option', { value: lang, text: lang }))
+    );
+    langSelect.value = settings.lang;
+
+    const voiceSelect = document.getElementById('setting-voice');
+    const chosenMissing = Boolean(settings.voiceURI) && !voices.some(voice => voice.voiceURI === settings.voiceURI);
+    voiceSelect.replaceChildren(
+        el('option', { value: '', text: 'Default voice' }),
+        chosenMissing && el('option', { value: settings.voiceURI, text: `${settings.voiceURI} (unavailable)` }),
+        ...voices.map(voice => el('option', { value: voice.voiceURI, text: `${voice.name} (${voice.lang})` }))
+    );
+    voiceSelect.value = settings.voiceURI;
+
+    document.getElementById('setting-voice-enabled').checked = supported && settings.enabled;
+    document.getElementById('setting-voice-rate').value = settings.rate;
+    document.getElementById('setting-voice-rate-value').textContent = `${Number(settings.rate).toFixed(1)}×`;
+
+    document.getElementById('voice-unsupported').classList.toggle('hidden', supported);
+    document.getElementById('voice-settings').querySelectorAll('input, select, button').forEach((control) => {
+        control.disabled = !supported;
+    });
+}
+
+/**
+ * Render the volume controls: the levels in the settings modal and the
+ * master volume and mute button on the training screen
+ * @param {{master: number, muted: boolean, cues: number, bell: number, voice: number}} settings - Levels 0-100
+ */
+export function renderMixerSettings(settings) {
+    const muteButton = document.getElementById('mute-btn');
+    if (!muteButton) return;
+
+    ['master', 'cues', 'bell', 'voice'].forEach((channel) => {
+        document.getElementById(`setting-volume-${channel}`).value = settings[channel];
+        document.getElementById(`setting-volume-${channel}-value`).textContent = `${settings[channel]}%`;
+    });
+    document.getElementById('setting-muted').checked = settings.muted;
+    document.getElementById('master-volume').value = settings.master;
+
+    muteButton.textContent = settings.muted ? '🔇' : '🔊';
+    muteButton.setAttribute('aria-pressed', String(settings.muted));
+    muteButton.title = settings.muted ? 'Unmute (M)' : 'Mute (M)';
+}
+
+/**
+ * Render the ambient layer controls in the settings modal
+ * @param {{enabled: boolean, volume: number}} settings - Ambient preferences (volume 0-100)
+ */
+export function renderAmbientSettings(settings) {
+    const checkbox = document.getElementById('setting-ambient-enabled');
+    if (!checkbox) return;
+
+    checkbox.checked = settings.enabled;
+    document.getElementById('setting-ambient-volume').value = settings.volume;
+    document.getElementById('setting-ambient-volume-value').textContent = `${settings.volume}%`;
+}
+
+/**
+ * Render the sound pack choices in the settings modal, each with a preview button
+ * @param {Object} packs - SOUND_PACKS from audio.js
+ * @param {string} selectedId - The app-wide pack
+ * @param {{onSelect: Function, onPreview: Function}} handlers - Called with the pack ID
+ */
+export function renderSoundPackChoices(packs, selectedId, handlers) {
+    const list = document.getElementById('sound-pack-list');
+    if (!list) return;
+
+    list.replaceChildren(...Object.entries(packs).map(([id, pack]) => el('div',
+        { className: 'flex items-center justify-between gap-2' },
+        el('label', { className: 'flex items-start space-x-2 text-sm text-gray-300 cursor-pointer', for: `sound-pack-${id}` },
+            el('input', {
+                type: 'radio',
+                name: 'sound-pack',
+                id: `sound-pack-${id}`,
+                value: id,
+                checked: id === selectedId,
+                className: 'mt-1 bg-gray-900 border-gray-700 text-indigo-500',
+                on: { change: () => handlers.onSelect(id) }
+            }),
+            el('span', {}, pack.name, el('br'), el('span', { className: 'text-xs text-gray-500', text: pack.description }))
+        ),
+        id !== 'silent' && el('button', {
+            type: 'button',
+            className: 'px-3 py-1 text-xs bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition duration-150',
+            text: 'Preview',
+            'aria-label': `Preview ${pack.name}`,
+            on: { click: () => handlers.onPreview(id) }
+        })
+    )));
+}
+
+/**
+ * Fill the routine form's sound pack menu (after its "App default" option)
+ * @param {Object} packs - SOUND_PACKS from audio.js
+ */
+export function renderSoundPackOptions(packs) {
+    const select = document.getElementById('input-sound-pack');
+    if (!select) return;
+
+    const previous = select.value;
+    select.replaceChildren(
+        el('option', { value: '', text: 'App default (Settings)' }),
+        ...Object.entries(packs).map(([id, pack]) => el('option', { value: id, text: pack.name }))
+    );
+    select.value = previous;
+}
+
+/**
+ * Render the preview of a shared routine or combo file (see routine-share.js)
+ */
+export function renderRoutineImportPreview(file) {
+    const preview = document.getElementById('routine-import-preview');
+    if (!preview) return;
+
+    const describeRoutine = (routine) => `${formatRoutinePattern(routine)} · ${routine.durationMinutes} min`;
+
+    if (file.type === 'routine') {
+        preview.replaceChildren(
+            el('p', { className: 'text-lg font-bold text-white', text: file.routine.name }),
+            el('p', { className: 'text-sm text-indigo-200', text: describeRoutine(file.routine) })
+        );
+        return;
+    }
+
+    const steps = file.combo.steps.map((step) => {
+        const routine = step.builtInId !== undefined
+            ? builtInRoutines.find(r => r.id === step.builtInId)
+            : file.routines[step.routine];
+        const minutes = step.durationMinutes ?? routine.durationMinutes;
+        return el('li', { className: 'text-sm text-gray-300' },
+            el('span', { className: 'font-semibold text-white', text: routine.name }),
+            ` · ${formatRoutinePattern(routine)} · ${minutes} min`,
+            step.builtInId !== undefined && el('span', { className: 'text-xs text-gray-500', text: ' (built-in)' }));
+    });
+    const newCount = file.routines.length;
+
+    preview.replaceChildren(
+        el('p', { className: 'text-lg font-bold text-white', text: file.combo.name }),
+        el('p', { className: 'text-xs text-purple-300', text: 'Combo' }),
+        el('ol', { className: 'list-decimal list-inside space-y-1' }, ...steps),
+        newCount > 0 && el('p', { className: 'text-xs text-gray-400',
+            text: `Adds ${newCount} ${newCount === 1 ? 'routine' : 'routines'} to My Routines as well as the combo.` })
+    );
+}
+
+/**
+ * Offer text to the user as a file download
+ */
+export function downloadTextFile(fileName, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = el('a', { href: url, download: fileName });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    // Revoked after the click has been handled so the download can start
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 /**
@@ -174,6 +806,98 @@ export function showCustomMessage(message, type = "blue") {
     setTimeout(() => { msgEl.classList.add('hidden'); }, 3000);
 }
 
+/**
+ * Show who is signed in and which account buttons apply
+ *
+ * account is { uid, email, isAnonymous } (or null when offline); note replaces
+ * the default text, e.g. when the cloud connection failed.
+ */
+export function renderAccountStatus(account, note = null) {
+    const display = document.getElementById('user-id-display');
+    const accountBtn = document.getElementById('account-btn');
+    const signOutBtn = document.getElementById('sign-out-btn');
+    if (!display) return;
+
+    if (note) {
+        display.textContent = note;
+    } else if (!account) {
+        display.textContent = 'Offline: not signed in';
+    } else if (account.isAnonymous) {
+        display.textContent = 'Guest account: saved on this device only';
+    } else {
+        display.textContent = `Signed in as ${account.email}`;
+    }
+
+    accountBtn?.classList.toggle('hidden', !account || !account.isAnonymous);
+    signOutBtn?.classList.toggle('hidden', !account || account.isAnonymous);
+}
+
+/**
+ * Show validation errors under the inputs they belong to
+ * @param {HTMLFormElement} form
+ * @param {Object<string, string>} errors - Field path to message (see validation.js)
+ * @param {Object<string, string>} fieldInputs - Field path to input element ID
+ * @returns {string[]} Messages for fields with no input on the form
+ */
+export function renderFieldErrors(form, errors, fieldInputs) {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('.field-error-input').forEach(el => el.classList.remove('field-error-input', 'border-red-500'));
+
+    const unplaced = [];
+    const placed = new Set(); // Several fields can share an input (e.g. ramp steps)
+    Object.entries(errors).forEach(([field, message]) => {
+        const input = fieldInputs[field] && document.getElementById(fieldInputs[field]);
+        if (!input || input.disabled) {
+            unplaced.push(message);
+            return;
+        }
+        if (placed.has(`${input.id}:${message}`)) return;
+        placed.add(`${input.id}:${message}`);
+
+        input.classList.add('field-error-input', 'border-red-500');
+        const errorText = document.createElement('p');
+        errorText.className = 'field-error text-xs text-red-400 mt-1';
+        errorText.textContent = message;
+        input.insertAdjacentElement('afterend', errorText);
+    });
+    return unplaced;
+}
+
+/**
+ * Show how many local changes are still waiting to reach the cloud
+ */
+export function renderPendingSync(count) {
+    const syncStatus = document.getElementById('sync-status');
+    if (!syncStatus) return;
+
+    syncStatus.textContent = `${count} ${count === 1 ? 'change' : 'changes'} pending sync`;
+    syncStatus.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Show the changes the server refused to save, with ways to deal with them
+ * @param {number} count - Rejected changes (see storage.sync.watchRejected)
+ * @param {Object} handlers - onRetry(), onExport(), onDiscard()
+ */
+export function renderRejectedSync(count, handlers) {
+    const notice = document.getElementById('sync-rejected');
+    if (!notice) return;
+
+    const action = (label, onClick) => el('button', {
+        type: 'button',
+        className: 'underline hover:text-white',
+        text: label,
+        on: { click: onClick }
+    });
+    notice.replaceChildren(
+        el('span', { text: `${count} ${count === 1 ? 'change was' : 'changes were'} not accepted by the server.` }),
+        action('Retry', handlers.onRetry),
+        action('Export', handlers.onExport),
+        action('Discard', handlers.onDiscard)
+    );
+    notice.classList.toggle('hidden', count === 0);
+}
+
 /**
  * Reset breathing circle visuals
  */
@@ -188,8 +912,7 @@ export function resetCircleVisuals() {
 /**
  * Transition the breathing circle to a new scale
  */
-export function transitionCircle(scaleTarget, duration) {
-    const circle = document.getElementById('breathing-circle');
+export function transitionCircle(scaleTarget, duration, circle = document.getElementById('breathing-circle')) {
     if (!circle) return;
 
     requestAnimationFrame(() => {
@@ -203,6 +926,136 @@ export function transitionCircle(scaleTarget, duration) {
     });
 }
 
+/**
+ * Get the circle scale and transition time for a breathing phase
+ */
+export function getPhaseCircleTarget(phase) {
+    // Holds snap to their size; breaths animate across the whole phase
+    const duration = phase.type === 'hold' ? 0.1 : phase.duration;
+    return { scale: phase.scaleTarget, duration };
+}
+
+/**
+ * Subscribe the instruction text and breathing circle to a SessionEngine
+ * @returns {Function} Unsubscribe function
+ */
+export function attachSessionView(engine) {
+    const instructionText = document.getElementById('instruction-text');
+    let currentLabel = '';
+
+    const setLabel = (text) => {
+        currentLabel = text;
+        if (instructionText) instructionText.textContent = text;
+    };
+
+    const unsubscribers = [
+        engine.on('phaseStart', ({ phase }) => {
+            setLabel(phase.label);
+            const target = getPhaseCircleTarget(phase);
+            transitionCircle(target.scale, target.duration);
+        }),
+        engine.on('transition', ({ routine, label, isRest }) => {
+            if (isRest) {
+                setLabel(`${label || "REST"} · Next: ${routine.name}`);
+            } else {
+                setLabel(`Transitioning to: ${routine.name}`);
+            }
+        }),
+        engine.on('paused', () => {
+            if (instructionText) instructionText.textContent = "PAUSED";
+        }),
+        engine.on('resumed', () => {
+            // Restore whatever was showing before the pause
+            if (instructionText) instructionText.textContent = currentLabel;
+        }),
+        engine.on('completed', () => {
+            setLabel("TRAINING COMPLETE!");
+        })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+let previewEngine = null; // Runs one cycle of the routine shown in the form preview
+
+/**
+ * Stop the form preview's animation (when the form is hidden or a session starts)
+ */
+export function stopRoutinePreview() {
+    const engine = previewEngine;
+    previewEngine = null; // Cleared first so the stopped cycle doesn't start another
+    engine?.stop();
+}
+
+/**
+ * Animate one breath cycle in the preview, then the next, until the preview
+ * is stopped or replaced
+ */
+function startPreviewCycle(cycle, circle, phaseText) {
+    const engine = new SessionEngine({ routine: cycle });
+    previewEngine = engine;
+    engine.on('phaseStart', ({ phase }) => {
+        phaseText.textContent = phase.label;
+        const target = getPhaseCircleTarget(phase);
+        transitionCircle(target.scale, target.duration, circle);
+    });
+    engine.on('completed', () => {
+        if (previewEngine === engine) startPreviewCycle(cycle, circle, phaseText);
+    });
+    engine.start();
+}
+
+/**
+ * Render the custom routine form's live preview: an animated mini circle,
+ * breaths per minute, cycle length and number of cycles
+ * @param {Object|null} routine - Routine built from the form, or null when the inputs are invalid
+ */
+export function renderRoutinePreview(routine) {
+    const circle = document.getElementById('preview-circle');
+    const phaseText = document.getElementById('preview-phase');
+    const bpmText = document.getElementById('preview-bpm');
+    const cycleText = document.getElementById('preview-cycle');
+    const cyclesText = document.getElementById('preview-cycles');
+    if (!circle) return;
+
+    stopRoutinePreview();
+
+    let stats = null;
+    if (routine) {
+        try {
+            stats = getRoutineStats(routine);
+        } catch (error) {
+            stats = null;
+        }
+    }
+
+    if (!stats || stats.startCycleSeconds <= 0) {
+        bpmText.textContent = '–';
+        cycleText.textContent = '–';
+        cyclesText.textContent = '–';
+        phaseText.textContent = '\u00a0';
+        circle.style.transitionDuration = '0s';
+        circle.style.transform = 'scale(0.5)';
+        return;
+    }
+
+    // Progressive routines show how the pattern changes from start to end
+    const range = (start, end, unit = '') => (start === end ? `${start}${unit}` : `${start}→${end}${unit}`);
+    bpmText.textContent = range(stats.startBreathsPerMinute, stats.endBreathsPerMinute);
+    cycleText.textContent = range(stats.startCycleSeconds, stats.endCycleSeconds, 's');
+    cyclesText.textContent = `${stats.cycles}`;
+
+    // Loop the opening pattern: a routine of exactly one cycle, with any ramps fixed at their start
+    try {
+        const phases = buildPhases(routine).map(({ duration, ...phase }) => ({ ...phase, seconds: duration }));
+        // Just under one cycle, so the run ends on the cycle's last phase boundary despite rounding
+        const cycleMinutes = (stats.startCycleSeconds - 0.05) / 60;
+        startPreviewCycle({ name: routine.name, phases, durationMinutes: cycleMinutes }, circle, phaseText);
+    } catch (error) {
+        console.warn('Preview unavailable:', error.message);
+    }
+}
+
 /**
  * Get UI element references
  */
@@ -219,6 +1072,7 @@ export function getUIElements() {
         progressBar: document.getElementById('progress-bar'),
         breathingCircle: document.getElementById('breathing-circle'),
         customRoutineForm: document.getElementById('custom-routine-form'),
+        comboForm: document.getElementById('combo-form'),
         routinesTabBtn: document.getElementById('routines-tab'),
         historyTabBtn: document.getElementById('history-tab'),
         historyList: document.getElementById('history-list'),
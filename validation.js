@@ -0,0 +1,483 @@
+/**
+ * Validation
+ *
+ * Shared schema checks for routine, combo, history and settings documents, used by the
+ * routine form, imports and every storage backend before a write.
+ * firestore.rules enforces the same limits on the server.
+ *
+ * Validators return { valid, errors }, where errors maps a field path
+ * (e.g. 'name', 'exhale.to', 'phases.2.seconds') to a readable message.
+ */
+
+import { PHASE_TYPES, buildPhases } from './session-engine.js';
+import { SOUND_PACK_IDS } from './constants.js';
+
+/** Limits shared with firestore.rules - keep both in step */
+export const LIMITS = {
+    maxNameLength: 80,
+    minDurationMinutes: 1,
+    maxDurationMinutes: 120,
+    minPhaseSeconds: 0.5, // For any phase that isn't skipped (0)
+    maxPhaseSeconds: 120,
+    minCycleSeconds: 1, // One full breath, so cues can't fire many times a second
+    maxPhases: 12,
+    maxLabelLength: 40,
+    maxRampSteps: 60,
+    maxKeyframes: 20,
+    maxSessionSeconds: 86400,
+    maxSessionSteps: 20,
+    maxComboSteps: 20,
+    maxRestSeconds: 600,
+    maxIdLength: 128,
+    maxSessionBytes: 1800, // Fields only; rules allow 2048 including the document name
+    maxGoalMinutes: 600,
+    maxGoalSessions: 20,
+    maxNoteLength: 140,
+    minVoiceRate: 0.5,
+    maxVoiceRate: 2,
+    maxVoiceURILength: 200,
+    maxLanguageTagLength: 35,
+    maxVolume: 100
+};
+
+/** Moods a check-in can record, happiest first */
+export const CHECK_IN_MOODS = ['great', 'good', 'okay', 'low', 'bad'];
+
+const SHORTHAND_KEYS = ['inhale', 'holdIn', 'exhale', 'holdOut'];
+const SHORTHAND_NAMES = { inhale: 'Inhale', holdIn: 'Hold In', exhale: 'Exhale', holdOut: 'Hold Out' };
+const PHASE_SOUNDS = ['in', 'holdIn', 'out', 'holdOut', 'none'];
+const MIXER_LEVELS = ['master', 'cues', 'bell', 'voice'];
+
+/**
+ * True for a finite number between min and max (inclusive)
+ */
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check a display name (routine or session)
+ */
+function checkName(value, field, label, errors) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        errors[field] = `${label} is required.`;
+    } else if (value.length > LIMITS.maxNameLength) {
+        errors[field] = `${label} must be at most ${LIMITS.maxNameLength} characters.`;
+    }
+}
+
+/**
+ * Check a phase duration: seconds, or a ramp ({ from, to } or { keyframes })
+ */
+function checkSeconds(value, field, label, errors) {
+    const min = LIMITS.minPhaseSeconds;
+    const max = LIMITS.maxPhaseSeconds;
+    const secondsMessage = `must be 0 (skip) or a number of seconds from ${min} to ${max}.`;
+    const isPhaseSeconds = (seconds) => seconds === 0 || isNumberInRange(seconds, min, max);
+
+    if (typeof value === 'number') {
+        if (!isPhaseSeconds(value)) errors[field] = `${label} ${secondsMessage}`;
+        return;
+    }
+    if (!value || typeof value !== 'object') {
+        errors[field] = `${label} ${secondsMessage}`;
+        return;
+    }
+
+    if (value.interpolation !== undefined && !['linear', 'step'].includes(value.interpolation)) {
+        errors[`${field}.interpolation`] = `${label} ramp interpolation must be 'linear' or 'step'.`;
+    }
+
+    if (Array.isArray(value.keyframes)) {
+        if (value.keyframes.length === 0 || value.keyframes.length > LIMITS.maxKeyframes) {
+            errors[`${field}.keyframes`] = `${label} needs 1 to ${LIMITS.maxKeyframes} keyframes.`;
+            return;
+        }
+        value.keyframes.forEach((keyframe, index) => {
+            if (!isNumberInRange(keyframe?.minute, 0, LIMITS.maxDurationMinutes)) {
+                errors[`${field}.keyframes.${index}.minute`] = `${label} keyframe ${index + 1}: minute must be from 0 to ${LIMITS.maxDurationMinutes}.`;
+            }
+            if (!isPhaseSeconds(keyframe?.seconds)) {
+                errors[`${field}.keyframes.${index}.seconds`] = `${label} keyframe ${index + 1}: seconds ${secondsMessage}`;
+            }
+        });
+        return;
+    }
+
+    if (!isPhaseSeconds(value.from)) errors[`${field}.from`] = `${label} (start) ${secondsMessage}`;
+    if (!isPhaseSeconds(value.to)) errors[`${field}.to`] = `${label} (end) ${secondsMessage}`;
+    if (value.interpolation === 'step' &&
+        !(Number.isInteger(value.steps) && value.steps >= 2 && value.steps <= LIMITS.maxRampSteps)) {
+        errors[`${field}.steps`] = `Stepped ramps need 2 to ${LIMITS.maxRampSteps} steps.`;
+    }
+}
+
+/**
+ * Check one entry of a `phases` array
+ */
+function checkPhase(phase, index, errors) {
+    const field = `phases.${index}`;
+    const label = `Phase ${index + 1}`;
+
+    if (!phase || typeof phase !== 'object') {
+        errors[field] = `${label} must be an object.`;
+        return;
+    }
+    if (!PHASE_TYPES.includes(phase.type)) {
+        errors[`${field}.type`] = `${label} type must be one of: ${PHASE_TYPES.join(', ')}.`;
+    }
+    checkSeconds(phase.seconds, `${field}.seconds`, label, errors);
+    if (phase.label !== undefined && (typeof phase.label !== 'string' || phase.label.length > LIMITS.maxLabelLength)) {
+        errors[`${field}.label`] = `${label} label must be text of at most ${LIMITS.maxLabelLength} characters.`;
+    }
+    if (phase.scaleTarget !== undefined && !isNumberInRange(phase.scaleTarget, 0.5, 1)) {
+        errors[`${field}.scaleTarget`] = `${label} circle size must be from 0.5 to 1.0.`;
+    }
+    if (phase.sound !== undefined && !PHASE_SOUNDS.includes(phase.sound)) {
+        errors[`${field}.sound`] = `${label} sound must be one of: ${PHASE_SOUNDS.join(', ')}.`;
+    }
+}
+
+/**
+ * Validate a routine (built-in format, see routines.js)
+ * @returns {{valid: boolean, errors: Object<string, string>}}
+ */
+export function validateRoutine(routine) {
+    const errors = {};
+    if (!routine || typeof routine !== 'object') {
+        return { valid: false, errors: { routine: "Routine must be an object." } };
+    }
+
+    checkName(routine.name, 'name', 'Name', errors);
+    // null means the app-wide pack, like leaving it out
+    if (routine.soundPack !== undefined && routine.soundPack !== null && !SOUND_PACK_IDS.includes(routine.soundPack)) {
+        errors.soundPack = `Sound pack must be one of: ${SOUND_PACK_IDS.join(', ')}.`;
+    }
+    if (!isNumberInRange(routine.durationMinutes, LIMITS.minDurationMinutes, LIMITS.maxDurationMinutes)) {
+        errors.durationMinutes = `Duration must be from ${LIMITS.minDurationMinutes} to ${LIMITS.maxDurationMinutes} minutes.`;
+    }
+
+    if (routine.phases !== undefined) {
+        if (!Array.isArray(routine.phases) || routine.phases.length === 0 || routine.phases.length > LIMITS.maxPhases) {
+            errors.phases = `A routine needs 1 to ${LIMITS.maxPhases} phases.`;
+        } else {
+            routine.phases.forEach((phase, index) => checkPhase(phase, index, errors));
+        }
+    } else {
+        SHORTHAND_KEYS.forEach((key) => {
+            // Holds may be left out; inhale and exhale are required
+            if (routine[key] === undefined && key.startsWith('hold')) return;
+            checkSeconds(routine[key], key, SHORTHAND_NAMES[key], errors);
+        });
+    }
+
+    // Only a well-formed pattern can be timed. Ramps are linear or stepped between
+    // their ends and keyframes, so the cycle is shortest at one of those moments.
+    if (Object.keys(errors).length === 0) {
+        const duration = routine.durationMinutes * 60;
+        const cycleSeconds = (elapsed) => buildPhases(routine, { elapsed, duration })
+            .reduce((total, phase) => total + phase.duration, 0);
+        const sources = Array.isArray(routine.phases)
+            ? routine.phases.map(phase => phase.seconds)
+            : SHORTHAND_KEYS.map(key => routine[key]);
+        const keyframeTimes = sources.flatMap(value => value?.keyframes?.map(keyframe => keyframe.minute * 60) || []);
+        const checkTimes = [0, duration, ...keyframeTimes.filter(time => time < duration)];
+        if (checkTimes.some(elapsed => cycleSeconds(elapsed) < LIMITS.minCycleSeconds)) {
+            errors.pattern = `One breathing cycle must last at least ${LIMITS.minCycleSeconds} second throughout the routine.`;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check one step of a combo: a routine ID, or { routineId, durationMinutes?, restSeconds?, restLabel? }
+ */
+function checkComboStep(step, index, errors) {
+    const field = `routines.${index}`;
+    const label = `Step ${index + 1}`;
+
+    if (typeof step === 'string') {
+        if (!isId(step)) errors[field] = `${label} routine ID must be at most ${LIMITS.maxIdLength} characters.`;
+        return;
+    }
+    if (!step || typeof step !== 'object') {
+        errors[field] = `${label} must be a routine ID or an object.`;
+        return;
+    }
+    if (!isId(step.routineId)) {
+        errors[`${field}.routineId`] = `${label} needs a routine ID of at most ${LIMITS.maxIdLength} characters.`;
+    }
+    if (step.durationMinutes !== undefined
+        && !isNumberInRange(step.durationMinutes, LIMITS.minDurationMinutes, LIMITS.maxDurationMinutes)) {
+        errors[`${field}.durationMinutes`] = `${label} duration must be from ${LIMITS.minDurationMinutes} to ${LIMITS.maxDurationMinutes} minutes.`;
+    }
+    if (step.restSeconds !== undefined && !isNumberInRange(step.restSeconds, 0, LIMITS.maxRestSeconds)) {
+        errors[`${field}.restSeconds`] = `${label} rest must be from 0 to ${LIMITS.maxRestSeconds} seconds.`;
+    }
+    if (step.restLabel !== undefined && (typeof step.restLabel !== 'string' || step.restLabel.length > LIMITS.maxLabelLength)) {
+        errors[`${field}.restLabel`] = `${label} rest label must be text of at most ${LIMITS.maxLabelLength} characters.`;
+    }
+}
+
+/**
+ * Validate a combo (built-in format, see routines.js)
+ * @returns {{valid: boolean, errors: Object<string, string>}}
+ */
+export function validateCombo(combo) {
+    const errors = {};
+    if (!combo || typeof combo !== 'object') {
+        return { valid: false, errors: { combo: "Combo must be an object." } };
+    }
+
+    checkName(combo.name, 'name', 'Name', errors);
+    if (combo.transitionSound !== undefined
+        && (typeof combo.transitionSound !== 'string' || combo.transitionSound.length > LIMITS.maxLabelLength)) {
+        errors.transitionSound = `Transition sound must be text of at most ${LIMITS.maxLabelLength} characters.`;
+    }
+    if (!Array.isArray(combo.routines) || combo.routines.length === 0 || combo.routines.length > LIMITS.maxComboSteps) {
+        errors.routines = `A combo needs 1 to ${LIMITS.maxComboSteps} steps.`;
+    } else {
+        combo.routines.forEach((step, index) => checkComboStep(step, index, errors));
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Validate a training history entry
+ * @returns {{valid: boolean, errors: Object<string, string>}}
+ */
+export function validateHistoryEntry(session) {
+    const errors = {};
+    if (!session || typeof session !== 'object') {
+        return { valid: false, errors: { session: "Session must be an object." } };
+    }
+
+    checkName(session.routineName, 'routineName', 'Routine name', errors);
+    if (!isNumberInRange(session.actualDurationSeconds, 0, LIMITS.maxSessionSeconds)) {
+        errors.actualDurationSeconds = `Duration must be from 0 to ${LIMITS.maxSessionSeconds} seconds.`;
+    }
+    if (!isNumberInRange(session.totalTargetSeconds, 0, LIMITS.maxSessionSeconds)) {
+        errors.totalTargetSeconds = `Target duration must be from 0 to ${LIMITS.maxSessionSeconds} seconds.`;
+    }
+    if (typeof session.completed !== 'boolean') {
+        errors.completed = "Completed must be true or false.";
+    }
+    if (session.timestamp !== undefined && !isNumberInRange(session.timestamp, 0, Number.MAX_SAFE_INTEGER)) {
+        errors.timestamp = "Timestamp must be a time in milliseconds.";
+    }
+
+    // Detail recorded since sessions kept only the fields above (all optional)
+    ['routineId', 'comboId'].forEach((field) => {
+        if (session[field] !== undefined && !isId(session[field])) {
+            errors[field] = `${field} must be an ID of at most ${LIMITS.maxIdLength} characters.`;
+        }
+    });
+    checkCount(session.cycles, 'cycles', 'Breath cycles', errors);
+    checkCount(session.pauseCount, 'pauseCount', 'Pause count', errors);
+    if (session.pausedSeconds !== undefined && !isNumberInRange(session.pausedSeconds, 0, LIMITS.maxSessionSeconds)) {
+        errors.pausedSeconds = `Paused time must be from 0 to ${LIMITS.maxSessionSeconds} seconds.`;
+    }
+    if (session.pattern !== undefined) checkPatternSnapshot(session.pattern, 'pattern', errors);
+    if (session.checkInBefore !== undefined) checkCheckIn(session.checkInBefore, 'checkInBefore', 'Check-in before', errors);
+    if (session.checkInAfter !== undefined) checkCheckIn(session.checkInAfter, 'checkInAfter', 'Check-in after', errors);
+    if (session.steps !== undefined) {
+        if (!Array.isArray(session.steps) || session.steps.length > LIMITS.maxSessionSteps) {
+            errors.steps = `A session records at most ${LIMITS.maxSessionSteps} steps.`;
+        } else {
+            session.steps.forEach((step, index) => checkSessionStep(step, index, errors));
+        }
+    }
+
+    if (Object.keys(errors).length === 0 && estimateDocumentSize(session) > LIMITS.maxSessionBytes) {
+        errors.session = `The session record is too large (at most ${LIMITS.maxSessionBytes} bytes).`;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * True for a document ID: non-empty text within the length limit
+ */
+function isId(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= LIMITS.maxIdLength;
+}
+
+/**
+ * Check an optional whole-number counter
+ */
+function checkCount(value, field, label, errors) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= LIMITS.maxSessionSeconds)) {
+        errors[field] = `${label} must be a whole number from 0 to ${LIMITS.maxSessionSeconds}.`;
+    }
+}
+
+/**
+ * Check a mood and stress check-in ({ stress, mood?, note? })
+ */
+function checkCheckIn(checkIn, field, label, errors) {
+    if (!checkIn || typeof checkIn !== 'object') {
+        errors[field] = `${label} must be an object.`;
+        return;
+    }
+    if (!(Number.isInteger(checkIn.stress) && checkIn.stress >= 1 && checkIn.stress <= 10)) {
+        errors[`${field}.stress`] = `${label}: stress must be a whole number from 1 to 10.`;
+    }
+    if (checkIn.mood !== undefined && !CHECK_IN_MOODS.includes(checkIn.mood)) {
+        errors[`${field}.mood`] = `${label}: mood must be one of: ${CHECK_IN_MOODS.join(', ')}.`;
+    }
+    if (checkIn.note !== undefined && (typeof checkIn.note !== 'string' || checkIn.note.length > LIMITS.maxNoteLength)) {
+        errors[`${field}.note`] = `${label}: the note must be text of at most ${LIMITS.maxNoteLength} characters.`;
+    }
+}
+
+/**
+ * Check a pattern snapshot (see getPatternSnapshot in session-engine.js)
+ */
+function checkPatternSnapshot(pattern, field, errors) {
+    if (!Array.isArray(pattern) || pattern.length > LIMITS.maxPhases) {
+        errors[field] = `A pattern has at most ${LIMITS.maxPhases} phases.`;
+        return;
+    }
+    pattern.forEach((phase, index) => {
+        const valid = phase && typeof phase === 'object'
+            && PHASE_TYPES.includes(phase.type)
+            && isNumberInRange(phase.seconds, 0, LIMITS.maxPhaseSeconds)
+            && (phase.endSeconds === undefined || isNumberInRange(phase.endSeconds, 0, LIMITS.maxPhaseSeconds));
+        if (!valid) errors[`${field}.${index}`] = `Pattern phase ${index + 1} must have a type and seconds from 0 to ${LIMITS.maxPhaseSeconds}.`;
+    });
+}
+
+/**
+ * Check one entry of a session's per-step breakdown
+ */
+function checkSessionStep(step, index, errors) {
+    const field = `steps.${index}`;
+    const label = `Step ${index + 1}`;
+
+    if (!step || typeof step !== 'object') {
+        errors[field] = `${label} must be an object.`;
+        return;
+    }
+    if (step.routineId !== undefined && !isId(step.routineId)) {
+        errors[`${field}.routineId`] = `${label} routine ID must be at most ${LIMITS.maxIdLength} characters.`;
+    }
+    if (step.routineName !== undefined) checkName(step.routineName, `${field}.routineName`, `${label} routine name`, errors);
+    if (!isNumberInRange(step.seconds, 0, LIMITS.maxSessionSeconds)) {
+        errors[`${field}.seconds`] = `${label} duration must be from 0 to ${LIMITS.maxSessionSeconds} seconds.`;
+    }
+    if (!isNumberInRange(step.targetSeconds, 0, LIMITS.maxSessionSeconds)) {
+        errors[`${field}.targetSeconds`] = `${label} target must be from 0 to ${LIMITS.maxSessionSeconds} seconds.`;
+    }
+    checkCount(step.cycles, `${field}.cycles`, `${label} breath cycles`, errors);
+    if (typeof step.completed !== 'boolean') {
+        errors[`${field}.completed`] = `${label} completed must be true or false.`;
+    }
+    if (step.pattern !== undefined) checkPatternSnapshot(step.pattern, `${field}.pattern`, errors);
+}
+
+/**
+ * Size of a document's fields as Firestore counts it: strings are their UTF-8
+ * length plus one, numbers 8 bytes, booleans and null 1, and map keys count
+ * as strings. The document name (counted by rules too) is not included.
+ */
+export function estimateDocumentSize(value) {
+    if (typeof value === 'string') return new TextEncoder().encode(value).length + 1;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean' || value === null) return 1;
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + estimateDocumentSize(item), 0);
+    if (typeof value === 'object') {
+        return Object.entries(value)
+            .filter(([, item]) => item !== undefined)
+            .reduce((sum, [key, item]) => sum + estimateDocumentSize(key) + estimateDocumentSize(item), 0);
+    }
+    return 0;
+}
+
+/**
+ * Validate a settings document (only the fields it contains are checked)
+ * @returns {{valid: boolean, errors: Object<string, string>}}
+ */
+export function validateSettings(settings) {
+    const errors = {};
+    if (!settings || typeof settings !== 'object') {
+        return { valid: false, errors: { settings: "Settings must be an object." } };
+    }
+
+    if (settings.dailyGoal !== undefined) {
+        const goal = settings.dailyGoal;
+        if (!goal || !['minutes', 'sessions'].includes(goal.type)) {
+            errors['dailyGoal.type'] = "Daily goal must be counted in minutes or sessions.";
+        } else {
+            const max = goal.type === 'minutes' ? LIMITS.maxGoalMinutes : LIMITS.maxGoalSessions;
+            if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > max) {
+                errors['dailyGoal.target'] = `Daily goal must be a whole number of ${goal.type} from 1 to ${max}.`;
+            }
+        }
+    }
+    if (settings.checkIns !== undefined && typeof settings.checkIns !== 'boolean') {
+        errors.checkIns = "Check-ins must be turned on or off.";
+    }
+    if (settings.soundPack !== undefined && !SOUND_PACK_IDS.includes(settings.soundPack)) {
+        errors.soundPack = `Sound pack must be one of: ${SOUND_PACK_IDS.join(', ')}.`;
+    }
+    if (settings.mixer !== undefined) {
+        const mixer = settings.mixer;
+        if (!mixer || typeof mixer !== 'object') {
+            errors.mixer = "Volume settings must be an object.";
+        } else {
+            if (mixer.muted !== undefined && typeof mixer.muted !== 'boolean') {
+                errors['mixer.muted'] = "Mute must be turned on or off.";
+            }
+            MIXER_LEVELS.forEach((channel) => {
+                if (mixer[channel] !== undefined && !isNumberInRange(mixer[channel], 0, LIMITS.maxVolume)) {
+                    errors[`mixer.${channel}`] = `Volume levels must be from 0 to ${LIMITS.maxVolume}.`;
+                }
+            });
+        }
+    }
+    if (settings.ambient !== undefined) {
+        const ambient = settings.ambient;
+        if (!ambient || typeof ambient !== 'object') {
+            errors.ambient = "Ambient settings must be an object.";
+        } else {
+            if (ambient.enabled !== undefined && typeof ambient.enabled !== 'boolean') {
+                errors['ambient.enabled'] = "The ambient sound must be turned on or off.";
+            }
+            if (ambient.volume !== undefined && !isNumberInRange(ambient.volume, 0, LIMITS.maxVolume)) {
+                errors['ambient.volume'] = `Ambient volume must be from 0 to ${LIMITS.maxVolume}.`;
+            }
+        }
+    }
+    if (settings.voice !== undefined) {
+        const voice = settings.voice;
+        if (!voice || typeof voice !== 'object') {
+            errors.voice = "Voice settings must be an object.";
+        } else {
+            if (voice.enabled !== undefined && typeof voice.enabled !== 'boolean') {
+                errors['voice.enabled'] = "Voice guidance must be turned on or off.";
+            }
+            if (voice.lang !== undefined && (typeof voice.lang !== 'string' || voice.lang.length > LIMITS.maxLanguageTagLength)) {
+                errors['voice.lang'] = "Voice language must be a language tag such as en-GB.";
+            }
+            if (voice.voiceURI !== undefined && (typeof voice.voiceURI !== 'string' || voice.voiceURI.length > LIMITS.maxVoiceURILength)) {
+                errors['voice.voiceURI'] = `Voice must be text of at most ${LIMITS.maxVoiceURILength} characters.`;
+            }
+            if (voice.rate !== undefined && !(typeof voice.rate === 'number'
+                && voice.rate >= LIMITS.minVoiceRate && voice.rate <= LIMITS.maxVoiceRate)) {
+                errors['voice.rate'] = `Speaking rate must be from ${LIMITS.minVoiceRate} to ${LIMITS.maxVoiceRate}.`;
+            }
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Turn a failed validation into a { success: false } storage result
+ */
+export function invalidResult(errors) {
+    const messages = Object.values(errors);
+    return { success: false, error: new Error(messages.join(' ')), errors };
+}
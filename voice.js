@@ -0,0 +1,194 @@
+/**
+ * Voice Guidance
+ *
+ * Optional spoken cues through the Web Speech API (speechSynthesis): phase
+ * names, the start countdown, combo transitions and completion.
+ *
+ * Every cue is fitted to the time it announces: a phase name that would
+ * still be speaking when the next phase starts is shortened ("in", "out",
+ * "hold") or skipped, and each new cue cancels whatever is still speaking.
+ */
+
+/** Voice preferences as stored in the settings document */
+export const DEFAULT_VOICE_SETTINGS = { enabled: false, lang: '', voiceURI: '', rate: 1 };
+
+/** Short cue for each phase type, used when the phase label doesn't fit */
+const SHORT_PHASE_CUES = { inhale: 'in', exhale: 'out', hold: 'hold' };
+
+// Rough speaking speed at rate 1; engines vary, so the estimate errs long
+const SECONDS_PER_WORD = 0.4;
+const UTTERANCE_OVERHEAD_SECONDS = 0.25;
+// Silence kept between the end of a cue and the next phase
+const SPEECH_MARGIN_SECONDS = 0.3;
+
+let voiceSettings = { ...DEFAULT_VOICE_SETTINGS };
+let voiceVolume = 1; // 0 (silent) to 1, set from the master volume, mute and voice level
+
+/**
+ * True when this browser can speak
+ */
+export function isVoiceSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/**
+ * Apply voice preferences (missing fields fall back to the defaults)
+ */
+export function setVoiceSettings(settings) {
+    voiceSettings = { ...DEFAULT_VOICE_SETTINGS, ...(settings || {}) };
+    if (!voiceSettings.enabled) cancelSpeech();
+}
+
+/**
+ * Set how loud speech is, from 0 (silent: nothing is spoken) to 1
+ */
+export function setVoiceVolume(volume) {
+    voiceVolume = Math.min(Math.max(volume, 0), 1);
+    if (voiceVolume === 0) cancelSpeech();
+}
+
+/**
+ * Current voice preferences
+ */
+export function getVoiceSettings() {
+    return { ...voiceSettings };
+}
+
+/**
+ * Voices this browser offers (may be empty until the 'voiceschanged' event)
+ */
+export function getVoices() {
+    return isVoiceSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Call onChange whenever the browser's voice list loads or changes
+ * @returns {Function} Unsubscribe function
+ */
+export function onVoicesChanged(onChange) {
+    if (!isVoiceSupported()) return () => {};
+    window.speechSynthesis.addEventListener('voiceschanged', onChange);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', onChange);
+}
+
+/**
+ * Languages of the given voices (e.g. "en-GB"), alphabetically
+ */
+export function getVoiceLanguages(voices) {
+    return [...new Set(voices.map(voice => voice.lang).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Whether a voice speaks a language; a bare language ("en") matches every region
+ */
+export function voiceMatchesLanguage(voice, lang) {
+    if (!lang) return true;
+    const voiceLang = (voice.lang || '').replace('_', '-').toLowerCase();
+    const wanted = lang.toLowerCase();
+    return voiceLang === wanted || (!wanted.includes('-') && voiceLang.startsWith(`${wanted}-`));
+}
+
+/**
+ * The voice to speak with: the chosen voice, else the first one in the
+ * chosen language, else the browser default (null)
+ */
+function pickVoice() {
+    const voices = getVoices();
+    const chosen = voices.find(voice => voice.voiceURI === voiceSettings.voiceURI);
+    if (chosen) return chosen;
+    if (!voiceSettings.lang) return null;
+    return voices.find(voice => voiceMatchesLanguage(voice, voiceSettings.lang)) || null;
+}
+
+/**
+ * Estimated seconds needed to say some text at a speaking rate
+ */
+export function estimateSpeechSeconds(text, rate = voiceSettings.rate) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    return UTTERANCE_OVERHEAD_SECONDS + (words * SECONDS_PER_WORD) / rate;
+}
+
+/**
+ * Stop anything being spoken or queued
+ */
+export function cancelSpeech() {
+    if (isVoiceSupported()) window.speechSynthesis.cancel();
+}
+
+/**
+ * Speak the first of several texts that fits in the time available,
+ * interrupting the previous cue
+ * @param {string|string[]} texts - Longest first
+ * @param {number} [availableSeconds] - Time until the next cue (unlimited if omitted)
+ * @param {boolean} [force] - Speak even when voice guidance is turned off (for previews)
+ * @returns {boolean} Whether anything was spoken
+ */
+export function speak(texts, availableSeconds = Infinity, force = false) {
+    if (!isVoiceSupported() || (!voiceSettings.enabled && !force)) return false;
+
+    const text = [].concat(texts).find(candidate =>
+        candidate && estimateSpeechSeconds(candidate) + SPEECH_MARGIN_SECONDS <= availableSeconds);
+
+    cancelSpeech();
+    if (!text || voiceVolume === 0) return false;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = pickVoice();
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || voiceSettings.lang || '';
+    utterance.rate = voiceSettings.rate;
+    utterance.volume = voiceVolume;
+    utterance.onerror = (event) => {
+        // Cancelling a cue to start the next one is expected
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+            console.warn('Speech error:', event.error);
+        }
+    };
+    window.speechSynthesis.speak(utterance);
+    return true;
+}
+
+/**
+ * Say one number of the start countdown (one second apart)
+ */
+export function speakCountdown(count) {
+    speak(String(count), 1);
+}
+
+/**
+ * Say a sample sentence with the current voice, whether or not guidance is on
+ */
+export function previewVoice() {
+    speak("Breathe in. Hold. Breathe out.", Infinity, true);
+}
+
+/**
+ * Phase labels are written in capitals for the screen; speech engines may
+ * spell those out, so they are spoken in lower case
+ */
+function toSpokenText(label) {
+    return label.toLowerCase().replace(/[-_]+/g, ' ');
+}
+
+/**
+ * Subscribe spoken phase, transition and completion cues to a SessionEngine
+ * @returns {Function} Unsubscribe function
+ */
+export function attachSessionVoice(engine) {
+    const unsubscribers = [
+        engine.on('phaseStart', ({ phase }) => {
+            speak([toSpokenText(phase.label), SHORT_PHASE_CUES[phase.type]], phase.duration);
+        }),
+        engine.on('transition', ({ routine, seconds, label }) => {
+            const next = `Next: ${routine.name}`;
+            speak(label ? [`${toSpokenText(label)}. ${next}`, next, 'next'] : [next, 'next'], seconds);
+        }),
+        engine.on('paused', () => cancelSpeech()),
+        engine.on('completed', () => {
+            speak("Session complete. Well done.");
+        }),
+        engine.on('stopped', () => cancelSpeech())
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}